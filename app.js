@@ -0,0 +1,97 @@
+import express from 'express';
+import cors from 'cors';
+import { initializeFirebase, isFirebaseReady, setAuth, setFirestore } from './firebase.js';
+import { setTransport } from './services/emailService.js';
+import { setRateLimitStore } from './services/rateLimitService.js';
+import { ServiceUnavailableError } from './errors.js';
+import { DEFAULT_ALLOWED_ORIGINS, createCorsOptions } from './middleware/cors.js';
+import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { warnUntrustedProxy } from './middleware/rateLimit.js';
+import { requestLogger } from './middleware/requestLogger.js';
+import authRoutes from './routes/auth.js';
+import userRoutes from './routes/users.js';
+import studentRoutes from './routes/students.js';
+import institutionRoutes from './routes/institutions.js';
+import institutionCourseRoutes from './routes/institution-courses.js';
+import companyRoutes from './routes/companies.js';
+import adminRoutes from './routes/admin.js';
+import notificationRoutes from './routes/notifications.js';
+import diagnosticsRoutes, { isDiagnosticsEnabled } from './routes/diagnostics.js';
+
+// Build the Express app with every router mounted under /api. Dependencies can be
+// injected for in-process use:
+//   db      - Firestore instance (defaults to Firebase Admin from env)
+//   auth    - Auth client with verifyIdToken/getUser/... (defaults to Firebase Admin)
+//   mailer  - email transport with send(message) (see services/emailService.js)
+//   rateLimitStore - counter store for rate limits (see services/rateLimitService.js)
+//   trustProxy     - Express 'trust proxy' setting, so req.ip is the client behind a
+//                    proxy (defaults to TRUST_PROXY: true, a hop count or a subnet list)
+// The injected clients are shared by all routers, so one app is active per process.
+export const createApp = (options = {}) => {
+  const allowedOrigins = options.allowedOrigins || DEFAULT_ALLOWED_ORIGINS;
+
+  if (options.db) setFirestore(options.db);
+  if (options.auth) setAuth(options.auth);
+  if (options.mailer) setTransport(options.mailer);
+  if (options.rateLimitStore) setRateLimitStore(options.rateLimitStore);
+  if (!isFirebaseReady()) initializeFirebase();
+
+  const app = express();
+  const corsOptions = createCorsOptions(allowedOrigins);
+  app.locals.allowedOrigins = allowedOrigins;
+  app.set('trust proxy', options.trustProxy ?? parseTrustProxy(process.env.TRUST_PROXY));
+
+  // Request ID and access log for everything, including CORS rejections
+  app.use(requestLogger());
+  app.use(warnUntrustedProxy());
+
+  // Apply CORS middleware
+  app.use(cors(corsOptions));
+
+  // Handle preflight requests for all routes
+  app.options('*', cors(corsOptions));
+
+  // Body parsing middleware
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Public health check: only says whether the service is up (details are in /api/diagnostics)
+  app.get('/api/health', (req, res) => {
+    const up = isFirebaseReady();
+    res.status(up ? 200 : 503).json({ status: up ? 'OK' : 'UNAVAILABLE' });
+  });
+
+  // Everything below needs Firestore and Auth
+  app.use('/api', (req, res, next) => {
+    if (!isFirebaseReady()) {
+      return next(new ServiceUnavailableError('Service temporarily unavailable', 'FIREBASE_NOT_INITIALIZED'));
+    }
+    next();
+  });
+
+  app.use('/api/auth', authRoutes);
+  app.use('/api', userRoutes);
+  app.use('/api/students', studentRoutes);
+  app.use('/api/institutions', institutionRoutes);
+  app.use('/api/institution', institutionCourseRoutes);
+  app.use('/api/companies', companyRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/notifications', notificationRoutes);
+  if (isDiagnosticsEnabled()) {
+    app.use('/api/diagnostics', diagnosticsRoutes);
+  }
+
+  // Unknown routes, then one handler that shapes every error response
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+// Helper function to read TRUST_PROXY ("true", a hop count, or addresses/subnets)
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+};
@@ -0,0 +1,119 @@
+// Errors reported to API clients. Each one carries an HTTP status and a stable,
+// machine-readable code; the final error handler (middleware/errorHandler.js) turns
+// them into { error, code, details } responses. Anything else that is thrown becomes
+// a 500 unless toAppError recognises it.
+export class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message, code = 'BAD_REQUEST', details) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+// details: [{ location, field, message }] from middleware/validation.js
+export class ValidationError extends AppError {
+  constructor(details, message = 'Validation failed') {
+    super(message, { status: 400, code: 'VALIDATION_FAILED', details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHENTICATED', details) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Access denied', code = 'FORBIDDEN', details) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found', code = 'NOT_FOUND', details) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT', details) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+export class PayloadTooLargeError extends AppError {
+  constructor(message, code = 'PAYLOAD_TOO_LARGE', details) {
+    super(message, { status: 413, code, details });
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', code = 'RATE_LIMITED', details) {
+    super(message, { status: 429, code, details });
+  }
+}
+
+export class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service temporarily unavailable', code = 'SERVICE_UNAVAILABLE', details) {
+    super(message, { status: 503, code, details });
+  }
+}
+
+// Firebase Auth error codes -> [status, code, message]
+const AUTH_ERRORS = {
+  'auth/id-token-expired': [401, 'TOKEN_EXPIRED', 'Session expired. Please sign in again.'],
+  'auth/id-token-revoked': [401, 'SESSION_REVOKED', 'Session has been revoked. Please sign in again.'],
+  'auth/invalid-id-token': [401, 'INVALID_TOKEN', 'Invalid session. Please sign in again.'],
+  // verifyIdToken reports malformed tokens as argument errors
+  'auth/argument-error': [401, 'INVALID_TOKEN', 'Invalid session. Please sign in again.'],
+  'auth/user-disabled': [403, 'ACCOUNT_DISABLED', 'This account has been disabled'],
+  'auth/user-not-found': [404, 'USER_NOT_FOUND', 'User not found'],
+  'auth/email-already-exists': [409, 'EMAIL_ALREADY_EXISTS', 'An account with this email already exists'],
+  'auth/uid-already-exists': [409, 'USER_ALREADY_EXISTS', 'An account with this user ID already exists'],
+  'auth/invalid-email': [400, 'INVALID_EMAIL', 'Email address is not valid'],
+  'auth/invalid-uid': [400, 'INVALID_USER_ID', 'User ID is not valid']
+};
+
+// Firestore (gRPC) status codes -> [status, code, message]. Codes that point at a bug
+// or misconfiguration on our side (INVALID_ARGUMENT, PERMISSION_DENIED, INTERNAL...)
+// are left to the generic 500.
+const FIRESTORE_ERRORS = {
+  4: [504, 'DATABASE_TIMEOUT', 'The database took too long to respond. Please try again.'],
+  5: [404, 'NOT_FOUND', 'Not found'],
+  6: [409, 'ALREADY_EXISTS', 'Already exists'],
+  8: [503, 'DATABASE_BUSY', 'The database is busy. Please try again shortly.'],
+  10: [409, 'CONCURRENT_UPDATE', 'The record was changed by another request. Please try again.'],
+  14: [503, 'DATABASE_UNAVAILABLE', 'The database is temporarily unavailable. Please try again.']
+};
+
+// Normalise anything thrown inside a request into an AppError
+export const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const mapped = (typeof error?.code === 'string' && AUTH_ERRORS[error.code]) ||
+    (typeof error?.code === 'number' && FIRESTORE_ERRORS[error.code]);
+  if (mapped) {
+    const [status, code, message] = mapped;
+    return new AppError(message, { status, code, cause: error });
+  }
+
+  // Body parser failures (express.json / express.urlencoded)
+  if (error?.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', 'INVALID_JSON');
+  }
+  if (error?.type === 'entity.too.large') {
+    return new PayloadTooLargeError('Request body is too large');
+  }
+
+  return new AppError('Internal server error', { cause: error });
+};
@@ -0,0 +1,89 @@
+import admin from 'firebase-admin';
+import { logger } from './logger.js';
+import { createMemoryAuth } from './repositories/memoryAuth.js';
+import { createMemoryFirestore } from './repositories/memoryFirestore.js';
+
+// Shared Firestore and Auth clients used by every router and service. createApp()
+// injects its own clients or falls back to initializeFirebase(); these are live
+// bindings, so importers always see the current client.
+export let db = null;
+export let auth = null;
+
+export const setFirestore = (firestore) => {
+  db = firestore;
+};
+
+export const setAuth = (authClient) => {
+  auth = authClient;
+};
+
+const buildServiceAccount = () => ({
+  type: "service_account",
+  project_id: process.env.FIREBASE_PROJECT_ID,
+  private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID || "key-id",
+  private_key: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+  client_email: process.env.FIREBASE_CLIENT_EMAIL,
+  client_id: process.env.FIREBASE_CLIENT_ID || "client-id",
+  auth_uri: "https://accounts.google.com/o/oauth2/auth",
+  token_uri: "https://oauth2.googleapis.com/token",
+  auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
+});
+
+// Initialize Firebase Admin from environment variables and fill in any client that
+// wasn't injected. Returns false (and leaves Firebase disabled) when not configured.
+// DATABASE_DRIVER=memory keeps all data and accounts in process instead, so no
+// Firebase project is needed (see repositories/memoryAuth.js for signing in).
+export const initializeFirebase = () => {
+  if (process.env.DATABASE_DRIVER === 'memory') {
+    // The in-memory Auth accepts unsigned tokens
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('DATABASE_DRIVER=memory cannot be used in production');
+    }
+    if (!db) {
+      logger.info('Using in-memory database (DATABASE_DRIVER=memory)');
+      db = createMemoryFirestore();
+    }
+    if (!auth) {
+      logger.warn('Using in-memory auth (DATABASE_DRIVER=memory): ID tokens are not verified');
+      auth = createMemoryAuth();
+    }
+    return true;
+  }
+
+  if (admin.apps.length === 0) {
+    try {
+      // Check if we have the required environment variables
+      if (!process.env.FIREBASE_PROJECT_ID || !process.env.FIREBASE_PRIVATE_KEY || !process.env.FIREBASE_CLIENT_EMAIL) {
+        logger.warn('Missing Firebase environment variables', {
+          required: ['FIREBASE_PROJECT_ID', 'FIREBASE_PRIVATE_KEY', 'FIREBASE_CLIENT_EMAIL']
+        });
+
+        // Try alternative approach with service account JSON string
+        if (!process.env.FIREBASE_SERVICE_ACCOUNT) {
+          throw new Error('Missing Firebase configuration. Please set Firebase environment variables.');
+        }
+
+        admin.initializeApp({
+          credential: admin.credential.cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT))
+        });
+        logger.info('Firebase Admin initialized', { credentials: 'FIREBASE_SERVICE_ACCOUNT' });
+      } else {
+        admin.initializeApp({
+          credential: admin.credential.cert(buildServiceAccount()),
+          databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}.firebaseio.com`,
+          storageBucket: `${process.env.FIREBASE_PROJECT_ID}.appspot.com`
+        });
+        logger.info('Firebase Admin initialized', { credentials: 'environment variables' });
+      }
+    } catch (error) {
+      logger.error('Failed to initialize Firebase Admin; Firebase features are disabled', { error });
+      return false;
+    }
+  }
+
+  db = db || admin.firestore();
+  auth = auth || admin.auth();
+  return true;
+};
+
+export const isFirebaseReady = () => !!db && !!auth;
@@ -0,0 +1,146 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Structured logger: every entry is one JSON line, e.g.
+//   {"time":"...","level":"info","msg":"Application submitted","requestId":"...","applicationId":"..."}
+// info and debug go to stdout, warn and error to stderr. Entries written while a
+// request is being handled carry its requestId (see middleware/requestLogger.js).
+// Fields and message text pass through the redaction rules before they are written.
+//
+// Configured with LOG_LEVEL (debug|info|warn|error|silent, default info) and
+// LOG_REDACT_KEYS (extra comma-separated field names to redact), or configureLogger().
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+const maskEmail = (value) => {
+  if (typeof value !== 'string') return value;
+  const [local, domain] = value.split('@');
+  return domain === undefined ? REDACTED : `${local.slice(0, 1)}***@${domain}`;
+};
+
+const maskPhone = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return value;
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length > 4 ? `***${digits.slice(-2)}` : REDACTED;
+};
+
+// Each rule either matches field names (`keys`, value replaced by `redact(value)`) or
+// text inside any string value or message (`pattern`, a global RegExp, with `replace`)
+export const DEFAULT_REDACTION_RULES = [
+  {
+    name: 'credentials',
+    keys: /token|password|secret|authorization|cookie|privateKey|apiKey/i,
+    redact: () => REDACTED
+  },
+  {
+    name: 'access-codes',
+    keys: /^(adminCode|accessCode|verificationLink|resetLink)$/i,
+    redact: () => REDACTED
+  },
+  { name: 'email', keys: /email/i, redact: maskEmail },
+  { name: 'phone', keys: /phone/i, redact: maskPhone },
+  {
+    name: 'email-in-text',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    replace: maskEmail
+  },
+  { name: 'bearer-in-text', pattern: /Bearer\s+[A-Za-z0-9._~+/-]+=*/g, replace: `Bearer ${REDACTED}` },
+  { name: 'jwt-in-text', pattern: /eyJ[\w-]+\.[\w-]+\.[\w-]+/g, replace: REDACTED }
+];
+
+const keysFromEnv = () => {
+  const keys = (process.env.LOG_REDACT_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+  return keys.length > 0 ? [{ name: 'configured', keys: new Set(keys), redact: () => REDACTED }] : [];
+};
+
+const settings = {
+  level: LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+  rules: [...DEFAULT_REDACTION_RULES, ...keysFromEnv()],
+  write: (level, line) => (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`)
+};
+
+// Change the level, the redaction rules or where lines are written (e.g. in tests)
+export const configureLogger = ({ level, redactionRules, write } = {}) => {
+  if (level) {
+    if (!LOG_LEVELS[level]) throw new Error(`Unknown log level: ${level}`);
+    settings.level = level;
+  }
+  if (redactionRules) settings.rules = redactionRules;
+  if (write) settings.write = write;
+};
+
+const context = new AsyncLocalStorage();
+
+// Run fn with fields (e.g. requestId) added to every entry logged inside it
+export const runWithLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+const keyMatches = (rule, key) => (rule.keys instanceof Set ? rule.keys.has(key) : rule.keys.test(key));
+
+const redactText = (text) => settings.rules
+  .filter(rule => rule.pattern)
+  .reduce((result, rule) => result.replace(rule.pattern, rule.replace), text);
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.status !== undefined && { status: error.status }),
+  stack: error.stack,
+  ...(error.cause && { cause: error.cause })
+});
+
+export const redact = (value, key, seen = new WeakSet(), depth = 0) => {
+  if (key !== undefined && value !== undefined && value !== null) {
+    const rule = settings.rules.find(candidate => candidate.keys && keyMatches(candidate, key));
+    const redacted = rule ? rule.redact(value) : value;
+    if (redacted !== value) return redacted;
+  }
+
+  if (typeof value === 'string') return redactText(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  if (typeof value.toDate === 'function') return value.toDate().toISOString(); // Firestore Timestamp
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+
+  seen.add(value);
+  const source = value instanceof Error ? serializeError(value) : value;
+  const result = Array.isArray(source)
+    ? source.map(item => redact(item, undefined, seen, depth + 1))
+    : Object.fromEntries(Object.entries(source).map(([field, item]) => [field, redact(item, field, seen, depth + 1)]));
+  seen.delete(value);
+  return result;
+};
+
+const write = (level, bindings, msg, fields) => {
+  if (LOG_LEVELS[level] < LOG_LEVELS[settings.level]) return;
+
+  // logger.error('Something failed', error) is shorthand for { error }
+  const extra = fields instanceof Error ? { error: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactText(String(msg)),
+    ...redact({ ...context.getStore(), ...bindings, ...extra })
+  };
+
+  try {
+    settings.write(level, JSON.stringify(entry));
+  } catch (error) {
+    settings.write('error', JSON.stringify({ time: entry.time, level: 'error', msg: 'Failed to write log entry', error: error.message }));
+  }
+};
+
+// Logger with `bindings` added to every entry; child() adds more
+export const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', bindings, msg, fields),
+  info: (msg, fields) => write('info', bindings, msg, fields),
+  warn: (msg, fields) => write('warn', bindings, msg, fields),
+  error: (msg, fields) => write('error', bindings, msg, fields),
+  child: (fields) => createLogger({ ...bindings, ...fields })
+});
+
+export const logger = createLogger();
@@ -1,34 +1,50 @@
-import admin from 'firebase-admin';
+import { auth } from '../firebase.js';
+import { ForbiddenError, UnauthorizedError } from '../errors.js';
+import { getUserRole } from '../services/roleService.js';
 
 export const authenticate = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split('Bearer ')[1];
-    
+
     if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+      throw new UnauthorizedError('No token provided', 'TOKEN_MISSING');
     }
 
-    const decodedToken = await admin.auth().verifyIdToken(token);
+    // checkRevoked rejects tokens of disabled accounts and revoked sessions
+    const decodedToken = await auth.verifyIdToken(token, true);
     req.user = decodedToken;
     next();
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+    // Token problems map to 401/403 in toAppError; a token of a deleted account is
+    // just invalid, and anything else (e.g. Auth unreachable) is a server error
+    next(error.code === 'auth/user-not-found' ? new UnauthorizedError('Invalid token', 'INVALID_TOKEN') : error);
+  }
+};
+
+// Role of the authenticated user: the custom claim when present, else the user document
+export const resolveUserRole = async (req) => {
+  if (!req.userRole) {
+    req.userRole = req.user.role || await getUserRole(req.user.uid);
   }
+  return req.userRole;
 };
 
 export const authorize = (roles) => {
   return async (req, res, next) => {
     try {
-      const userDoc = await admin.firestore().collection('users').doc(req.user.uid).get();
-      const user = userDoc.data();
+      const role = await resolveUserRole(req);
 
-      if (!roles.includes(user.role)) {
-        return res.status(403).json({ error: 'Insufficient permissions' });
+      if (!role) {
+        throw new ForbiddenError('User profile not found. Please complete registration.', 'PROFILE_INCOMPLETE');
+      }
+
+      if (!roles.includes(role)) {
+        throw new ForbiddenError('Insufficient permissions', 'INSUFFICIENT_ROLE');
       }
 
       next();
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,49 @@
+import { ForbiddenError } from '../errors.js';
+import { logger } from '../logger.js';
+import { REQUEST_ID_HEADER } from './requestLogger.js';
+
+// CORS Configuration
+export const DEFAULT_ALLOWED_ORIGINS = [
+  'https://career-guidance-application-fronten-inky.vercel.app',
+  'https://career-guidance-appl-git-a985c3-khabelelethako4-coders-projects.vercel.app',
+  'https://career-guidance-application-frontend-stcg-9tiekzm6v.vercel.app',
+  'http://localhost:3000',
+  'http://localhost:5173',
+  'http://127.0.0.1:3000',
+  'http://127.0.0.1:5173'
+];
+
+// Requests with no origin (mobile apps, Postman, server-to-server) are allowed, as are
+// Vercel preview deployments of the frontend
+export const isOriginAllowed = (origin, allowedOrigins = DEFAULT_ALLOWED_ORIGINS) => {
+  if (!origin || allowedOrigins.includes(origin)) {
+    return true;
+  }
+  return origin.includes('career-guidance-application') ||
+    origin.includes('career-guidance-appl') ||
+    origin.endsWith('.vercel.app');
+};
+
+export const createCorsOptions = (allowedOrigins = DEFAULT_ALLOWED_ORIGINS) => ({
+  origin: function (origin, callback) {
+    if (isOriginAllowed(origin, allowedOrigins)) {
+      callback(null, true);
+    } else {
+      logger.warn('CORS blocked origin', { origin });
+      callback(new ForbiddenError('Origin not allowed', 'CORS_ORIGIN_NOT_ALLOWED'));
+    }
+  },
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    'X-Requested-With',
+    'Accept',
+    'Origin',
+    'x-auth-token',
+    REQUEST_ID_HEADER
+  ],
+  exposedHeaders: [REQUEST_ID_HEADER, 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
+  optionsSuccessStatus: 200
+});
@@ -0,0 +1,43 @@
+import { NotFoundError, toAppError } from '../errors.js';
+import { logger } from '../logger.js';
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// Requests no router handled
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError('Route not found', 'ROUTE_NOT_FOUND', {
+    method: req.method,
+    path: req.originalUrl
+  }));
+};
+
+// Final error handler: every error response has the shape { error, code, details?,
+// requestId }. Server errors are logged; outside production the message and stack of
+// the underlying error are included under `debug`.
+export const errorHandler = (error, req, res, next) => {
+  const appError = toAppError(error);
+  res.locals.errorCode = appError.code;
+
+  if (appError.status >= 500) {
+    logger.error('Request failed', { method: req.method, path: req.path, code: appError.code, error });
+  }
+
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const body = { error: appError.message, code: appError.code };
+  if (appError.details !== undefined) {
+    body.details = appError.details;
+  }
+  if (req.id) {
+    body.requestId = req.id;
+  }
+
+  if (appError.status >= 500 && appError.cause && !isProduction()) {
+    const { cause } = appError;
+    body.debug = { message: cause.message, code: cause.code, stack: cause.stack };
+  }
+
+  res.status(appError.status).json(body);
+};
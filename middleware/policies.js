@@ -0,0 +1,103 @@
+import { ForbiddenError, NotFoundError } from '../errors.js';
+import {
+  applicationRepository,
+  companyRepository,
+  courseRepository,
+  facultyRepository,
+  institutionRepository,
+  jobApplicationRepository,
+  jobRepository,
+  transcriptRepository
+} from '../repositories/index.js';
+import { resolveUserRole } from './auth.js';
+
+const isInstitutionAdmin = async (institutionId, uid) =>
+  (await institutionRepository.findById(institutionId))?.adminId === uid;
+
+const isCompanyAdmin = async (companyId, uid) =>
+  (await companyRepository.findById(companyId))?.adminId === uid;
+
+// Ownership rules routes can attach with requireOwnership(policy, param). Each one
+// loads the resource named by the route param and decides whether the user owns it.
+export const OWNERSHIP_POLICIES = {
+  // institution admin of :institutionId
+  institutionAdmin: {
+    label: 'Institution',
+    repository: institutionRepository,
+    isOwner: (institution, uid) => institution.adminId === uid
+  },
+  // institution admin of the course's institution
+  courseInstitutionAdmin: {
+    label: 'Course',
+    repository: courseRepository,
+    isOwner: (course, uid) => isInstitutionAdmin(course.institutionId, uid)
+  },
+  facultyInstitutionAdmin: {
+    label: 'Faculty',
+    repository: facultyRepository,
+    isOwner: (faculty, uid) => isInstitutionAdmin(faculty.institutionId, uid)
+  },
+  // student who owns application :applicationId
+  applicationOwner: {
+    label: 'Application',
+    repository: applicationRepository,
+    isOwner: (application, uid) => application.studentId === uid
+  },
+  // institution admin of the institution the application was made to
+  applicationInstitutionAdmin: {
+    label: 'Application',
+    repository: applicationRepository,
+    isOwner: (application, uid) => isInstitutionAdmin(application.institutionId, uid)
+  },
+  // company admin of :companyId
+  companyAdmin: {
+    label: 'Company',
+    repository: companyRepository,
+    isOwner: (company, uid) => company.adminId === uid
+  },
+  // company admin of the company that posted the job
+  jobCompanyAdmin: {
+    label: 'Job',
+    repository: jobRepository,
+    isOwner: (job, uid) => isCompanyAdmin(job.companyId, uid)
+  },
+  jobApplicationOwner: {
+    label: 'Job application',
+    repository: jobApplicationRepository,
+    isOwner: (jobApplication, uid) => jobApplication.studentId === uid
+  },
+  transcriptOwner: {
+    label: 'Transcript',
+    repository: transcriptRepository,
+    isOwner: (transcript, uid) => transcript.studentId === uid
+  }
+};
+
+// Load the resource named by req.params[param] and allow the request only when the
+// policy says the user owns it (platform admins always pass). The loaded resource
+// is left on req.resources[param] for the handler.
+export const requireOwnership = (policyName, param) => {
+  const policy = OWNERSHIP_POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown ownership policy: ${policyName}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const resource = await policy.repository.findById(req.params[param]);
+      if (!resource) {
+        throw new NotFoundError(`${policy.label} not found`);
+      }
+
+      const role = await resolveUserRole(req);
+      if (role !== 'admin' && !(await policy.isOwner(resource, req.user.uid))) {
+        throw new ForbiddenError();
+      }
+
+      req.resources = { ...req.resources, [param]: resource };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,143 @@
+import { TooManyRequestsError } from '../errors.js';
+import { logger } from '../logger.js';
+import { getRateLimitStore } from '../services/rateLimitService.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const clientIp = (req) => req.ip || req.socket?.remoteAddress;
+const bodyEmail = (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : undefined);
+
+// What a limit is counted against. A rule whose key can't be worked out for a request
+// (no signed-in user, no email in the body) doesn't apply to it. The client IP is
+// req.ip, so set TRUST_PROXY when running behind a proxy or load balancer.
+// The tight per-email limits also count per IP, so nobody can use up someone else's
+// allowance by sending requests with their address; a looser limit on the email alone
+// caps how many messages one inbox gets from clients that keep changing IP.
+export const RATE_LIMIT_KEYS = {
+  ip: (req) => clientIp(req),
+  user: (req) => req.user?.uid,
+  email: (req) => bodyEmail(req),
+  emailAndIp: (req) => {
+    const email = bodyEmail(req);
+    const ip = clientIp(req);
+    return email && ip ? `${email}:${ip}` : undefined;
+  }
+};
+
+// Limits routes can attach with rateLimit(policy). Each rule allows `max` requests per
+// key in a fixed window of `windowMs`; a request over any rule of its policy is refused.
+export const RATE_LIMIT_POLICIES = {
+  // token guessing and replay
+  login: [
+    { by: 'ip', max: 20, windowMs: 15 * MINUTE }
+  ],
+  createProfile: [
+    { by: 'ip', max: 10, windowMs: HOUR },
+    { by: 'emailAndIp', max: 5, windowMs: HOUR },
+    { by: 'email', max: 10, windowMs: HOUR }
+  ],
+  // probing for registered emails and flooding inboxes
+  resendVerification: [
+    { by: 'ip', max: 10, windowMs: HOUR },
+    { by: 'emailAndIp', max: 3, windowMs: HOUR },
+    { by: 'email', max: 10, windowMs: HOUR }
+  ],
+  courseApplication: [
+    { by: 'user', max: 10, windowMs: HOUR }
+  ],
+  jobApplication: [
+    { by: 'user', max: 30, windowMs: HOUR },
+    { by: 'user', max: 100, windowMs: DAY }
+  ],
+  jobPosting: [
+    { by: 'user', max: 20, windowMs: HOUR },
+    { by: 'user', max: 50, windowMs: DAY }
+  ]
+};
+
+// Count the request against every rule of the policy and refuse it with 429 and a
+// Retry-After header (seconds) when any rule is exceeded. RateLimit-* headers report
+// the rule closest to its limit. Goes after authenticate for per-user rules and after
+// validate for per-email rules. If the counter store fails the request is let through.
+export const rateLimit = (policyName) => {
+  const rules = RATE_LIMIT_POLICIES[policyName];
+  if (!rules) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
+  }
+
+  return async (req, res, next) => {
+    let results;
+    try {
+      results = await countRequest(policyName, rules, req);
+    } catch (error) {
+      logger.error('Rate limit check failed', { policy: policyName, error });
+      return next();
+    }
+
+    if (results.length === 0) {
+      return next();
+    }
+
+    const tightest = results.reduce((closest, result) => (result.remaining < closest.remaining ? result : closest));
+    res.setHeader('RateLimit-Limit', tightest.rule.max);
+    res.setHeader('RateLimit-Remaining', tightest.remaining);
+    res.setHeader('RateLimit-Reset', tightest.resetSeconds);
+
+    const exceeded = results.filter(result => result.exceeded);
+    if (exceeded.length === 0) {
+      return next();
+    }
+
+    const retryAfter = Math.max(...exceeded.map(result => result.resetSeconds));
+    res.setHeader('Retry-After', retryAfter);
+    logger.warn('Rate limit exceeded', {
+      policy: policyName,
+      by: exceeded.map(result => result.rule.by),
+      userId: req.user?.uid
+    });
+    next(new TooManyRequestsError('Too many requests. Please try again later.', 'RATE_LIMITED', {
+      policy: policyName,
+      retryAfterSeconds: retryAfter
+    }));
+  };
+};
+
+// Without TRUST_PROXY every request seems to come from the proxy, so all clients share
+// one IP and its limits. Warns once per app when a request arrives through a proxy
+// (it carries X-Forwarded-For) while 'trust proxy' is off.
+export const warnUntrustedProxy = () => {
+  let warned = false;
+  return (req, res, next) => {
+    if (!warned && req.headers['x-forwarded-for'] && !req.app.get('trust proxy')) {
+      warned = true;
+      logger.warn('Request came through a proxy but TRUST_PROXY is not set: rate limits and audit logs ' +
+        'will see the proxy address instead of the client', { proxy: req.socket?.remoteAddress });
+    }
+    next();
+  };
+};
+
+// Helper function to count a request against each rule that applies to it
+const countRequest = async (policyName, rules, req) => {
+  const store = getRateLimitStore();
+  const now = Date.now();
+  const results = [];
+
+  for (const rule of rules) {
+    const keyValue = RATE_LIMIT_KEYS[rule.by](req);
+    if (!keyValue) continue;
+
+    const key = `${policyName}:${rule.by}:${rule.windowMs}:${keyValue}`;
+    const { count, resetAt } = await store.increment(key, rule.windowMs);
+    results.push({
+      rule,
+      remaining: Math.max(rule.max - count, 0),
+      exceeded: count > rule.max,
+      resetSeconds: Math.max(Math.ceil((new Date(resetAt).getTime() - now) / 1000), 1)
+    });
+  }
+
+  return results;
+};
@@ -0,0 +1,44 @@
+import { randomUUID } from 'crypto';
+import { logger, runWithLogContext } from '../logger.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// IDs passed in by a client or proxy are reused only when they look like IDs
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Give every request an ID, echo it in the X-Request-Id response header and tag every
+// log entry made while handling the request with it. One access-log line is written
+// when the response finishes (or the client goes away). The query string is left out
+// of the log because it can carry search terms such as email addresses.
+export const requestLogger = () => (req, res, next) => {
+  const incomingId = req.get(REQUEST_ID_HEADER);
+  req.id = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : randomUUID();
+  res.setHeader(REQUEST_ID_HEADER, req.id);
+
+  const startedAt = process.hrtime.bigint();
+  const accessLog = logger.child({ requestId: req.id });
+  let logged = false;
+
+  const logAccess = () => {
+    if (logged) return;
+    logged = true;
+
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    accessLog[level]('Request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+      responseBytes: Number(res.getHeader('Content-Length')) || undefined,
+      userId: req.user?.uid,
+      errorCode: res.locals.errorCode,
+      ...(!res.writableFinished && { aborted: true })
+    });
+  };
+
+  res.on('finish', logAccess);
+  res.on('close', logAccess);
+
+  runWithLogContext({ requestId: req.id }, next);
+};
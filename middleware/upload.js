@@ -0,0 +1,41 @@
+import multer from 'multer';
+import { BadRequestError, PayloadTooLargeError } from '../errors.js';
+
+export const TRANSCRIPT_CONTENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB, 10) || 5) * 1024 * 1024;
+
+// Single-file multipart upload held in memory, then handed to the storage backend
+export const uploadSingle = (field, allowedTypes = TRANSCRIPT_CONTENT_TYPES) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        return cb(new BadRequestError(
+          `Unsupported file type. Allowed types: ${allowedTypes.join(', ')}`,
+          'UNSUPPORTED_FILE_TYPE'
+        ));
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return next(new PayloadTooLargeError(
+          `File is too large. Maximum size is ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB`,
+          'FILE_TOO_LARGE'
+        ));
+      }
+
+      // Other multer errors (unexpected field, too many files...) are the client's
+      next(error instanceof multer.MulterError ? new BadRequestError(error.message, error.code) : error);
+    });
+  };
+};
@@ -1,27 +1,206 @@
-import { body, validationResult } from 'express-validator';
-
-export const validateRegistration = [
-  body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
-  body('role').isIn(['student', 'institution', 'company']),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+import { checkSchema, validationResult } from 'express-validator';
+import { ValidationError } from '../errors.js';
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Validate a request against a route schema of the form { params, query, body }, where
+// each part maps field paths ('profile.firstName', 'grades.*') to express-validator
+// rules, usually built with the helpers below. Fields the schema doesn't declare are
+// rejected, so a part left out must be empty; a field whose children are declared
+// only allows those children. Sanitizers run in place: handlers see trimmed strings,
+// numbers, booleans and Date objects on req.
+export const validate = (schema = {}) => {
+  const allowed = Object.fromEntries(
+    LOCATIONS.map(location => [location, toFieldTree(Object.keys(schema[location] || {}))])
+  );
+
+  return [
+    ...LOCATIONS.map(location => checkSchema(schema[location] || {}, [location])),
+    (req, res, next) => handleValidationErrors(req, res, next, allowed)
+  ];
+};
+
+const presence = (required) => required
+  ? { exists: { options: { values: 'null' }, errorMessage: 'is required', bail: true } }
+  : { optional: true };
+
+// Standard validators check each item of an array on their own, so scalar fields
+// refuse arrays and objects up front
+const scalar = {
+  isScalar: {
+    custom: value => value === null || typeof value !== 'object',
+    errorMessage: 'must be a single value',
+    bail: true
+  }
+};
+
+// Free text, trimmed. `notEmpty` defaults to `required` so optional fields can still
+// refuse blanks (e.g. renaming something).
+export const string = ({ required = false, notEmpty = required, max = 200 } = {}) => ({
+  ...presence(required),
+  isString: { errorMessage: 'must be a string', bail: true },
+  trim: true,
+  ...(notEmpty && { notEmpty: { errorMessage: 'must not be empty', bail: true } }),
+  isLength: { options: { max }, errorMessage: `must be at most ${max} characters` }
+});
+
+export const text = (options = {}) => string({ max: 5000, ...options });
+
+export const email = ({ required = false } = {}) => ({
+  ...presence(required),
+  isString: { errorMessage: 'must be a string', bail: true },
+  trim: true,
+  isEmail: { errorMessage: 'must be a valid email address', bail: true },
+  toLowerCase: true
+});
+
+// Firestore document id (or Auth uid)
+export const id = ({ required = true } = {}) => ({
+  ...presence(required),
+  isString: { errorMessage: 'must be a string', bail: true },
+  trim: true,
+  notEmpty: { errorMessage: 'must not be empty', bail: true },
+  isLength: { options: { max: 128 }, errorMessage: 'must be at most 128 characters', bail: true },
+  matches: { options: [/^[^/]+$/], errorMessage: 'must not contain "/"' }
+});
+
+export const oneOf = (values, { required = false } = {}) => ({
+  ...presence(required),
+  ...scalar,
+  isIn: { options: [values], errorMessage: `must be one of: ${values.join(', ')}` }
+});
+
+export const int = ({ required = false, min, max } = {}) => ({
+  ...presence(required),
+  ...scalar,
+  isInt: { options: { min, max }, errorMessage: rangeMessage('an integer', min, max), bail: true },
+  toInt: true
+});
+
+export const number = ({ required = false, min, max } = {}) => ({
+  ...presence(required),
+  ...scalar,
+  isFloat: { options: { min, max }, errorMessage: rangeMessage('a number', min, max), bail: true },
+  toFloat: true
+});
+
+// Accepts true/false (or "true"/"false" in query strings)
+export const boolean = ({ required = false } = {}) => ({
+  ...presence(required),
+  ...scalar,
+  isBoolean: { errorMessage: 'must be true or false', bail: true },
+  toBoolean: { options: [true] }
+});
+
+// ISO 8601 date or date-time, converted to a Date
+export const date = ({ required = false } = {}) => ({
+  ...presence(required),
+  ...scalar,
+  isISO8601: { errorMessage: 'must be an ISO 8601 date', bail: true },
+  toDate: true
+});
+
+export const array = ({ required = false, min = 0, max = 500 } = {}) => ({
+  ...presence(required),
+  isArray: {
+    options: { min, max },
+    errorMessage: min > 0 ? `must be an array of ${min} to ${max} items` : `must be an array of at most ${max} items`
+  }
+});
+
+export const object = ({ required = false } = {}) => ({
+  ...presence(required),
+  isObject: { errorMessage: 'must be an object' }
+});
+
+// Field checked by one of the services' validators, which return a list of problems
+// (e.g. validateRequirements); the problems become the field's message
+export const rules = (validator, { required = false } = {}) => ({
+  ...presence(required),
+  rules: {
+    custom: value => {
+      const problems = validator(value);
+      if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+      }
+      return true;
     }
-    next();
   }
-];
-
-export const validateCourse = [
-  body('name').notEmpty(),
-  body('facultyId').notEmpty(),
-  body('requirements').notEmpty(),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+});
+
+// Page size, cursor and whether to count every match (?includeTotal=true), shared by
+// the paginated list routes
+export const page = ({ defaultLimit = 20, maxLimit = 100 } = {}) => ({
+  limit: {
+    withDefault: { customSanitizer: value => value ?? defaultLimit },
+    ...scalar,
+    isInt: { options: { min: 1, max: maxLimit }, errorMessage: rangeMessage('an integer', 1, maxLimit), bail: true },
+    toInt: true
+  },
+  cursor: id({ required: false }),
+  includeTotal: boolean()
+});
+
+// Sort order for list routes: one of the allowed fields, or "-field" for descending
+export const sort = (fields, defaultSort) => {
+  const values = fields.flatMap(field => [field, `-${field}`]);
+  return {
+    sort: {
+      withDefault: { customSanitizer: value => value ?? defaultSort },
+      ...scalar,
+      isIn: { options: [values], errorMessage: `must be one of: ${values.join(', ')}` }
     }
-    next();
+  };
+};
+
+function rangeMessage(kind, min, max) {
+  if (min !== undefined && max !== undefined) return `must be ${kind} between ${min} and ${max}`;
+  if (min !== undefined) return `must be ${kind} of at least ${min}`;
+  if (max !== undefined) return `must be ${kind} of at most ${max}`;
+  return `must be ${kind}`;
+}
+
+// Nested map of declared field paths: 'profile.firstName' -> { profile: { firstName: {} } }
+function toFieldTree(fields) {
+  const tree = {};
+  fields.forEach(field => {
+    field.split('.').reduce((node, segment) => (node[segment] = node[segment] || {}), tree);
+  });
+  return tree;
+}
+
+// Paths in `value` the tree doesn't cover. Declared fields without declared children
+// are validated as a whole, so their contents aren't inspected.
+function findUnknownFields(value, tree, path = '') {
+  if (!value || typeof value !== 'object' || (path && Object.keys(tree).length === 0)) {
+    return [];
+  }
+
+  return Object.keys(value).flatMap(key => {
+    const fieldPath = Array.isArray(value) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+    const branch = tree[key] || tree['*'];
+    return branch ? findUnknownFields(value[key], branch, fieldPath) : [fieldPath];
+  });
+}
+
+// One ValidationError for every failure: each problem names its location and field path
+function handleValidationErrors(req, res, next, allowed) {
+  const details = LOCATIONS.flatMap(location =>
+    findUnknownFields(req[location], allowed[location])
+      .map(field => ({ location, field, message: 'is not an allowed field' }))
+  );
+
+  const seen = new Set();
+  validationResult(req).array().forEach(error => {
+    const key = `${error.location}:${error.path}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      details.push({ location: error.location, field: error.path, message: error.msg });
+    }
+  });
+
+  if (details.length > 0) {
+    return next(new ValidationError(details));
   }
-];
\ No newline at end of file
+  next();
+}
@@ -0,0 +1,137 @@
+import { db } from '../firebase.js';
+import { BadRequestError } from '../errors.js';
+import { toPage } from './pagination.js';
+
+const toFilters = (where) => (Array.isArray(where)
+  ? where
+  : Object.entries(where)
+    .filter(([, value]) => value !== undefined)
+    .map(([field, value]) => [field, '==', value]));
+
+// Whether a document's data passes the == filters of a query (used to check cursors)
+const matchesEqualityFilters = (data, where) => toFilters(where)
+  .filter(([field, op]) => op === '==' && !field.includes('.'))
+  .every(([field, , value]) => data[field] === value);
+
+const toOrders = (orderBy) => {
+  if (!orderBy || (Array.isArray(orderBy) && !orderBy.length)) return [];
+  if (!Array.isArray(orderBy)) return [[orderBy, 'asc']];
+  return Array.isArray(orderBy[0]) ? orderBy : [orderBy];
+};
+
+// Data access for one collection. Repositories read the shared `db` at call time,
+// so the same code runs against Firestore or the in-memory backend.
+//
+// `where` is either an object of equality filters ({ studentId, status }) or a list
+// of [field, operator, value] triples. `orderBy` is a field, a [field, direction]
+// pair or a list of pairs.
+export const createRepository = (collectionName) => {
+  const collection = () => db.collection(collectionName);
+  const ref = (id) => collection().doc(String(id));
+
+  const toEntity = (doc) => (doc.exists ? { id: doc.id, ...doc.data() } : null);
+
+  const query = ({ where = {}, orderBy, limit, startAfter } = {}) => {
+    let result = toFilters(where).reduce((current, [field, op, value]) => current.where(field, op, value), collection());
+    toOrders(orderBy).forEach(([field, direction = 'asc']) => {
+      result = result.orderBy(field, direction);
+    });
+
+    if (startAfter) result = result.startAfter(startAfter);
+    if (limit) result = result.limit(limit);
+    return result;
+  };
+
+  const find = async (options = {}) => {
+    const snapshot = await query(options).get();
+    return snapshot.docs.map(toEntity);
+  };
+
+  const count = async (where = {}) => {
+    const snapshot = await query({ where }).count().get();
+    return snapshot.data().count;
+  };
+
+  return {
+    collectionName,
+    collection,
+    ref,
+    query,
+    find,
+    count,
+
+    // One page of matches in the envelope from ./pagination.js. `cursor` is the
+    // nextCursor of the previous page; it has to be a document the filters match.
+    // The matches are only counted when `includeTotal` is set.
+    findPage: async ({ where = {}, orderBy, limit, cursor, includeTotal = false }) => {
+      let startAfter;
+      if (cursor) {
+        startAfter = await ref(cursor).get();
+        if (!startAfter.exists || !matchesEqualityFilters(startAfter.data(), where)) {
+          throw new BadRequestError('Invalid cursor', 'INVALID_CURSOR');
+        }
+      }
+
+      const [rows, total] = await Promise.all([
+        find({ where, orderBy, limit: limit + 1, startAfter }),
+        includeTotal ? count(where) : null
+      ]);
+      return toPage(rows, { limit, total });
+    },
+
+    findById: async (id) => (id ? toEntity(await ref(id).get()) : null),
+
+    // Existing documents for the given ids, in the same order
+    findByIds: async (ids) => {
+      const unique = [...new Set(ids.filter(Boolean).map(String))];
+      if (!unique.length) return [];
+      const docs = await db.getAll(...unique.map(ref));
+      return docs.map(toEntity).filter(Boolean);
+    },
+
+    findOne: async (where) => {
+      const [entity] = await find({ where, limit: 1 });
+      return entity || null;
+    },
+
+    create: async (data, id) => {
+      const docRef = id ? ref(id) : collection().doc();
+      await docRef.set(data);
+      return { id: docRef.id, ...data };
+    },
+
+    set: (id, data, options = {}) => ref(id).set(data, options),
+    update: (id, changes) => ref(id).update(changes),
+    remove: (id) => ref(id).delete()
+  };
+};
+
+const users = createRepository('users');
+export const userRepository = {
+  ...users,
+  findByEmail: (email) => users.findOne({ email: email.trim().toLowerCase() })
+};
+
+export const institutionRepository = createRepository('institutions');
+export const facultyRepository = createRepository('faculties');
+export const courseRepository = createRepository('courses');
+export const applicationRepository = createRepository('applications');
+export const companyRepository = createRepository('companies');
+export const jobRepository = createRepository('jobs');
+export const jobApplicationRepository = createRepository('jobApplications');
+
+const transcripts = createRepository('transcripts');
+export const transcriptRepository = {
+  ...transcripts,
+  // The student's most recently uploaded transcript, or null
+  findLatestForStudent: async (studentId) => {
+    const [latest] = await transcripts.find({ where: { studentId }, orderBy: ['uploadedAt', 'desc'], limit: 1 });
+    return latest || null;
+  }
+};
+
+export const notificationRepository = createRepository('notifications');
+export const auditLogRepository = createRepository('auditLogs');
+export const documentRepository = createRepository('documents');
+export const savedCourseRepository = createRepository('savedCourses');
+export const admissionPeriodRepository = createRepository('admissionPeriods');
@@ -0,0 +1,149 @@
+import { randomBytes } from 'crypto';
+
+// In-memory stand-in for the Firebase Admin Auth client, used together with the
+// in-memory database (DATABASE_DRIVER=memory) so the backend runs without a Firebase
+// project. It covers the calls the app makes: verifyIdToken, getUser, getUserByEmail,
+// createUser, updateUser, setCustomUserClaims, revokeRefreshTokens,
+// generateEmailVerificationLink and listUsers.
+//
+// ID tokens are NOT signed: "memory." followed by base64url JSON
+// { uid, email, email_verified, iat }. createIdToken(uid) builds one for an existing
+// user; a token for an unknown uid signs that user up, like the client SDK would.
+// Anyone can write such a token, so this is for local development and tests only.
+
+const TOKEN_PREFIX = 'memory.';
+
+const authError = (code, message) => Object.assign(new Error(message), { code });
+
+const clone = (value) => structuredClone(value);
+
+const decodeToken = (token) => {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(token.slice(TOKEN_PREFIX.length), 'base64url').toString('utf8'));
+    return typeof payload?.uid === 'string' && payload.uid ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+export const encodeMemoryToken = (payload) =>
+  `${TOKEN_PREFIX}${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+
+// seed: { [uid]: { email, emailVerified, disabled, customClaims } }
+export const createMemoryAuth = (seed = {}) => {
+  const users = new Map();
+
+  const findUser = (uid) => {
+    const user = users.get(uid);
+    if (!user) throw authError('auth/user-not-found', `There is no user record corresponding to the provided identifier.`);
+    return user;
+  };
+
+  const findByEmail = (email) =>
+    [...users.values()].find(user => user.email && user.email === String(email).toLowerCase());
+
+  const auth = {
+    async createUser({ uid = randomBytes(14).toString('hex'), email, emailVerified = false, disabled = false } = {}) {
+      if (users.has(uid)) {
+        throw authError('auth/uid-already-exists', 'The user with the provided uid already exists.');
+      }
+      if (email && findByEmail(email)) {
+        throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+      }
+
+      const now = new Date().toUTCString();
+      users.set(uid, {
+        uid,
+        email: email ? String(email).toLowerCase() : undefined,
+        emailVerified,
+        disabled,
+        customClaims: {},
+        metadata: { creationTime: now, lastSignInTime: null },
+        tokensValidAfterTime: null
+      });
+      return clone(users.get(uid));
+    },
+
+    async getUser(uid) {
+      return clone(findUser(uid));
+    },
+
+    async getUserByEmail(email) {
+      const user = findByEmail(email);
+      if (!user) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+      return clone(user);
+    },
+
+    async updateUser(uid, { email, emailVerified, disabled } = {}) {
+      const user = findUser(uid);
+      if (email !== undefined) user.email = String(email).toLowerCase();
+      if (emailVerified !== undefined) user.emailVerified = emailVerified;
+      if (disabled !== undefined) user.disabled = disabled;
+      return clone(user);
+    },
+
+    async setCustomUserClaims(uid, claims) {
+      findUser(uid).customClaims = clone(claims || {});
+    },
+
+    // Tokens issued before now stop passing verifyIdToken(token, true)
+    async revokeRefreshTokens(uid) {
+      findUser(uid).tokensValidAfterTime = new Date().toISOString();
+    },
+
+    async generateEmailVerificationLink(email) {
+      const user = await auth.getUserByEmail(email);
+      return `http://localhost/verify-email?uid=${encodeURIComponent(user.uid)}&oobCode=${randomBytes(12).toString('hex')}`;
+    },
+
+    async listUsers(maxResults = 1000) {
+      return { users: [...users.values()].slice(0, maxResults).map(clone) };
+    },
+
+    async verifyIdToken(token, checkRevoked = false) {
+      const payload = decodeToken(token);
+      if (!payload) {
+        throw authError('auth/argument-error', 'Decoding Firebase ID token failed.');
+      }
+
+      if (!users.has(payload.uid)) {
+        await auth.createUser({ uid: payload.uid, email: payload.email, emailVerified: payload.email_verified === true });
+      }
+      const user = users.get(payload.uid);
+      const issuedAt = typeof payload.iat === 'number' ? payload.iat : Date.now() / 1000;
+
+      if (checkRevoked) {
+        if (user.disabled) {
+          throw authError('auth/user-disabled', 'The user record is disabled.');
+        }
+        if (user.tokensValidAfterTime && issuedAt * 1000 < Date.parse(user.tokensValidAfterTime)) {
+          throw authError('auth/id-token-revoked', 'The Firebase ID token has been revoked.');
+        }
+      }
+
+      user.metadata.lastSignInTime = new Date().toUTCString();
+      return {
+        ...clone(user.customClaims),
+        uid: user.uid,
+        sub: user.uid,
+        email: user.email,
+        email_verified: user.emailVerified,
+        iat: issuedAt
+      };
+    },
+
+    // Test helper (not part of the Admin SDK): an ID token for an existing user
+    createIdToken(uid) {
+      const user = findUser(uid);
+      return encodeMemoryToken({ uid, email: user.email, email_verified: user.emailVerified, iat: Date.now() / 1000 });
+    }
+  };
+
+  Object.entries(seed).forEach(([uid, { customClaims, ...record }]) => {
+    auth.createUser({ uid, ...record });
+    if (customClaims) users.get(uid).customClaims = clone(customClaims);
+  });
+
+  return auth;
+};
@@ -0,0 +1,428 @@
+import { randomInt } from 'crypto';
+
+// In-memory stand-in for the Firestore client. It covers the API the routes and
+// services use (collections, documents, where/orderBy/limit/startAfter queries,
+// count(), getAll, batches, transactions and FieldValue transforms), so the app
+// can run without a Firebase project. Dates are returned as Dates, not Timestamps.
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const MAX_BATCH_WRITES = 500;
+
+const autoId = () => Array.from({ length: 20 }, () => AUTO_ID_CHARS[randomInt(AUTO_ID_CHARS.length)]).join('');
+
+const clone = (value) => structuredClone(value);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const isDocumentId = (field) => field === '__name__' || field?.segments?.[0] === '__name__';
+
+const toFieldPath = (field) => (field?.segments ? field.segments.join('.') : String(field));
+
+const notFound = (path) => {
+  const error = new Error(`5 NOT_FOUND: No document to update: ${path}`);
+  error.code = 5;
+  return error;
+};
+
+// ---- field values -------------------------------------------------------
+
+const getField = (data, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const TYPE_ORDER = ['null', 'boolean', 'number', 'date', 'string', 'array', 'object'];
+
+const typeOf = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date || typeof value?.toDate === 'function') return 'date';
+  if (Array.isArray(value)) return 'array';
+  return typeof value === 'object' ? 'object' : typeof value;
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value?.toDate === 'function') return value.toDate().getTime();
+  return value;
+};
+
+// Firestore ordering: values of different types sort by type first
+const compareValues = (a, b) => {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+  if (typeA !== typeB) return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+  if (typeA === 'array' || typeA === 'object') {
+    return JSON.stringify(a).localeCompare(JSON.stringify(b));
+  }
+  const valueA = comparable(a);
+  const valueB = comparable(b);
+  if (valueA < valueB) return -1;
+  if (valueA > valueB) return 1;
+  return 0;
+};
+
+const isEqualValue = (a, b) => typeOf(a) === typeOf(b) && compareValues(a, b) === 0;
+
+const FILTERS = {
+  '==': (value, operand) => isEqualValue(value, operand),
+  '!=': (value, operand) => !isEqualValue(value, operand),
+  '<': (value, operand) => typeOf(value) === typeOf(operand) && compareValues(value, operand) < 0,
+  '<=': (value, operand) => typeOf(value) === typeOf(operand) && compareValues(value, operand) <= 0,
+  '>': (value, operand) => typeOf(value) === typeOf(operand) && compareValues(value, operand) > 0,
+  '>=': (value, operand) => typeOf(value) === typeOf(operand) && compareValues(value, operand) >= 0,
+  'in': (value, operand) => operand.some(item => isEqualValue(value, item)),
+  'not-in': (value, operand) => !operand.some(item => isEqualValue(value, item)),
+  'array-contains': (value, operand) => Array.isArray(value) && value.some(item => isEqualValue(item, operand)),
+  'array-contains-any': (value, operand) =>
+    Array.isArray(value) && value.some(item => operand.some(candidate => isEqualValue(item, candidate)))
+};
+
+// ---- writes -------------------------------------------------------------
+
+// Resolve FieldValue sentinels (serverTimestamp, arrayUnion, ...) against the current value
+const resolveValue = (value, current) => {
+  switch (value?.methodName) {
+    case 'FieldValue.serverTimestamp':
+      return new Date();
+    case 'FieldValue.arrayUnion': {
+      const base = Array.isArray(current) ? [...current] : [];
+      value.elements.forEach(element => {
+        if (!base.some(item => isEqualValue(item, element))) base.push(clone(element));
+      });
+      return base;
+    }
+    case 'FieldValue.arrayRemove':
+      return (Array.isArray(current) ? current : [])
+        .filter(item => !value.elements.some(element => isEqualValue(item, element)));
+    case 'FieldValue.increment':
+      return (typeof current === 'number' ? current : 0) + value.operand;
+    default:
+      break;
+  }
+
+  if (isPlainObject(value)) {
+    return resolveObject(value, {});
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveValue(item, undefined));
+  }
+  return clone(value);
+};
+
+const isDelete = (value) => value?.methodName === 'FieldValue.delete';
+
+// Firestore refuses undefined anywhere in written data (ignoreUndefinedProperties is off)
+const assertNoUndefined = (value, argument, path = '') => {
+  if (value === undefined) {
+    throw new Error(`Value for argument "${argument}" is not a valid Firestore document. ` +
+      `Cannot use "undefined" as a Firestore value${path ? ` (found in field "${path}")` : ''}. ` +
+      'If you want to ignore undefined values, enable `ignoreUndefinedProperties`.');
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => assertNoUndefined(item, argument, `${path}.\`${index}\``));
+  } else if (isPlainObject(value) && !value.methodName) {
+    Object.entries(value).forEach(([key, item]) => assertNoUndefined(item, argument, path ? `${path}.${key}` : key));
+  }
+};
+
+const assertWritable = (type, data) => {
+  if (type !== 'delete') assertNoUndefined(data, type === 'update' ? 'dataOrField' : 'data');
+};
+
+const resolveObject = (data, current) => {
+  const result = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (isDelete(value)) return;
+    result[key] = resolveValue(value, current?.[key]);
+  });
+  return result;
+};
+
+// set(..., { merge: true }) merges nested maps instead of replacing them
+const mergeObject = (target, data) => {
+  const result = { ...target };
+  Object.entries(data).forEach(([key, value]) => {
+    if (isDelete(value)) {
+      delete result[key];
+    } else if (isPlainObject(value) && !value.methodName && isPlainObject(result[key])) {
+      result[key] = mergeObject(result[key], value);
+    } else {
+      result[key] = resolveValue(value, result[key]);
+    }
+  });
+  return result;
+};
+
+// update() takes dotted field paths and replaces whatever is at each path
+const applyUpdate = (target, data) => {
+  const result = clone(target);
+  Object.entries(data).forEach(([path, value]) => {
+    const keys = toFieldPath(path).split('.');
+    const last = keys.pop();
+    let parent = result;
+    keys.forEach(key => {
+      if (!isPlainObject(parent[key])) parent[key] = {};
+      parent = parent[key];
+    });
+
+    if (isDelete(value)) {
+      delete parent[last];
+    } else {
+      parent[last] = resolveValue(value, parent[last]);
+    }
+  });
+  return result;
+};
+
+// ---- client -------------------------------------------------------------
+
+export const createMemoryFirestore = (seed = {}) => {
+  const collections = new Map();
+
+  const getCollection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  const writeDocument = (ref, type, data, options = {}) => {
+    assertWritable(type, data);
+    const documents = getCollection(ref.parent.id);
+    const current = documents.get(ref.id);
+
+    if (type === 'delete') {
+      documents.delete(ref.id);
+    } else if (type === 'update') {
+      if (!current) throw notFound(ref.path);
+      documents.set(ref.id, applyUpdate(current, data));
+    } else if (type === 'create' && current) {
+      const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${ref.path}`);
+      error.code = 6;
+      throw error;
+    } else if (options.merge && current) {
+      documents.set(ref.id, mergeObject(current, data));
+    } else {
+      documents.set(ref.id, resolveObject(data, {}));
+    }
+  };
+
+  const snapshotOf = (ref) => {
+    const stored = getCollection(ref.parent.id).get(ref.id);
+    return {
+      id: ref.id,
+      ref,
+      exists: stored !== undefined,
+      data: () => (stored === undefined ? undefined : clone(stored)),
+      get: (field) => (stored === undefined ? undefined : clone(getField(stored, toFieldPath(field))))
+    };
+  };
+
+  const documentRef = (collectionRef, id = autoId()) => {
+    const ref = {
+      id: String(id),
+      parent: collectionRef,
+      path: `${collectionRef.id}/${id}`,
+      get: async () => snapshotOf(ref),
+      create: async (data) => writeDocument(ref, 'create', data),
+      set: async (data, options) => writeDocument(ref, 'set', data, options),
+      update: async (data) => writeDocument(ref, 'update', data),
+      delete: async () => writeDocument(ref, 'delete')
+    };
+    return ref;
+  };
+
+  const createQuery = (collectionRef, state = { filters: [], orders: [], limit: null, cursor: null }) => {
+    const extend = (changes) => createQuery(collectionRef, { ...state, ...changes });
+
+    const fieldValue = (doc, field) => (isDocumentId(field) ? doc.id : getField(doc.data, toFieldPath(field)));
+
+    // Explicit orderBy fields followed by the document id, like Firestore's implicit ordering
+    const sortFields = () => {
+      const lastDirection = state.orders[state.orders.length - 1]?.direction || 'asc';
+      return state.orders.some(order => isDocumentId(order.field))
+        ? state.orders
+        : [...state.orders, { field: '__name__', direction: lastDirection }];
+    };
+
+    const compareDocs = (a, b) => {
+      for (const { field, direction } of sortFields()) {
+        const result = compareValues(fieldValue(a, field), fieldValue(b, field));
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return 0;
+    };
+
+    const run = () => {
+      let docs = [...getCollection(collectionRef.id).entries()]
+        .map(([id, data]) => ({ id, data }))
+        .filter(doc => state.filters.every(({ field, op, value }) => {
+          const actual = fieldValue(doc, field);
+          return actual !== undefined && FILTERS[op](actual, value);
+        }))
+        // orderBy also excludes documents that don't have the field
+        .filter(doc => state.orders.every(({ field }) => fieldValue(doc, field) !== undefined))
+        .sort(compareDocs);
+
+      if (state.cursor) {
+        const fields = sortFields();
+        const cursorDoc = state.cursor.snapshot
+          ? { id: state.cursor.snapshot.id, data: state.cursor.snapshot.data() || {} }
+          : null;
+        docs = docs.filter(doc => {
+          for (let i = 0; i < fields.length; i++) {
+            const { field, direction } = fields[i];
+            let boundary;
+            if (cursorDoc) {
+              boundary = fieldValue(cursorDoc, field);
+            } else if (i < state.cursor.values.length) {
+              boundary = state.cursor.values[i];
+            } else {
+              return true;
+            }
+            const result = compareValues(fieldValue(doc, field), boundary);
+            if (result !== 0) return direction === 'desc' ? result < 0 : result > 0;
+          }
+          return false;
+        });
+      }
+
+      if (state.limit !== null) {
+        docs = docs.slice(0, state.limit);
+      }
+      return docs.map(doc => snapshotOf(documentRef(collectionRef, doc.id)));
+    };
+
+    return {
+      where(field, op, value) {
+        if (!FILTERS[op]) throw new Error(`Unsupported where operator: ${op}`);
+        if (value === undefined) {
+          throw new Error('Value for argument "value" is not a valid query constraint. ' +
+            'Cannot use "undefined" as a Firestore value.');
+        }
+        return extend({ filters: [...state.filters, { field, op, value }] });
+      },
+      orderBy(field, direction = 'asc') {
+        return extend({ orders: [...state.orders, { field, direction }] });
+      },
+      limit(count) {
+        return extend({ limit: count });
+      },
+      startAfter(...values) {
+        const [first] = values;
+        return extend({
+          cursor: first && typeof first.data === 'function' && 'exists' in first
+            ? { snapshot: first }
+            : { values }
+        });
+      },
+      count() {
+        return {
+          get: async () => {
+            const count = run().length;
+            return { data: () => ({ count }) };
+          }
+        };
+      },
+      async get() {
+        const docs = run();
+        return {
+          docs,
+          size: docs.length,
+          empty: docs.length === 0,
+          forEach: (callback) => docs.forEach(callback)
+        };
+      }
+    };
+  };
+
+  const collection = (name) => {
+    const collectionRef = { id: name, path: name };
+    return Object.assign(collectionRef, createQuery(collectionRef), {
+      doc: (id) => documentRef(collectionRef, id),
+      add: async (data) => {
+        const ref = documentRef(collectionRef);
+        writeDocument(ref, 'set', data);
+        return ref;
+      }
+    });
+  };
+
+  // Queues writes and applies them together, like a batch or transaction commit
+  const createWriteSet = () => {
+    const writes = [];
+    const queue = (type) => (ref, data, options) => {
+      assertWritable(type, data);
+      writes.push({ type, ref, data, options });
+      if (writes.length > MAX_BATCH_WRITES) {
+        throw new Error(`A batch can contain at most ${MAX_BATCH_WRITES} writes`);
+      }
+    };
+    return {
+      writes,
+      create: queue('create'),
+      set: queue('set'),
+      update: queue('update'),
+      delete: queue('delete'),
+      apply: () => {
+        // Check every update target first so a failed commit writes nothing
+        writes.forEach(({ type, ref }) => {
+          if (type === 'update' && !getCollection(ref.parent.id).has(ref.id)) throw notFound(ref.path);
+        });
+        writes.forEach(({ type, ref, data, options }) => writeDocument(ref, type, data, options));
+      }
+    };
+  };
+
+  // Transactions run one at a time so reads and the final commit can't interleave
+  let transactionChain = Promise.resolve();
+
+  const db = {
+    collection,
+    doc: (path) => {
+      const [collectionName, id] = path.split('/');
+      return collection(collectionName).doc(id);
+    },
+    getAll: async (...refs) => refs.map(ref => snapshotOf(ref)),
+    batch: () => {
+      const writeSet = createWriteSet();
+      const batch = {
+        create: (...args) => { writeSet.create(...args); return batch; },
+        set: (...args) => { writeSet.set(...args); return batch; },
+        update: (...args) => { writeSet.update(...args); return batch; },
+        delete: (...args) => { writeSet.delete(...args); return batch; },
+        commit: async () => {
+          writeSet.apply();
+          return writeSet.writes.map(() => ({ writeTime: new Date() }));
+        }
+      };
+      return batch;
+    },
+    runTransaction: (updateFunction) => {
+      const run = transactionChain.then(async () => {
+        const writeSet = createWriteSet();
+        const transaction = {
+          get: async (target) => target.get(),
+          getAll: async (...refs) => refs.map(ref => snapshotOf(ref)),
+          create: (...args) => { writeSet.create(...args); return transaction; },
+          set: (...args) => { writeSet.set(...args); return transaction; },
+          update: (...args) => { writeSet.update(...args); return transaction; },
+          delete: (...args) => { writeSet.delete(...args); return transaction; }
+        };
+        const result = await updateFunction(transaction);
+        writeSet.apply();
+        return result;
+      });
+      transactionChain = run.catch(() => {});
+      return run;
+    },
+    // Test helpers: inspect or reset the stored data
+    dump: () => Object.fromEntries([...collections].map(([name, documents]) =>
+      [name, Object.fromEntries([...documents].map(([id, data]) => [id, clone(data)]))]
+    )),
+    clear: () => collections.clear()
+  };
+
+  Object.entries(seed).forEach(([name, documents]) => {
+    Object.entries(documents).forEach(([id, data]) => writeDocument(collection(name).doc(id), 'set', data));
+  });
+
+  return db;
+};
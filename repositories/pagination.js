@@ -0,0 +1,55 @@
+import { BadRequestError } from '../errors.js';
+
+// Paginated list routes all answer with the same envelope:
+//   { items, nextCursor, hasMore, total }
+// nextCursor is the id of the last item on the page; sending it back as ?cursor=
+// returns the page after it. Counting every match costs a query, so total is null
+// unless the client asks for it with ?includeTotal=true (lists paged in memory
+// always know it).
+
+// "-createdAt" -> ['createdAt', 'desc'], "name" -> ['name', 'asc']
+export const toOrderBy = (sort) => (sort.startsWith('-') ? [sort.slice(1), 'desc'] : [sort, 'asc']);
+
+// Build the envelope from a query that fetched one row more than the page size
+export const toPage = (rows, { limit, total = null }) => {
+  const items = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  return {
+    items,
+    nextCursor: hasMore ? items[items.length - 1].id : null,
+    hasMore,
+    total
+  };
+};
+
+// Page through a list that was already loaded and sorted in memory (e.g. ranked by
+// a score computed per request). The cursor must be the id of an item in the list.
+export const paginateItems = (items, { cursor, limit }) => {
+  let start = 0;
+  if (cursor) {
+    const index = items.findIndex(item => item.id === cursor);
+    if (index === -1) {
+      throw new BadRequestError('Invalid cursor', 'INVALID_CURSOR');
+    }
+    start = index + 1;
+  }
+  return toPage(items.slice(start, start + limit + 1), { limit, total: items.length });
+};
+
+// Sort loaded items by a sort parameter (see toOrderBy); items without the field go last
+export const sortItems = (items, sort) => {
+  const [field, direction] = toOrderBy(sort);
+  const sign = direction === 'desc' ? -1 : 1;
+  const valueOf = (item) => {
+    const value = item[field];
+    return typeof value?.toMillis === 'function' ? value.toMillis() : value instanceof Date ? value.getTime() : value;
+  };
+  return [...items].sort((a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    if (left === right) return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    if (left === undefined || left === null) return 1;
+    if (right === undefined || right === null) return -1;
+    return (left < right ? -1 : 1) * sign;
+  });
+};
@@ -1,11 +1,31 @@
 import express from 'express';
-import { db } from '../server.js';
+import { BadRequestError, NotFoundError } from '../errors.js';
+import {
+  applicationRepository,
+  auditLogRepository,
+  companyRepository,
+  institutionRepository,
+  jobRepository,
+  userRepository
+} from '../repositories/index.js';
+import { toOrderBy } from '../repositories/pagination.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { toDate } from '../services/admissionService.js';
+import { changeCompanyStatus, getCompanyStatus } from '../services/companyStatusService.js';
+import { recordAudit } from '../services/auditService.js';
+import {
+  changeUserRole,
+  getAuthRecord,
+  revokeUserSessions,
+  setUserDisabled
+} from '../services/userManagementService.js';
+import * as schema from '../schemas/admin.js';
 
 const router = express.Router();
 
 // Get system statistics
-router.get('/stats', authenticate, authorize(['admin']), async (req, res) => {
+router.get('/stats', authenticate, authorize(['admin']), validate(), async (req, res, next) => {
   try {
     // Get counts for all collections
     const [
@@ -15,114 +35,287 @@ router.get('/stats', authenticate, authorize(['admin']), async (req, res) => {
       applicationsCount,
       jobsCount
     ] = await Promise.all([
-      db.collection('users').count().get(),
-      db.collection('institutions').count().get(),
-      db.collection('companies').count().get(),
-      db.collection('applications').count().get(),
-      db.collection('jobs').count().get()
+      userRepository.count(),
+      institutionRepository.count(),
+      companyRepository.count(),
+      applicationRepository.count(),
+      jobRepository.count()
     ]);
 
     // Get recent activities
-    const recentUsers = await db.collection('users')
-      .orderBy('createdAt', 'desc')
-      .limit(5)
-      .get();
-
-    const recentApplications = await db.collection('applications')
-      .orderBy('appliedAt', 'desc')
-      .limit(5)
-      .get();
+    const recentUsers = await userRepository.find({ orderBy: ['createdAt', 'desc'], limit: 5 });
+    const recentApplications = await applicationRepository.find({ orderBy: ['appliedAt', 'desc'], limit: 5 });
 
     const stats = {
-      users: usersCount.data().count,
-      institutions: institutionsCount.data().count,
-      companies: companiesCount.data().count,
-      applications: applicationsCount.data().count,
-      jobs: jobsCount.data().count,
-      recentUsers: recentUsers.docs.map(doc => ({ id: doc.id, ...doc.data() })),
-      recentApplications: recentApplications.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+      users: usersCount,
+      institutions: institutionsCount,
+      companies: companiesCount,
+      applications: applicationsCount,
+      jobs: jobsCount,
+      recentUsers,
+      recentApplications
     };
 
     res.json(stats);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Search users by role, email prefix, verification state and creation date
+router.get('/users', authenticate, authorize(['admin']), validate(schema.searchUsers), async (req, res, next) => {
+  try {
+    const { role, email, verified, createdFrom, createdTo, cursor, limit, includeTotal } = req.query;
+
+    // Firestore allows range filters on one field per query
+    if (email && (createdFrom || createdTo)) {
+      throw new BadRequestError('Email search cannot be combined with a creation date range', 'UNSUPPORTED_FILTER_COMBINATION');
+    }
+
+    const where = [];
+    if (role) where.push(['role', '==', role]);
+    if (verified !== undefined) where.push(['isVerified', '==', verified]);
+    if (createdFrom) where.push(['createdAt', '>=', createdFrom]);
+    if (createdTo) where.push(['createdAt', '<=', createdTo]);
+
+    let orderBy = ['createdAt', 'desc'];
+    if (email) {
+      where.push(['email', '>=', email], ['email', '<', `${email}\uf8ff`]);
+      orderBy = ['email', 'asc'];
+    }
+
+    const page = await userRepository.findPage({ where, orderBy, cursor, limit, includeTotal });
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Full record of one user: profile, Auth account and organisations they administer
+router.get('/users/:uid', authenticate, authorize(['admin']), validate(schema.getUser), async (req, res, next) => {
+  try {
+    const { uid } = req.params;
+
+    const user = await userRepository.findById(uid);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const [authRecord, institutions, companies] = await Promise.all([
+      getAuthRecord(uid),
+      institutionRepository.find({ where: { adminId: uid } }),
+      companyRepository.find({ where: { adminId: uid } })
+    ]);
+
+    res.json({
+      ...user,
+      auth: authRecord,
+      institutions: institutions.map(({ id, name }) => ({ id, name })),
+      companies: companies.map(({ id, name }) => ({ id, name }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change a user's role
+router.put('/users/:uid/role', authenticate, authorize(['admin']), validate(schema.changeRole), async (req, res, next) => {
+  try {
+    const { uid } = req.params;
+    const { role } = req.body;
+    const reason = req.body.reason || null;
+
+    const result = await changeUserRole(uid, role, reason, req.user.uid);
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: uid,
+      before: { role: result.previousRole },
+      after: { role, reason }
+    });
+
+    res.json({
+      message: 'User role updated successfully',
+      previousRole: result.previousRole,
+      role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Disable a user's account and sign them out
+router.post('/users/:uid/disable', authenticate, authorize(['admin']), validate(schema.disableUser), async (req, res, next) => {
+  try {
+    const { uid } = req.params;
+    const reason = req.body.reason || null;
+
+    const result = await setUserDisabled(uid, true, reason, req.user.uid);
+
+    await recordAudit(req, {
+      action: 'user.disable',
+      targetType: 'user',
+      targetId: uid,
+      before: { disabled: result.previousDisabled },
+      after: { disabled: true, reason }
+    });
+
+    res.json({ message: 'User disabled successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Re-enable a disabled account
+router.post('/users/:uid/enable', authenticate, authorize(['admin']), validate(schema.enableUser), async (req, res, next) => {
+  try {
+    const { uid } = req.params;
+
+    const result = await setUserDisabled(uid, false, null, req.user.uid);
+
+    await recordAudit(req, {
+      action: 'user.enable',
+      targetType: 'user',
+      targetId: uid,
+      before: { disabled: result.previousDisabled },
+      after: { disabled: false }
+    });
+
+    res.json({ message: 'User enabled successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke all of a user's sessions
+router.post('/users/:uid/revoke-sessions', authenticate, authorize(['admin']), validate(schema.revokeSessions), async (req, res, next) => {
+  try {
+    const { uid } = req.params;
+    const reason = req.body.reason || null;
+
+    const result = await revokeUserSessions(uid, reason, req.user.uid);
+
+    await recordAudit(req, {
+      action: 'user.sessions_revoke',
+      targetType: 'user',
+      targetId: uid,
+      after: { sessionsRevokedAt: result.revokedAt, reason }
+    });
+
+    res.json({ message: 'User sessions revoked successfully', revokedAt: result.revokedAt });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Manage institutions
-router.get('/institutions', authenticate, authorize(['admin']), async (req, res) => {
+router.get('/institutions', authenticate, authorize(['admin']), validate(schema.listInstitutions), async (req, res, next) => {
   try {
-    const institutionsSnapshot = await db.collection('institutions').get();
-    const institutions = institutionsSnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    const { isActive, type, sort, cursor, limit, includeTotal } = req.query;
+
+    const page = await institutionRepository.findPage({
+      where: { isActive, type },
+      orderBy: toOrderBy(sort),
+      cursor,
+      limit,
+      includeTotal
+    });
 
-    res.json(institutions);
+    res.json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Manage companies
-router.get('/companies', authenticate, authorize(['admin']), async (req, res) => {
+router.get('/companies', authenticate, authorize(['admin']), validate(schema.listCompanies), async (req, res, next) => {
   try {
-    const companiesSnapshot = await db.collection('companies').get();
-    const companies = companiesSnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    const { status, industry, sort, cursor, limit, includeTotal } = req.query;
+
+    const page = await companyRepository.findPage({
+      where: { status, industry },
+      orderBy: toOrderBy(sort),
+      cursor,
+      limit,
+      includeTotal
+    });
 
-    res.json(companies);
+    res.json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Companies waiting for approval, oldest first
+router.get('/companies/review-queue', authenticate, authorize(['admin']), validate(), async (req, res, next) => {
+  try {
+    const companies = await companyRepository.find();
+    const queue = companies
+      .filter(company => getCompanyStatus(company) === 'pending_review')
+      .sort((a, b) => toDate(a.createdAt) - toDate(b.createdAt));
+
+    res.json(queue);
+  } catch (error) {
+    next(error);
   }
 });
 
 // Approve/Suspend company
-router.put('/companies/:companyId', authenticate, authorize(['admin']), async (req, res) => {
+router.put('/companies/:companyId', authenticate, authorize(['admin']), validate(schema.changeCompanyStatus), async (req, res, next) => {
   try {
     const { companyId } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
-    await db.collection('companies').doc(companyId).update({
-      status,
-      updatedAt: new Date()
+    const result = await changeCompanyStatus(companyId, status, reason, req.user.uid);
+
+    await recordAudit(req, {
+      action: 'company.status_change',
+      targetType: 'company',
+      targetId: companyId,
+      before: { status: result.previousStatus, statusReason: result.company.statusReason },
+      after: { status, statusReason: reason }
     });
 
-    res.json({ message: `Company ${status} successfully` });
+    res.json({
+      message: `Company ${status} successfully`,
+      previousStatus: result.previousStatus,
+      status
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Add institution
-router.post('/institutions', authenticate, authorize(['admin']), async (req, res) => {
+router.post('/institutions', authenticate, authorize(['admin']), validate(schema.createInstitution), async (req, res, next) => {
   try {
-    const { name, type, location, contact, description } = req.body;
-
-    const institutionRef = await db.collection('institutions').add({
-      name,
-      type,
-      location,
-      contact,
-      description,
+    const institution = await institutionRepository.create({
+      ...req.body,
       isActive: true,
       createdAt: new Date(),
       updatedAt: new Date()
     });
 
+    await recordAudit(req, {
+      action: 'institution.create',
+      targetType: 'institution',
+      targetId: institution.id,
+      after: { ...req.body, isActive: true }
+    });
+
     res.status(201).json({
       message: 'Institution added successfully',
-      institutionId: institutionRef.id
+      institutionId: institution.id
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get system reports
-router.get('/reports/applications', authenticate, authorize(['admin']), async (req, res) => {
+router.get('/reports/applications', authenticate, authorize(['admin']), validate(schema.applicationReport), async (req, res, next) => {
   try {
     const { period = 'month' } = req.query;
     const now = new Date();
@@ -142,20 +335,16 @@ router.get('/reports/applications', authenticate, authorize(['admin']), async (r
         startDate = new Date(now.setMonth(now.getMonth() - 1));
     }
 
-    const applicationsSnapshot = await db.collection('applications')
-      .where('appliedAt', '>=', startDate)
-      .get();
+    const applications = await applicationRepository.find({ where: [['appliedAt', '>=', startDate]] });
 
     const reports = {
-      total: applicationsSnapshot.size,
+      total: applications.length,
       byStatus: {},
       byInstitution: {},
       byCourse: {}
     };
 
-    applicationsSnapshot.docs.forEach(doc => {
-      const app = doc.data();
-      
+    applications.forEach(app => {
       // Count by status
       reports.byStatus[app.status] = (reports.byStatus[app.status] || 0) + 1;
       
@@ -168,8 +357,85 @@ router.get('/reports/applications', authenticate, authorize(['admin']), async (r
 
     res.json(reports);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
+// Search the audit trail
+router.get('/audit-logs', authenticate, authorize(['admin']), validate(schema.searchAuditLogs), async (req, res, next) => {
+  try {
+    const { cursor, limit, includeTotal } = req.query;
+
+    const page = await auditLogRepository.findPage({
+      where: toAuditFilters(req.query),
+      orderBy: AUDIT_ORDER,
+      cursor,
+      limit,
+      includeTotal
+    });
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export the audit trail as CSV or JSON
+router.get('/audit-logs/export', authenticate, authorize(['admin']), validate(schema.exportAuditLogs), async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    const logs = await auditLogRepository.find({
+      where: toAuditFilters(req.query),
+      orderBy: AUDIT_ORDER,
+      limit: AUDIT_EXPORT_LIMIT
+    });
+    const entries = logs.map(entry => ({
+      ...entry,
+      timestamp: toDate(entry.timestamp)?.toISOString() || null
+    }));
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      return res.json(entries);
+    }
+
+    const columns = ['id', 'timestamp', 'actorUid', 'actorRole', 'action', 'targetType', 'targetId', 'ip', 'changes'];
+    const rows = entries.map(entry => columns.map(column =>
+      toCsvValue(column === 'changes' ? JSON.stringify(entry.changes || {}) : entry[column])
+    ).join(','));
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.send([columns.join(','), ...rows].join('\n'));
+  } catch (error) {
+    next(error);
+  }
+});
+
+const AUDIT_EXPORT_LIMIT = 5000;
+const AUDIT_ORDER = ['timestamp', 'desc'];
+
+// Helper function to build audit log filters from validated request filters
+function toAuditFilters({ actorUid, action, targetType, targetId, from, to }) {
+  const where = [];
+
+  if (actorUid) where.push(['actorUid', '==', actorUid]);
+  if (action) where.push(['action', '==', action]);
+  if (targetType) where.push(['targetType', '==', targetType]);
+  if (targetId) where.push(['targetId', '==', targetId]);
+
+  if (from) where.push(['timestamp', '>=', from]);
+  if (to) where.push(['timestamp', '<=', to]);
+
+  return where;
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 export default router;
\ No newline at end of file
@@ -1,24 +1,27 @@
 // routes/auth.js
 import express from 'express';
 import admin from 'firebase-admin';
+import { auth, isFirebaseReady } from '../firebase.js';
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ServiceUnavailableError,
+  UnauthorizedError
+} from '../errors.js';
+import { logger } from '../logger.js';
+import { userRepository } from '../repositories/index.js';
+import { authenticate } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validation.js';
+import { sendVerificationEmail } from '../services/emailService.js';
+import { syncRoleClaims } from '../services/roleService.js';
+import * as schema from '../schemas/auth.js';
 
 const router = express.Router();
 
-// Enhanced debug middleware
-router.use((req, res, next) => {
-  console.log('📨 Incoming request:', {
-    method: req.method,
-    path: req.path,
-    body: req.body ? { ...req.body, password: req.body.password ? '[HIDDEN]' : undefined } : 'No body',
-    query: req.query,
-    timestamp: new Date().toISOString()
-  });
-  next();
-});
-
 // Root endpoint
-router.get('/', (req, res) => {
-  console.log('✅ Auth root endpoint hit');
+router.get('/', validate(), (req, res) => {
   res.json({ 
     message: 'Auth API is working!',
     endpoints: [
@@ -26,134 +29,83 @@ router.get('/', (req, res) => {
       'POST /create-profile', 
       'POST /resend-verification',
       'GET /test',
-      'GET /health',
       'GET /profile',
-      'GET /verification-status/:uid',
-      'GET /debug-user/:uid'
+      'GET /verification-status'
     ],
     timestamp: new Date().toISOString()
   });
 });
 
 // Test route to verify the auth route is working
-router.get('/test', (req, res) => {
-  console.log('✅ Auth route test endpoint hit');
+router.get('/test', validate(), (req, res) => {
   res.json({ 
     message: 'Auth route is working!',
     timestamp: new Date().toISOString(),
-    firebase: admin.apps.length > 0 ? 'connected' : 'disconnected'
+    firebase: isFirebaseReady() ? 'connected' : 'disconnected'
   });
 });
 
 // Create user profile (after Firebase Auth registration)
-router.post('/create-profile', async (req, res) => {
-  console.log('🚀 Starting profile creation...');
-  
+router.post('/create-profile', authenticate, validate(schema.createProfile), rateLimit('createProfile'), async (req, res, next) => {
   try {
-    console.log('🔍 Create profile request body:', {
-      ...req.body,
-      profile: req.body.profile
-    });
-
     const { uid, email, role, profile } = req.body;
 
-    // Validate required fields
-    if (!uid || !email || !role || !profile) {
-      console.log('❌ Missing required fields for profile creation:', {
-        uid: !!uid,
-        email: !!email,
-        role: !!role,
-        profile: !!profile
-      });
-      return res.status(400).json({ 
-        error: 'Missing required fields: uid, email, role, and profile are required',
-        received: { uid: !!uid, email: !!email, role: !!role, profile: !!profile }
-      });
-    }
-
-    // Validate profile fields
-    if (!profile.firstName || !profile.lastName) {
-      console.log('❌ Missing profile fields:', profile);
-      return res.status(400).json({ 
-        error: 'Missing profile fields: firstName and lastName are required',
-        received: profile
-      });
+    // Only the account that just signed up may create its profile (and get its role)
+    if (uid !== req.user.uid) {
+      logger.warn('Profile creation for another account', { uid, callerId: req.user.uid });
+      throw new ForbiddenError('You can only create your own profile', 'PROFILE_OWNER_MISMATCH');
     }
 
     // Admin access code validation - ENHANCED
     if (role === 'admin') {
       const adminCode = profile.adminCode;
       const expectedAdminCode = process.env.ADMIN_ACCESS_CODE;
-      
-      console.log('🔐 Admin registration attempt:', {
-        providedCode: adminCode,
-        expectedCode: expectedAdminCode ? '***' : 'NOT_SET'
-      });
-      
+
       if (!adminCode) {
-        console.log('❌ No admin code provided');
-        return res.status(403).json({ error: 'Admin access code is required for admin registration' });
+        logger.warn('Admin registration without an access code', { uid });
+        throw new ForbiddenError('Admin access code is required for admin registration', 'ADMIN_CODE_REQUIRED');
       }
       
       if (!expectedAdminCode) {
-        console.log('❌ ADMIN_ACCESS_CODE not set in environment');
-        return res.status(500).json({ error: 'Server configuration error: ADMIN_ACCESS_CODE not set' });
+        logger.error('Admin registration attempted but ADMIN_ACCESS_CODE is not set', { uid });
+        throw new ServiceUnavailableError('Admin registration is not available', 'ADMIN_REGISTRATION_UNAVAILABLE');
       }
       
       if (adminCode !== expectedAdminCode) {
-        console.log('❌ Invalid admin access code');
-        return res.status(403).json({ error: 'Invalid admin access code' });
+        logger.warn('Admin registration with an invalid access code', { uid });
+        throw new ForbiddenError('Invalid admin access code', 'INVALID_ADMIN_CODE');
       }
-      
-      console.log('✅ Admin access code validated successfully');
-    }
-
-    console.log('✅ All validations passed, creating Firestore document...');
-
-    // Check if user already exists in Firestore
-    const existingUser = await admin.firestore().collection('users').doc(uid).get();
-    if (existingUser.exists) {
-      console.log('❌ User profile already exists in Firestore for UID:', uid);
-      return res.status(400).json({ 
-        error: 'User profile already exists. Please login instead.' 
-      });
-    }
-
-    // Verify the UID exists in Firebase Auth
-    try {
-      const authUser = await admin.auth().getUser(uid);
-      console.log('✅ Verified Firebase Auth user exists:', authUser.email);
-    } catch (authError) {
-      console.error('❌ Firebase Auth user not found for UID:', uid);
-      return res.status(400).json({ 
-        error: 'Invalid user ID. Please register again.' 
-      });
     }
 
     // Create user profile in Firestore
-    const userRef = admin.firestore().collection('users').doc(uid);
-    
     const userData = {
       uid: uid,
-      email: email.trim().toLowerCase(),
+      email,
       role,
       profile: {
-        firstName: profile.firstName.trim(),
-        lastName: profile.lastName.trim(),
-        phone: profile.phone?.trim() || '',
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+        phone: profile.phone || '',
       },
       isVerified: false,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     };
 
-    await userRef.set(userData);
-    console.log('✅ User profile created in Firestore:', {
-      uid,
-      email: userData.email,
-      role: userData.role,
-      firestoreId: uid
+    // create() refuses to overwrite an existing profile, so two requests can't both
+    // pass a check and the second replace the first one's role
+    try {
+      await userRepository.ref(uid).create(userData);
+    } catch (error) {
+      if (error.code === 6) {
+        throw new ConflictError('User profile already exists. Please login instead.', 'PROFILE_EXISTS');
+      }
+      throw error;
+    }
+    await syncRoleClaims(uid, role).catch(error => {
+      logger.warn('Failed to set role claim', { uid, error });
     });
+    logger.info('User profile created', { uid, role });
 
     res.status(201).json({
       message: 'Profile created successfully! Please verify your email before logging in.',
@@ -165,70 +117,28 @@ router.post('/create-profile', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Profile creation error:', {
-      message: error.message,
-      code: error.code,
-      stack: error.stack
-    });
-    
-    let errorMessage = 'Profile creation failed';
-    
-    if (error.code === 5) { // PERMISSION_DENIED from Firestore
-      errorMessage = 'Database permission denied. Please contact support.';
-    } else if (error.code === 13) { // INTERNAL from Firestore
-      errorMessage = 'Database error. Please try again.';
-    } else if (error.code === 7) { // PERMISSION_DENIED from Firebase Auth
-      errorMessage = 'Authentication error. Please check your Firebase configuration.';
-    }
-    
-    res.status(400).json({ 
-      error: errorMessage,
-      details: error.message 
-    });
+    next(error);
   }
 });
 
 // Login with email verification check
-router.post('/login', async (req, res) => {
-  console.log('🔐 Processing login request...');
-  
+router.post('/login', validate(schema.login), rateLimit('login'), async (req, res, next) => {
   try {
     const { idToken } = req.body;
 
-    if (!idToken) {
-      console.log('❌ No ID token provided');
-      return res.status(400).json({ error: 'ID token is required' });
-    }
-
-    console.log('🔑 Verifying ID token...');
-
     // Verify Firebase ID token
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    
-    console.log('✅ ID token verified for user:', decodedToken.email);
+    const decodedToken = await auth.verifyIdToken(idToken);
 
     // Get user from Firestore
-    const userDoc = await admin.firestore().collection('users').doc(decodedToken.uid).get();
+    const userData = await userRepository.findById(decodedToken.uid);
     
-    if (!userDoc.exists) {
-      console.log('❌ User not found in Firestore:', decodedToken.uid);
-      return res.status(404).json({ 
-        error: 'User profile not found. Please complete registration.' 
-      });
+    if (!userData) {
+      throw new NotFoundError('User profile not found. Please complete registration.', 'PROFILE_NOT_FOUND');
     }
 
-    const userData = userDoc.data();
-    console.log('📋 User data retrieved from Firestore:', {
-      email: userData.email,
-      role: userData.role,
-      isVerified: userData.isVerified
-    });
-
     // Check if email is verified using Firebase Auth data
     if (!decodedToken.email_verified) {
-      console.log('❌ Email not verified for user:', decodedToken.email);
-      return res.status(401).json({ 
-        error: 'Please verify your email before logging in.',
+      throw new UnauthorizedError('Please verify your email before logging in.', 'EMAIL_NOT_VERIFIED', {
         needsVerification: true,
         email: decodedToken.email
       });
@@ -236,16 +146,23 @@ router.post('/login', async (req, res) => {
 
     // Update verification status in Firestore if needed
     if (!userData.isVerified) {
-      await userDoc.ref.update({ 
+      await userRepository.update(decodedToken.uid, { 
         isVerified: true,
         emailVerifiedAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
-      console.log('✅ Updated verification status in Firestore');
+      logger.info('Email verification recorded', { uid: decodedToken.uid });
     }
 
-    console.log('✅ Login successful for user:', decodedToken.email);
-    
+    // Accounts created before roles were stored as claims get them on their next login
+    if (decodedToken.role !== userData.role) {
+      await syncRoleClaims(decodedToken.uid, userData.role).catch(error => {
+        logger.warn('Failed to sync role claim', { uid: decodedToken.uid, error });
+      });
+    }
+
+    logger.info('Login successful', { uid: decodedToken.uid, role: userData.role });
+
     res.json({
       message: 'Login successful',
       user: {
@@ -258,129 +175,85 @@ router.post('/login', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Login error:', {
-      message: error.message,
-      code: error.code
-    });
-    
-    let errorMessage = 'Invalid credentials';
-    
-    if (error.code === 'auth/id-token-expired') {
-      errorMessage = 'Session expired. Please login again.';
-    } else if (error.code === 'auth/id-token-revoked') {
-      errorMessage = 'Session revoked. Please login again.';
-    } else if (error.code === 'auth/invalid-id-token') {
-      errorMessage = 'Invalid session. Please login again.';
-    } else if (error.code === 'auth/user-not-found') {
-      errorMessage = 'User not found. Please register first.';
-    }
-    
-    res.status(401).json({ 
-      error: errorMessage,
-      details: error.message 
-    });
+    next(error);
   }
 });
 
 // Resend verification email
-router.post('/resend-verification', async (req, res) => {
-  console.log('📧 Processing resend verification request...');
-  
+router.post('/resend-verification', validate(schema.resendVerification), rateLimit('resendVerification'), async (req, res, next) => {
   try {
     const { email } = req.body;
 
-    if (!email) {
-      console.log('❌ No email provided for resend verification');
-      return res.status(400).json({ error: 'Email is required' });
-    }
-
-    console.log('🔍 Looking up user by email:', email);
+    // The response is the same whether or not the email is registered, so this
+    // endpoint can't be used to find out which addresses have accounts
+    const response = {
+      message: 'If an account exists for this email, a verification email has been sent.',
+      emailSent: true,
+      email: email
+    };
 
     // Get user by email
-    const userRecord = await admin.auth().getUserByEmail(email);
-    console.log('✅ User found for verification resend:', userRecord.uid);
+    let userRecord;
+    try {
+      userRecord = await auth.getUserByEmail(email);
+    } catch (authError) {
+      if (authError.code !== 'auth/user-not-found') {
+        throw authError;
+      }
+      logger.info('Verification email requested for an unknown address');
+      return res.json(response);
+    }
 
     // Generate email verification link
-    const verificationLink = await admin.auth().generateEmailVerificationLink(email);
-    
-    console.log('✅ Verification link generated for:', email);
+    const verificationLink = await auth.generateEmailVerificationLink(email);
 
-    const response = {
-      message: 'Verification email sent successfully!',
-      emailSent: true,
-      email: email
-    };
+    await sendVerificationEmail(email, verificationLink);
+    logger.info('Verification email sent', { uid: userRecord.uid });
 
     // Only return verification link in development for testing
     if (process.env.NODE_ENV === 'development') {
       response.verificationLink = verificationLink;
-      console.log('🔗 Development verification link:', verificationLink);
     }
 
     res.json(response);
   } catch (error) {
-    console.error('❌ Resend verification error:', {
-      message: error.message,
-      code: error.code
-    });
-    
-    let errorMessage = 'Failed to resend verification email';
-    
-    if (error.code === 'auth/user-not-found') {
-      errorMessage = 'No user found with this email address.';
-    }
-    
-    res.status(400).json({ 
-      error: errorMessage,
-      details: error.message 
-    });
+    next(error);
   }
 });
 
-// Check verification status
-router.get('/verification-status/:uid', async (req, res) => {
+// Check the signed-in user's verification status
+router.get('/verification-status', authenticate, validate(), async (req, res, next) => {
   try {
-    const { uid } = req.params;
-    console.log('🔍 Checking verification status for UID:', uid);
-    
-    const userRecord = await admin.auth().getUser(uid);
-    
-    console.log('✅ Verification status retrieved:', {
-      email: userRecord.email,
-      emailVerified: userRecord.emailVerified
-    });
-    
+    const { uid } = req.user;
+    const userRecord = await auth.getUser(uid);
+
     res.json({
       emailVerified: userRecord.emailVerified,
       email: userRecord.email,
       uid: uid
     });
   } catch (error) {
-    console.error('❌ Verification status error:', error);
-    res.status(400).json({ 
-      error: 'Failed to check verification status',
-      details: error.message 
-    });
+    next(error);
   }
 });
 
 // Get current user profile
-router.get('/profile', async (req, res) => {
+router.get('/profile', validate(), async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split('Bearer ')[1];
     
     if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+      throw new UnauthorizedError('No token provided', 'TOKEN_MISSING');
     }
 
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    const userDoc = await admin.firestore().collection('users').doc(decodedToken.uid).get();
+    const decodedToken = await auth.verifyIdToken(token);
+    const user = await userRepository.findById(decodedToken.uid);
     
-    if (!userDoc.exists) {
-      return res.status(404).json({ error: 'User profile not found' });
+    if (!user) {
+      throw new NotFoundError('User profile not found', 'PROFILE_NOT_FOUND');
     }
 
-    const userData = userDoc.data();
+    const { id, ...userData } = user;
     
     res.json({
       user: {
@@ -390,62 +263,7 @@ router.get('/profile', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Profile fetch error:', error);
-    res.status(401).json({ error: 'Invalid token' });
-  }
-});
-
-// Debug route to check Firestore data
-router.get('/debug-user/:uid', async (req, res) => {
-  try {
-    const { uid } = req.params;
-    console.log('🔍 Debugging user in Firestore for UID:', uid);
-    
-    // Check Firestore
-    const userDoc = await admin.firestore().collection('users').doc(uid).get();
-    
-    if (!userDoc.exists) {
-      console.log('❌ User NOT found in Firestore');
-      return res.json({
-        firestore: 'NOT_FOUND',
-        message: 'User profile does not exist in Firestore'
-      });
-    }
-    
-    const userData = userDoc.data();
-    console.log('✅ User found in Firestore:', userData);
-    
-    res.json({
-      firestore: 'FOUND',
-      data: userData
-    });
-    
-  } catch (error) {
-    console.error('❌ Debug error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Health check for auth routes
-router.get('/health', async (req, res) => {
-  try {
-    // Test Firebase Admin connection
-    await admin.auth().listUsers(1, 1);
-    
-    res.json({
-      status: 'OK',
-      service: 'auth',
-      firebase: 'connected',
-      timestamp: new Date().toISOString(),
-      adminCodeConfigured: !!process.env.ADMIN_ACCESS_CODE
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'ERROR',
-      service: 'auth',
-      firebase: 'disconnected',
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -1,55 +1,79 @@
 import express from 'express';
-import { db } from '../server.js';
+import { ForbiddenError, NotFoundError } from '../errors.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { requireOwnership } from '../middleware/policies.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validation.js';
+import {
+  companyRepository,
+  jobApplicationRepository,
+  jobRepository,
+  transcriptRepository,
+  userRepository
+} from '../repositories/index.js';
+import { paginateItems, sortItems, toOrderBy } from '../repositories/pagination.js';
+import {
+  DEFAULT_SCORING_WEIGHTS,
+  calculateMatchScore,
+  checkJobQualifications,
+  getStudentCredentials
+} from '../services/jobMatchingService.js';
+import { enqueueJobNotifications, getJobNotificationProgress } from '../services/jobNotificationService.js';
+import { getCompanyStatus, isCompanyActive } from '../services/companyStatusService.js';
+import { recordAudit } from '../services/auditService.js';
+import * as schema from '../schemas/companies.js';
 
 const router = express.Router();
 
 // Get company profile
-router.get('/profile', authenticate, authorize(['company']), async (req, res) => {
+router.get('/profile', authenticate, authorize(['company']), validate(), async (req, res, next) => {
   try {
-    const companyDoc = await db.collection('companies')
-      .where('adminId', '==', req.user.uid)
-      .get();
-    
-    if (companyDoc.empty) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const company = await companyRepository.findOne({ adminId: req.user.uid });
 
-    const company = {
-      id: companyDoc.docs[0].id,
-      ...companyDoc.docs[0].data()
-    };
+    if (!company) {
+      throw new NotFoundError('Company not found');
+    }
 
     res.json(company);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Update company profile
-router.put('/profile', authenticate, authorize(['company']), async (req, res) => {
+router.put('/profile', authenticate, authorize(['company']), validate(schema.updateProfile), async (req, res, next) => {
   try {
-    const companyDoc = await db.collection('companies')
-      .where('adminId', '==', req.user.uid)
-      .get();
-    
-    if (companyDoc.empty) {
-      return res.status(404).json({ error: 'Company not found' });
+    const company = await companyRepository.findOne({ adminId: req.user.uid });
+
+    if (!company) {
+      throw new NotFoundError('Company not found');
     }
 
-    await db.collection('companies').doc(companyDoc.docs[0].id).update({
-      ...req.body,
+    // The schema keeps out approval state and adminId, which only admins change
+    const profileUpdates = req.body;
+    const { id: companyId, ...companyData } = company;
+
+    await companyRepository.update(companyId, {
+      ...profileUpdates,
       updatedAt: new Date()
     });
 
+    await recordAudit(req, {
+      action: 'company.profile_update',
+      targetType: 'company',
+      targetId: companyId,
+      before: companyData,
+      after: { ...companyData, ...profileUpdates }
+    });
+
     res.json({ message: 'Profile updated successfully' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Post job opportunity
-router.post('/jobs', authenticate, authorize(['company']), async (req, res) => {
+router.post('/jobs', authenticate, authorize(['company']), validate(schema.postJob), rateLimit('jobPosting'), async (req, res, next) => {
   try {
     const {
       title,
@@ -59,182 +83,150 @@ router.post('/jobs', authenticate, authorize(['company']), async (req, res) => {
       location,
       salaryRange,
       jobType,
-      deadline
+      deadline,
+      scoringWeights
     } = req.body;
 
-    const companyDoc = await db.collection('companies')
-      .where('adminId', '==', req.user.uid)
-      .get();
+    const company = await companyRepository.findOne({ adminId: req.user.uid });
 
-    if (companyDoc.empty) {
-      return res.status(404).json({ error: 'Company not found' });
+    if (!company) {
+      throw new NotFoundError('Company not found');
     }
 
-    const company = companyDoc.docs[0].data();
+    if (!isCompanyActive(company)) {
+      throw new ForbiddenError('Your company must be approved before posting jobs', 'COMPANY_NOT_APPROVED', {
+        status: getCompanyStatus(company)
+      });
+    }
 
-    const jobRef = await db.collection('jobs').add({
+    // Optional fields are left out when not sent: Firestore rejects undefined values
+    const job = await jobRepository.create({
       title,
       description,
-      requirements,
-      qualifications,
-      location,
-      salaryRange,
-      jobType,
-      deadline: new Date(deadline),
-      companyId: companyDoc.docs[0].id,
+      ...(requirements !== undefined && { requirements }),
+      ...(qualifications !== undefined && { qualifications }),
+      ...(location !== undefined && { location }),
+      ...(salaryRange !== undefined && { salaryRange }),
+      ...(jobType !== undefined && { jobType }),
+      deadline: deadline || null,
+      scoringWeights: scoringWeights || {},
+      companyId: company.id,
       companyName: company.name,
       isActive: true,
       postedAt: new Date(),
       createdAt: new Date()
     });
 
-    // Notify qualified students
-    await notifyQualifiedStudents(jobRef.id, req.body);
+    // Notify qualified students in the background
+    const taskId = await enqueueJobNotifications(job.id, { ...req.body, companyName: company.name });
 
     res.status(201).json({
       message: 'Job posted successfully',
-      jobId: jobRef.id
+      jobId: job.id,
+      notificationTaskId: taskId
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get company's jobs
-router.get('/jobs', authenticate, authorize(['company']), async (req, res) => {
+router.get('/jobs', authenticate, authorize(['company']), validate(schema.listJobs), async (req, res, next) => {
   try {
-    const companyDoc = await db.collection('companies')
-      .where('adminId', '==', req.user.uid)
-      .get();
+    const { isActive, jobType, sort, cursor, limit, includeTotal } = req.query;
 
-    if (companyDoc.empty) {
-      return res.status(404).json({ error: 'Company not found' });
+    const company = await companyRepository.findOne({ adminId: req.user.uid });
+
+    if (!company) {
+      throw new NotFoundError('Company not found');
     }
 
-    const jobsSnapshot = await db.collection('jobs')
-      .where('companyId', '==', companyDoc.docs[0].id)
-      .get();
+    const page = await jobRepository.findPage({
+      where: { companyId: company.id, isActive, jobType },
+      orderBy: toOrderBy(sort),
+      cursor,
+      limit,
+      includeTotal
+    });
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get progress of the job-posted notifications
+router.get('/jobs/:jobId/notifications', authenticate, authorize(['company']), validate(schema.getJobNotifications), requireOwnership('jobCompanyAdmin', 'jobId'), async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
 
-    const jobs = jobsSnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    const { cursor, ...fanout } = await getJobNotificationProgress(jobId) || { status: 'not_started' };
 
-    res.json(jobs);
+    res.json({ jobId, ...fanout });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get qualified applicants for a job
-router.get('/jobs/:jobId/applicants', authenticate, authorize(['company']), async (req, res) => {
+router.get('/jobs/:jobId/applicants', authenticate, authorize(['company']), validate(schema.getApplicants), requireOwnership('jobCompanyAdmin', 'jobId'), async (req, res, next) => {
   try {
     const { jobId } = req.params;
-
-    const jobDoc = await db.collection('jobs').doc(jobId).get();
-    if (!jobDoc.exists) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
+    const { status, sort, cursor, limit } = req.query;
+    const job = req.resources.jobId;
 
     // Get job applications for this job
-    const applicationsSnapshot = await db.collection('jobApplications')
-      .where('jobId', '==', jobId)
-      .where('status', 'in', ['applied', 'shortlisted', 'rejected'])
-      .get();
+    const jobApplications = await jobApplicationRepository.find({
+      where: [
+        ['jobId', '==', jobId],
+        ['status', 'in', status ? [status] : schema.APPLICANT_STATUSES]
+      ]
+    });
 
     const applicants = [];
-    for (const doc of applicationsSnapshot.docs) {
-      const appData = doc.data();
-      const student = await db.collection('users').doc(appData.studentId).get();
-      const transcript = await db.collection('transcripts')
-        .where('studentId', '==', appData.studentId)
-        .orderBy('uploadedAt', 'desc')
-        .limit(1)
-        .get();
+    for (const application of jobApplications) {
+      const student = await userRepository.findById(application.studentId);
+      const transcript = await transcriptRepository.findLatestForStudent(application.studentId);
+
+      const profile = student?.profile;
+      const credentials = getStudentCredentials(profile, transcript);
+      const match = calculateMatchScore(credentials, job, job.scoringWeights);
 
       applicants.push({
-        id: doc.id,
-        ...appData,
-        student: student.data()?.profile,
-        transcript: transcript.empty ? null : transcript.docs[0].data(),
-        matchScore: calculateMatchScore(appData, jobDoc.data())
+        ...application,
+        student: profile,
+        transcript,
+        matchScore: match.score,
+        matchBreakdown: match.breakdown,
+        qualification: checkJobQualifications(credentials, job)
       });
     }
 
-    // Sort by match score
-    applicants.sort((a, b) => b.matchScore - a.matchScore);
-
-    res.json(applicants);
+    // Match scores are worked out per request, so the whole list is ranked and paged here
+    res.json(paginateItems(sortItems(applicants, sort), { cursor, limit }));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Helper function to notify qualified students
-async function notifyQualifiedStudents(jobId, jobData) {
+// Adjust how applicants are scored for a job
+router.put('/jobs/:jobId/scoring-weights', authenticate, authorize(['company']), validate(schema.updateScoringWeights), requireOwnership('jobCompanyAdmin', 'jobId'), async (req, res, next) => {
   try {
-    // Get all students with transcripts
-    const studentsSnapshot = await db.collection('users')
-      .where('role', '==', 'student')
-      .get();
-
-    for (const studentDoc of studentsSnapshot.docs) {
-      const student = studentDoc.data();
-      const transcript = await db.collection('transcripts')
-        .where('studentId', '==', studentDoc.id)
-        .orderBy('uploadedAt', 'desc')
-        .limit(1)
-        .get();
-
-      if (!transcript.empty) {
-        const transcriptData = transcript.docs[0].data();
-        
-        // Check if student qualifies (simplified logic)
-        if (checkJobQualifications(transcriptData, jobData)) {
-          await db.collection('notifications').add({
-            userId: studentDoc.id,
-            title: 'New Job Opportunity',
-            message: `A new job matching your profile: ${jobData.title} at ${jobData.companyName}`,
-            type: 'job',
-            jobId: jobId,
-            read: false,
-            createdAt: new Date()
-          });
-        }
-      }
-    }
+    const { jobId } = req.params;
+    const { scoringWeights } = req.body;
+
+    await jobRepository.update(jobId, {
+      scoringWeights,
+      updatedAt: new Date()
+    });
+
+    res.json({
+      message: 'Scoring weights updated successfully',
+      weights: { ...DEFAULT_SCORING_WEIGHTS, ...scoringWeights }
+    });
   } catch (error) {
-    console.error('Error notifying students:', error);
+    next(error);
   }
-}
-
-// Helper function to check job qualifications
-function checkJobQualifications(transcript, jobData) {
-  // Implement qualification matching logic
-  // This should consider GPA, courses, certificates, etc.
-  return true; // Simplified for example
-}
-
-// Helper function to calculate match score
-function calculateMatchScore(application, jobData) {
-  let score = 0;
-  
-  // Calculate based on academic performance
-  if (application.transcript?.gpa) {
-    score += application.transcript.gpa * 10;
-  }
-  
-  // Add points for relevant certificates
-  if (application.student?.certificates) {
-    score += application.student.certificates.length * 5;
-  }
-  
-  // Add points for work experience
-  if (application.student?.workExperience) {
-    score += application.student.workExperience.length * 8;
-  }
-  
-  return score;
-}
+});
 
 export default router;
\ No newline at end of file
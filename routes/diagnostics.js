@@ -0,0 +1,150 @@
+import express from 'express';
+import { auth } from '../firebase.js';
+import { NotFoundError } from '../errors.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { isOriginAllowed } from '../middleware/cors.js';
+import { validate } from '../middleware/validation.js';
+import { userRepository } from '../repositories/index.js';
+import { getTransport } from '../services/emailService.js';
+import { getStorage } from '../services/storageService.js';
+import { getAuthRecord } from '../services/userManagementService.js';
+import * as schema from '../schemas/diagnostics.js';
+
+// Operator diagnostics. Mounted only when DIAGNOSTICS_ENABLED isn't "false", and
+// every route requires an admin. Responses never include secrets or full profiles.
+export const isDiagnosticsEnabled = () => process.env.DIAGNOSTICS_ENABLED !== 'false';
+
+const router = express.Router();
+
+router.use(authenticate, authorize(['admin']));
+
+// Redacted view of one user: enough to debug sign-in problems without exposing the profile
+router.get('/users/:uid', validate(schema.inspectUser), async (req, res, next) => {
+  try {
+    const { uid } = req.params;
+
+    const [user, authRecord] = await Promise.all([
+      userRepository.findById(uid),
+      getAuthRecord(uid)
+    ]);
+
+    if (!user && !authRecord) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.json({
+      uid,
+      firestore: user
+        ? {
+          exists: true,
+          role: user.role || null,
+          email: maskEmail(user.email),
+          isVerified: !!user.isVerified,
+          disabled: !!user.disabled,
+          hasProfile: !!user.profile,
+          profileFields: Object.keys(user.profile || {}).sort(),
+          createdAt: user.createdAt || null
+        }
+        : { exists: false },
+      auth: authRecord
+        ? {
+          exists: true,
+          email: maskEmail(authRecord.email),
+          emailVerified: authRecord.emailVerified,
+          disabled: authRecord.disabled,
+          roleClaim: authRecord.customClaims.role || null,
+          lastSignInAt: authRecord.lastSignInAt,
+          tokensValidAfter: authRecord.tokensValidAfter
+        }
+        : { exists: false },
+      roleInSync: !!user && !!authRecord && authRecord.customClaims.role === user.role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Read-only checks of each external dependency
+router.get('/dependencies', validate(), async (req, res, next) => {
+  const checks = await Promise.all([
+    runCheck('firestore', async () => {
+      await userRepository.find({ limit: 1 });
+    }),
+    runCheck('auth', async () => {
+      await auth.listUsers(1);
+    }),
+    runCheck('storage', async () => {
+      const storage = getStorage();
+      await storage.exists('diagnostics/ping');
+      return { driver: storage.driver };
+    }),
+    runCheck('email', async () => ({ transport: getTransport().name }))
+  ]);
+
+  const healthy = checks.every(check => check.status === 'ok');
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ok' : 'degraded',
+    checks,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Which drivers and options are in effect; secrets are reported as set/unset only
+router.get('/config', validate(), (req, res) => {
+  res.json({
+    environment: process.env.NODE_ENV || 'development',
+    nodeVersion: process.version,
+    uptimeSeconds: Math.round(process.uptime()),
+    drivers: {
+      database: process.env.DATABASE_DRIVER || 'firestore',
+      storage: getStorage().driver,
+      email: getTransport().name
+    },
+    firebase: {
+      projectId: process.env.FIREBASE_PROJECT_ID || null,
+      credentials: process.env.FIREBASE_PRIVATE_KEY || process.env.FIREBASE_SERVICE_ACCOUNT ? 'set' : 'unset'
+    },
+    secrets: {
+      ADMIN_ACCESS_CODE: process.env.ADMIN_ACCESS_CODE ? 'set' : 'unset',
+      SMTP_PASS: process.env.SMTP_PASS || process.env.EMAIL_PASS ? 'set' : 'unset'
+    },
+    allowedOrigins: req.app.locals.allowedOrigins || []
+  });
+});
+
+// Whether the caller's Origin would pass the CORS check
+router.get('/cors', validate(), (req, res) => {
+  const origin = req.headers.origin || null;
+  const allowedOrigins = req.app.locals.allowedOrigins || [];
+
+  res.json({
+    origin,
+    allowed: isOriginAllowed(origin, allowedOrigins),
+    allowedOrigins
+  });
+});
+
+// Helper function to time one dependency check
+async function runCheck(name, check) {
+  const startedAt = Date.now();
+  try {
+    const details = await check();
+    return {
+      name,
+      status: 'ok',
+      latencyMs: Date.now() - startedAt,
+      ...details
+    };
+  } catch (error) {
+    return { name, status: 'error', latencyMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+// Helper function to show just enough of an email to recognise it
+function maskEmail(email) {
+  if (!email) return null;
+  const [local, domain] = String(email).split('@');
+  return `${local.slice(0, 2)}${'*'.repeat(Math.max(local.length - 2, 1))}@${domain || ''}`;
+}
+
+export default router;
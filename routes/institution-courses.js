@@ -1,67 +1,1037 @@
 import express from 'express';
-import { db } from '../server.js';
+import admin from 'firebase-admin';
+import { db } from '../firebase.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, ValidationError } from '../errors.js';
+import { logger } from '../logger.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import {
+  admissionPeriodRepository,
+  applicationRepository,
+  courseRepository,
+  documentRepository,
+  facultyRepository,
+  institutionRepository,
+  notificationRepository,
+  transcriptRepository,
+  userRepository
+} from '../repositories/index.js';
+import {
+  DECISION_STATUSES,
+  STATUS_TRANSITIONS,
+  STATUS_NOTIFICATION_TITLES,
+  getOfferExpiry,
+  toDate
+} from '../services/admissionService.js';
+import {
+  findOverlappingPeriod,
+  getInstitutionPeriods,
+  validateAdmissionPeriod
+} from '../services/admissionPeriodService.js';
+import { recordAudit } from '../services/auditService.js';
+import { describeApplicationDocuments } from '../services/documentService.js';
+import { sendTemplatedEmail } from '../services/emailService.js';
+import * as schema from '../schemas/institution-courses.js';
 
 const router = express.Router();
 
 // Get institution's courses
-router.get('/courses', authenticate, authorize(['institution']), async (req, res) => {
+router.get('/courses', authenticate, authorize(['institution']), validate(), async (req, res, next) => {
   try {
-    const institutionDoc = await db.collection('institutions')
-      .where('adminId', '==', req.user.uid)
-      .get();
-
-    if (institutionDoc.empty) {
-      return res.status(404).json({ error: 'Institution not found' });
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
     }
 
-    const coursesSnapshot = await db.collection('courses')
-      .where('institutionId', '==', institutionDoc.docs[0].id)
-      .get();
+    const institutionCourses = await courseRepository.find({ where: { institutionId: institution.id } });
 
     const courses = await Promise.all(
-      coursesSnapshot.docs.map(async (doc) => {
-        const courseData = doc.data();
-        const faculty = await db.collection('faculties').doc(courseData.facultyId).get();
-        
+      institutionCourses.map(async (course) => {
+        const faculty = await facultyRepository.findById(course.facultyId);
+
         return {
-          id: doc.id,
-          ...courseData,
-          facultyName: faculty.data()?.name
+          ...course,
+          facultyName: faculty?.name
         };
       })
     );
 
+    courses.sort(byDisplayOrder);
+
     res.json(courses);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get institution's faculties
-router.get('/faculties', authenticate, authorize(['institution']), async (req, res) => {
+router.get('/faculties', authenticate, authorize(['institution']), validate(), async (req, res, next) => {
   try {
-    const institutionDoc = await db.collection('institutions')
-      .where('adminId', '==', req.user.uid)
-      .get();
-
-    if (institutionDoc.empty) {
-      return res.status(404).json({ error: 'Institution not found' });
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
     }
 
-    const facultiesSnapshot = await db.collection('faculties')
-      .where('institutionId', '==', institutionDoc.docs[0].id)
-      .get();
+    const faculties = await facultyRepository.find({ where: { institutionId: institution.id } });
 
-    const faculties = facultiesSnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    faculties.sort(byDisplayOrder);
 
     res.json(faculties);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Create a faculty
+router.post('/faculties', authenticate, authorize(['institution']), validate(schema.createFaculty), async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const faculties = await facultyRepository.find({ where: { institutionId: institution.id } });
+
+    const duplicate = faculties.some(faculty =>
+      faculty.name?.trim().toLowerCase() === name.trim().toLowerCase()
+    );
+    if (duplicate) {
+      throw new ConflictError('A faculty with this name already exists', 'DUPLICATE_FACULTY');
+    }
+
+    const faculty = await facultyRepository.create({
+      name: name.trim(),
+      description: description || '',
+      institutionId: institution.id,
+      displayOrder: faculties.length,
+      isActive: true,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    logger.info('Faculty created', { facultyId: faculty.id, institutionId: institution.id });
+
+    await recordAudit(req, {
+      action: 'faculty.create',
+      targetType: 'faculty',
+      targetId: faculty.id,
+      after: { name: name.trim(), description: description || '', institutionId: institution.id }
+    });
+
+    res.status(201).json({
+      message: 'Faculty created successfully',
+      facultyId: faculty.id
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reorder faculties
+router.put('/faculties/order', authenticate, authorize(['institution']), validate(schema.reorderFaculties), async (req, res, next) => {
+  try {
+    const { order } = req.body;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const faculties = await facultyRepository.find({ where: { institutionId: institution.id } });
+
+    const orderError = checkOrder(order, faculties.map(faculty => faculty.id));
+    if (orderError) {
+      throw new BadRequestError(orderError, 'INVALID_ORDER');
+    }
+
+    const batch = db.batch();
+    order.forEach((facultyId, index) => {
+      batch.update(facultyRepository.ref(facultyId), { displayOrder: index, updatedAt: new Date() });
+    });
+    await batch.commit();
+
+    res.json({ message: 'Faculties reordered successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a faculty
+router.put('/faculties/:facultyId', authenticate, authorize(['institution']), validate(schema.updateFaculty), async (req, res, next) => {
+  try {
+    const { facultyId } = req.params;
+    const { name, description } = req.body;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const faculty = await getOwned(facultyRepository, facultyId, institution.id);
+    if (!faculty) {
+      throw new NotFoundError('Faculty not found');
+    }
+
+    const facultyUpdates = {
+      ...(name !== undefined && { name }),
+      ...(description !== undefined && { description })
+    };
+
+    await facultyRepository.update(facultyId, {
+      ...facultyUpdates,
+      updatedAt: new Date()
+    });
+
+    await recordAudit(req, {
+      action: 'faculty.update',
+      targetType: 'faculty',
+      targetId: facultyId,
+      before: faculty,
+      after: { ...faculty, ...facultyUpdates }
+    });
+
+    res.json({ message: 'Faculty updated successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deactivate a faculty, deciding what happens to its courses and pending applications
+router.post('/faculties/:facultyId/deactivate', authenticate, authorize(['institution']), validate(schema.deactivateFaculty), async (req, res, next) => {
+  try {
+    const { facultyId } = req.params;
+    const { courseAction, targetFacultyId, applicationAction = 'keep' } = req.body;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const faculty = await getOwned(facultyRepository, facultyId, institution.id);
+    if (!faculty) {
+      throw new NotFoundError('Faculty not found');
+    }
+
+    const activeCourses = await courseRepository.find({ where: { facultyId, isActive: true } });
+    const courseIds = activeCourses.map(course => course.id);
+    const pendingApplications = await getOpenApplications(courseIds);
+
+    // Ask the admin how to handle what still depends on the faculty
+    if (courseIds.length > 0 && !courseAction) {
+      throw new ConflictError(
+        'Faculty has active courses. Choose how to handle them before deactivating.',
+        'FACULTY_HAS_ACTIVE_COURSES',
+        {
+          activeCourses: courseIds.length,
+          pendingApplications: pendingApplications.length,
+          options: {
+            courseAction: ['deactivate', 'move'],
+            targetFacultyId: 'Required when courseAction is move',
+            applicationAction: ['keep', 'reject']
+          }
+        }
+      );
+    }
+
+    if (courseAction === 'move') {
+      const target = targetFacultyId && await getOwned(facultyRepository, targetFacultyId, institution.id);
+      if (!target || targetFacultyId === facultyId || target.isActive === false) {
+        throw new BadRequestError('targetFacultyId must be another active faculty of your institution', 'INVALID_TARGET_FACULTY');
+      }
+
+      const batch = db.batch();
+      courseIds.forEach(courseId => {
+        batch.update(courseRepository.ref(courseId), { facultyId: targetFacultyId, updatedAt: new Date() });
+      });
+      await batch.commit();
+    } else if (courseAction === 'deactivate') {
+      const batch = db.batch();
+      courseIds.forEach(courseId => {
+        batch.update(courseRepository.ref(courseId), { isActive: false, deactivatedAt: new Date(), updatedAt: new Date() });
+      });
+      await batch.commit();
+
+      if (applicationAction === 'reject') {
+        await rejectApplications(pendingApplications, institution, 'The course is no longer offered', req.user.uid);
+      }
+    }
+
+    await facultyRepository.update(facultyId, {
+      isActive: false,
+      deactivatedAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    logger.info('Faculty deactivated', { facultyId, courseAction: courseAction || null, applicationAction });
+
+    await recordAudit(req, {
+      action: 'faculty.deactivate',
+      targetType: 'faculty',
+      targetId: facultyId,
+      before: { isActive: faculty.isActive ?? true },
+      after: {
+        isActive: false,
+        courseAction: courseAction || null,
+        targetFacultyId: courseAction === 'move' ? targetFacultyId : null,
+        applicationAction: courseAction === 'deactivate' ? applicationAction : 'keep',
+        affectedCourses: courseIds
+      }
+    });
+
+    res.json({
+      message: 'Faculty deactivated successfully',
+      courses: { action: courseAction || null, count: courseIds.length },
+      applications: {
+        action: courseAction === 'deactivate' ? applicationAction : 'keep',
+        count: pendingApplications.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a course
+router.post('/courses', authenticate, authorize(['institution']), validate(schema.createCourse), async (req, res, next) => {
+  try {
+    const {
+      name,
+      facultyId,
+      description,
+      duration,
+      fees,
+      requirements,
+      intakeCapacity,
+      requiredDocuments
+    } = req.body;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const faculty = await getOwned(facultyRepository, facultyId, institution.id);
+    if (!faculty || faculty.isActive === false) {
+      throw new BadRequestError('Faculty not found or inactive', 'FACULTY_NOT_AVAILABLE');
+    }
+
+    const facultyCourses = await courseRepository.count({ facultyId });
+
+    const { id: courseId, ...course } = await courseRepository.create({
+      name,
+      description,
+      duration,
+      fees,
+      requirements,
+      intakeCapacity,
+      requiredDocuments: requiredDocuments || [],
+      facultyId,
+      institutionId: institution.id,
+      displayOrder: facultyCourses,
+      isActive: true,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    logger.info('Course created', { courseId, institutionId: institution.id });
+
+    await recordAudit(req, {
+      action: 'course.create',
+      targetType: 'course',
+      targetId: courseId,
+      after: course
+    });
+
+    res.status(201).json({
+      message: 'Course created successfully',
+      courseId
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reorder courses within a faculty
+router.put('/courses/order', authenticate, authorize(['institution']), validate(schema.reorderCourses), async (req, res, next) => {
+  try {
+    const { facultyId, order } = req.body;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const faculty = facultyId && await getOwned(facultyRepository, facultyId, institution.id);
+    if (!faculty) {
+      throw new NotFoundError('Faculty not found');
+    }
+
+    const courses = await courseRepository.find({ where: { facultyId } });
+
+    const orderError = checkOrder(order, courses.map(course => course.id));
+    if (orderError) {
+      throw new BadRequestError(orderError, 'INVALID_ORDER');
+    }
+
+    const batch = db.batch();
+    order.forEach((courseId, index) => {
+      batch.update(courseRepository.ref(courseId), { displayOrder: index, updatedAt: new Date() });
+    });
+    await batch.commit();
+
+    res.json({ message: 'Courses reordered successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a course
+router.put('/courses/:courseId', authenticate, authorize(['institution']), validate(schema.updateCourse), async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const course = await getOwned(courseRepository, courseId, institution.id);
+    if (!course) {
+      throw new NotFoundError('Course not found');
+    }
+
+    const updates = pickFields(req.body, COURSE_FIELDS);
+
+    if (updates.facultyId) {
+      const faculty = await getOwned(facultyRepository, updates.facultyId, institution.id);
+      if (!faculty || faculty.isActive === false) {
+        throw new BadRequestError('Faculty not found or inactive', 'FACULTY_NOT_AVAILABLE');
+      }
+    }
+
+    await courseRepository.update(courseId, {
+      ...updates,
+      updatedAt: new Date()
+    });
+
+    await recordAudit(req, {
+      action: 'course.update',
+      targetType: 'course',
+      targetId: courseId,
+      before: course,
+      after: { ...course, ...updates }
+    });
+
+    res.json({ message: 'Course updated successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deactivate a course, deciding what happens to its pending applications
+router.post('/courses/:courseId/deactivate', authenticate, authorize(['institution']), validate(schema.deactivateCourse), async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    const { applicationAction } = req.body;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const course = await getOwned(courseRepository, courseId, institution.id);
+    if (!course) {
+      throw new NotFoundError('Course not found');
+    }
+
+    const pendingApplications = await getOpenApplications([courseId]);
+
+    if (pendingApplications.length > 0 && !applicationAction) {
+      throw new ConflictError(
+        'Course has pending applications. Choose how to handle them before deactivating.',
+        'COURSE_HAS_PENDING_APPLICATIONS',
+        {
+          pendingApplications: pendingApplications.length,
+          options: { applicationAction: ['keep', 'reject'] }
+        }
+      );
+    }
+
+    await courseRepository.update(courseId, {
+      isActive: false,
+      deactivatedAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    if (applicationAction === 'reject') {
+      await rejectApplications(pendingApplications, institution, 'The course is no longer offered', req.user.uid);
+    }
+
+    await recordAudit(req, {
+      action: 'course.deactivate',
+      targetType: 'course',
+      targetId: courseId,
+      before: { isActive: course.isActive ?? true },
+      after: { isActive: false, applicationAction: applicationAction || 'keep' }
+    });
+
+    res.json({
+      message: 'Course deactivated successfully',
+      applications: { action: applicationAction || 'keep', count: pendingApplications.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the institution's admission periods
+router.get('/admission-periods', authenticate, authorize(['institution']), validate(), async (req, res, next) => {
+  try {
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const periods = await getInstitutionPeriods(institution.id);
+    periods.sort((a, b) => toDate(b.opensAt) - toDate(a.opensAt));
+
+    res.json(periods);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create an admission period, institution-wide or for one course
+router.post('/admission-periods', authenticate, authorize(['institution']), validate(schema.createAdmissionPeriod), async (req, res, next) => {
+  try {
+    const { academicYear, intake, opensAt, closesAt, courseId } = req.body;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    if (courseId && !(await getOwned(courseRepository, courseId, institution.id))) {
+      throw new NotFoundError('Course not found');
+    }
+
+    await assertNoOverlappingPeriod(institution.id, { courseId, opensAt, closesAt });
+
+    const { id: periodId, ...period } = await admissionPeriodRepository.create({
+      institutionId: institution.id,
+      courseId: courseId || null,
+      academicYear,
+      intake,
+      opensAt,
+      closesAt,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    await recordAudit(req, {
+      action: 'admission_period.create',
+      targetType: 'admissionPeriod',
+      targetId: periodId,
+      after: period
+    });
+
+    res.status(201).json({
+      message: 'Admission period created successfully',
+      periodId
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update an admission period
+router.put('/admission-periods/:periodId', authenticate, authorize(['institution']), validate(schema.updateAdmissionPeriod), async (req, res, next) => {
+  try {
+    const { periodId } = req.params;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const period = await getOwned(admissionPeriodRepository, periodId, institution.id);
+    if (!period) {
+      throw new NotFoundError('Admission period not found');
+    }
+
+    const merged = { ...period, ...pickFields(req.body, PERIOD_FIELDS) };
+    const errors = validateAdmissionPeriod({
+      ...merged,
+      opensAt: toDate(merged.opensAt),
+      closesAt: toDate(merged.closesAt)
+    });
+    if (errors.length > 0) {
+      throw new BadRequestError('Invalid admission period', 'INVALID_ADMISSION_PERIOD', errors);
+    }
+
+    if (req.body.courseId && !(await getOwned(courseRepository, req.body.courseId, institution.id))) {
+      throw new NotFoundError('Course not found');
+    }
+
+    await assertNoOverlappingPeriod(institution.id, merged);
+
+    const updates = pickFields(req.body, PERIOD_FIELDS);
+
+    await admissionPeriodRepository.update(periodId, {
+      ...updates,
+      updatedAt: new Date()
+    });
+
+    await recordAudit(req, {
+      action: 'admission_period.update',
+      targetType: 'admissionPeriod',
+      targetId: periodId,
+      before: period,
+      after: { ...period, ...updates }
+    });
+
+    res.json({ message: 'Admission period updated successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete an admission period
+router.delete('/admission-periods/:periodId', authenticate, authorize(['institution']), validate(schema.deleteAdmissionPeriod), async (req, res, next) => {
+  try {
+    const { periodId } = req.params;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const period = await getOwned(admissionPeriodRepository, periodId, institution.id);
+    if (!period) {
+      throw new NotFoundError('Admission period not found');
+    }
+
+    await admissionPeriodRepository.remove(periodId);
+
+    await recordAudit(req, {
+      action: 'admission_period.delete',
+      targetType: 'admissionPeriod',
+      targetId: periodId,
+      before: period
+    });
+
+    res.json({ message: 'Admission period deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get applications submitted to the institution
+router.get('/applications', authenticate, authorize(['institution']), validate(schema.listApplications), async (req, res, next) => {
+  try {
+    const { courseId, status } = req.query;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const institutionApplications = await applicationRepository.find({
+      where: { institutionId: institution.id, courseId, status }
+    });
+    const applications = await Promise.all(
+      institutionApplications.map(async (application) => {
+        const [student, course] = await Promise.all([
+          userRepository.findById(application.studentId),
+          courseRepository.findById(application.courseId)
+        ]);
+
+        return {
+          ...application,
+          studentName: formatStudentName(student?.profile),
+          courseName: course?.name
+        };
+      })
+    );
+
+    applications.sort((a, b) => toDate(b.appliedAt) - toDate(a.appliedAt));
+
+    res.json(applications);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get applications for one of the institution's courses
+router.get('/courses/:courseId/applications', authenticate, authorize(['institution']), validate(schema.listCourseApplications), async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    const { status } = req.query;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const course = await getOwned(courseRepository, courseId, institution.id);
+    if (!course) {
+      throw new NotFoundError('Course not found');
+    }
+
+    const courseApplications = await applicationRepository.find({ where: { courseId, status } });
+    const applications = await Promise.all(
+      courseApplications.map(async (application) => {
+        const student = await userRepository.findById(application.studentId);
+
+        return {
+          ...application,
+          studentName: formatStudentName(student?.profile)
+        };
+      })
+    );
+
+    applications.sort((a, b) => toDate(b.appliedAt) - toDate(a.appliedAt));
+
+    res.json({
+      course: { id: course.id, name: course.name },
+      applications
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single application with the student's profile and transcript
+router.get('/applications/:applicationId', authenticate, authorize(['institution']), validate(schema.getApplication), async (req, res, next) => {
+  try {
+    const { applicationId } = req.params;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const application = await applicationRepository.findById(applicationId);
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
+
+    if (application.institutionId !== institution.id) {
+      throw new ForbiddenError();
+    }
+
+    const [student, course, transcript] = await Promise.all([
+      userRepository.findById(application.studentId),
+      courseRepository.findById(application.courseId),
+      transcriptRepository.findLatestForStudent(application.studentId)
+    ]);
+
+    res.json({
+      ...application,
+      student: {
+        uid: application.studentId,
+        email: student?.email,
+        profile: student?.profile || {}
+      },
+      course: {
+        id: application.courseId,
+        name: course?.name
+      },
+      transcript,
+      ...(await describeApplicationDocuments(application, course)),
+      allowedTransitions: STATUS_TRANSITIONS[application.status] || []
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify or reject a document attached to an application
+router.put('/applications/:applicationId/documents/:documentId', authenticate, authorize(['institution']), validate(schema.reviewDocument), async (req, res, next) => {
+  try {
+    const { applicationId, documentId } = req.params;
+    const { status, reason } = req.body;
+
+    if (status === 'rejected' && !reason) {
+      throw new ValidationError([{ location: 'body', field: 'reason', message: 'is required when rejecting a document' }]);
+    }
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const appData = await applicationRepository.findById(applicationId);
+    if (!appData) {
+      throw new NotFoundError('Application not found');
+    }
+
+    if (appData.institutionId !== institution.id) {
+      throw new ForbiddenError();
+    }
+
+    if (!(appData.documents || []).includes(documentId)) {
+      throw new NotFoundError('Document is not attached to this application');
+    }
+
+    const review = {
+      status,
+      reason: reason || '',
+      reviewedBy: req.user.uid,
+      reviewedAt: new Date()
+    };
+
+    await applicationRepository.update(applicationId, {
+      [`documentReviews.${documentId}`]: review,
+      updatedAt: new Date()
+    });
+
+    await recordAudit(req, {
+      action: 'application.document_review',
+      targetType: 'application',
+      targetId: applicationId,
+      before: { [`documentReviews.${documentId}`]: appData.documentReviews?.[documentId]?.status || 'pending' },
+      after: { [`documentReviews.${documentId}`]: status, reason: review.reason }
+    });
+
+    if (status === 'rejected') {
+      const document = await documentRepository.findById(documentId);
+      await notificationRepository.create({
+        userId: appData.studentId,
+        title: 'Document Rejected',
+        message: `${institution.name} rejected your document "${document?.title || documentId}": ${review.reason}`,
+        type: 'document',
+        applicationId,
+        documentId,
+        read: false,
+        createdAt: new Date()
+      });
+    }
+
+    const course = await courseRepository.findById(appData.courseId);
+    const documents = await describeApplicationDocuments(
+      { ...appData, documentReviews: { ...appData.documentReviews, [documentId]: review } },
+      course
+    );
+
+    res.json({
+      message: `Document marked as ${status}`,
+      ...documents
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move an application through the admissions workflow
+router.put('/applications/:applicationId/status', authenticate, authorize(['institution']), validate(schema.updateApplicationStatus), async (req, res, next) => {
+  try {
+    const { applicationId } = req.params;
+    const { status, notes } = req.body;
+
+    const institution = await getAdminInstitution(req.user.uid);
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const appData = await applicationRepository.findById(applicationId);
+    if (!appData) {
+      throw new NotFoundError('Application not found');
+    }
+
+    if (appData.institutionId !== institution.id) {
+      throw new ForbiddenError();
+    }
+
+    const allowed = STATUS_TRANSITIONS[appData.status] || [];
+    if (!allowed.includes(status)) {
+      throw new BadRequestError(
+        `Cannot change application status from ${appData.status} to ${status}`,
+        'INVALID_STATUS_TRANSITION',
+        { currentStatus: appData.status, allowedTransitions: allowed }
+      );
+    }
+
+    logger.info('Application status changed', { applicationId, from: appData.status, to: status });
+
+    const now = new Date();
+    await applicationRepository.update(applicationId, {
+      status,
+      decisionNotes: notes || '',
+      reviewedBy: req.user.uid,
+      statusHistory: admin.firestore.FieldValue.arrayUnion({
+        from: appData.status,
+        to: status,
+        changedBy: req.user.uid,
+        notes: notes || '',
+        changedAt: now
+      }),
+      ...(DECISION_STATUSES.includes(status) && { decidedAt: now }),
+      ...(status === 'admitted' && { offerExpiresAt: getOfferExpiry(now) }),
+      updatedAt: now
+    });
+
+    await recordAudit(req, {
+      action: 'application.decision',
+      targetType: 'application',
+      targetId: applicationId,
+      before: { status: appData.status, decisionNotes: appData.decisionNotes || '' },
+      after: { status, decisionNotes: notes || '' }
+    });
+
+    const course = await courseRepository.findById(appData.courseId);
+    const courseName = course?.name || 'your course';
+
+    await notificationRepository.create({
+      userId: appData.studentId,
+      title: STATUS_NOTIFICATION_TITLES[status],
+      message: `Your application for ${courseName} at ${institution.name} is now ${status.replace('_', ' ')}` +
+        (notes ? `: ${notes}` : ''),
+      type: 'admission',
+      applicationId,
+      read: false,
+      createdAt: now
+    });
+
+    try {
+      const student = await userRepository.findById(appData.studentId);
+      if (student?.email) {
+        await sendTemplatedEmail('admissionDecision', student.email, {
+          firstName: student.profile?.firstName,
+          courseName,
+          institutionName: institution.name,
+          status,
+          notes
+        });
+      }
+    } catch (emailError) {
+      logger.warn('Failed to queue admission email', { applicationId, error: emailError });
+    }
+
+    res.json({
+      message: `Application marked as ${status}`,
+      applicationId,
+      status
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
+const PERIOD_FIELDS = ['academicYear', 'intake', 'opensAt', 'closesAt', 'courseId'];
+
+// Helper function to refuse a period that overlaps another one for the same course
+async function assertNoOverlappingPeriod(institutionId, period) {
+  const overlapping = findOverlappingPeriod(await getInstitutionPeriods(institutionId), period);
+  if (overlapping) {
+    throw new ConflictError(
+      'Admission period overlaps an existing period for the same course',
+      'ADMISSION_PERIOD_OVERLAP',
+      { periodId: overlapping.id, opensAt: toDate(overlapping.opensAt), closesAt: toDate(overlapping.closesAt) }
+    );
+  }
+}
+
+const COURSE_FIELDS = [
+  'name',
+  'facultyId',
+  'description',
+  'duration',
+  'fees',
+  'requirements',
+  'intakeCapacity',
+  'requiredDocuments'
+];
+
+// Applications still waiting on a decision
+const OPEN_APPLICATION_STATUSES = ['pending', 'under_review', 'waitlisted'];
+
+// Helper function to load an institution-owned record (faculty, course, admission period)
+async function getOwned(repository, id, institutionId) {
+  const record = await repository.findById(id);
+  if (!record || record.institutionId !== institutionId) {
+    return null;
+  }
+  return record;
+}
+
+function byDisplayOrder(a, b) {
+  return (a.displayOrder ?? Number.MAX_SAFE_INTEGER) - (b.displayOrder ?? Number.MAX_SAFE_INTEGER) ||
+    String(a.name).localeCompare(String(b.name));
+}
+
+function pickFields(source, fields) {
+  return Object.fromEntries(
+    fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+  );
+}
+
+// Helper function to check a reorder request lists every id exactly once
+function checkOrder(order, existingIds) {
+  if (!Array.isArray(order) || order.length === 0) {
+    return 'order must be a non-empty array of IDs';
+  }
+  if (new Set(order).size !== order.length) {
+    return 'order contains duplicate IDs';
+  }
+  if (order.length !== existingIds.length || !order.every(id => existingIds.includes(id))) {
+    return 'order must contain every ID exactly once';
+  }
+  return null;
+}
+
+async function getOpenApplications(courseIds) {
+  const applications = [];
+  for (const courseId of courseIds) {
+    applications.push(...await applicationRepository.find({
+      where: [['courseId', '==', courseId], ['status', 'in', OPEN_APPLICATION_STATUSES]]
+    }));
+  }
+  return applications;
+}
+
+// Helper function to reject open applications and notify each student
+async function rejectApplications(applications, institution, reason, changedBy) {
+  const now = new Date();
+  for (const appData of applications) {
+    await applicationRepository.update(appData.id, {
+      status: 'rejected',
+      decisionNotes: reason,
+      decidedAt: now,
+      statusHistory: admin.firestore.FieldValue.arrayUnion({
+        from: appData.status,
+        to: 'rejected',
+        changedBy,
+        notes: reason,
+        changedAt: now
+      }),
+      updatedAt: now
+    });
+
+    await notificationRepository.create({
+      userId: appData.studentId,
+      title: STATUS_NOTIFICATION_TITLES.rejected,
+      message: `Your application at ${institution.name} was closed: ${reason}`,
+      type: 'admission',
+      applicationId: appData.id,
+      read: false,
+      createdAt: now
+    });
+  }
+}
+
+// Helper function to find the institution managed by an admin user
+function getAdminInstitution(uid) {
+  return institutionRepository.findOne({ adminId: uid });
+}
+
+function formatStudentName(profile) {
+  if (!profile) {
+    return 'Unknown Student';
+  }
+  return `${profile.firstName || ''} ${profile.lastName || ''}`.trim() || 'Unknown Student';
+}
+
 export default router;
\ No newline at end of file
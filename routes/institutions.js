@@ -1,169 +1,155 @@
 import express from 'express';
-import { db } from '../server.js';
+import { NotFoundError } from '../errors.js';
+import { logger } from '../logger.js';
+import { courseRepository, facultyRepository, institutionRepository } from '../repositories/index.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { toOrderBy } from '../repositories/pagination.js';
+import { getAdmissionWindow, getInstitutionPeriods } from '../services/admissionPeriodService.js';
+import { recordAudit } from '../services/auditService.js';
+import * as schema from '../schemas/institutions.js';
 
 const router = express.Router();
 
-// Get all institutions (public route)
-router.get('/', async (req, res) => {
+// List active institutions (public route)
+router.get('/', validate(schema.listInstitutions), async (req, res, next) => {
   try {
-    console.log('📋 Fetching all institutions...');
-    
-    const institutionsSnapshot = await db.collection('institutions')
-      .where('isActive', '==', true)
-      .get();
-
-    if (institutionsSnapshot.empty) {
-      console.log('ℹ️ No institutions found');
-      return res.json([]);
-    }
-
-    const institutions = institutionsSnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    const { type, sort, cursor, limit, includeTotal } = req.query;
+
+    const page = await institutionRepository.findPage({
+      where: { isActive: true, type },
+      orderBy: toOrderBy(sort),
+      cursor,
+      limit,
+      includeTotal
+    });
 
-    console.log(`✅ Found ${institutions.length} institutions`);
-    res.json(institutions);
+    res.json(page);
   } catch (error) {
-    console.error('❌ Error fetching institutions:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch institutions',
-      details: error.message 
-    });
+    next(error);
   }
 });
 
 // Get single institution by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(schema.getInstitution), async (req, res, next) => {
   try {
     const { id } = req.params;
-    console.log(`📋 Fetching institution: ${id}`);
-    
-    const institutionDoc = await db.collection('institutions').doc(id).get();
+
+    const institution = await institutionRepository.findById(id);
     
-    if (!institutionDoc.exists) {
-      return res.status(404).json({ error: 'Institution not found' });
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
     }
 
-    const institution = {
-      id: institutionDoc.id,
-      ...institutionDoc.data()
-    };
-
     res.json(institution);
   } catch (error) {
-    console.error('❌ Error fetching institution:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get institution courses
-router.get('/:id/courses', async (req, res) => {
+router.get('/:id/courses', validate(schema.getInstitutionCourses), async (req, res, next) => {
   try {
     const { id } = req.params;
-    console.log(`📚 Fetching courses for institution: ${id}`);
-    
-    const coursesSnapshot = await db.collection('courses')
-      .where('institutionId', '==', id)
-      .where('isActive', '==', true)
-      .get();
 
+    const [activeCourses, periods] = await Promise.all([
+      courseRepository.find({ where: { institutionId: id, isActive: true } }),
+      getInstitutionPeriods(id)
+    ]);
+
+    const now = new Date();
     const courses = await Promise.all(
-      coursesSnapshot.docs.map(async (doc) => {
-        const courseData = doc.data();
-        const faculty = await db.collection('faculties').doc(courseData.facultyId).get();
+      activeCourses.map(async (course) => {
+        const faculty = await facultyRepository.findById(course.facultyId);
+        const admissionWindow = getAdmissionWindow(periods, course.id, now);
         
         return {
-          id: doc.id,
-          ...courseData,
-          facultyName: faculty.data()?.name || 'Unknown Faculty'
+          ...course,
+          facultyName: faculty?.name || 'Unknown Faculty',
+          acceptingApplications: admissionWindow.open,
+          admissionPeriod: admissionWindow.currentPeriod,
+          nextAdmissionPeriod: admissionWindow.nextPeriod
         };
       })
     );
 
-    console.log(`✅ Found ${courses.length} courses`);
     res.json(courses);
   } catch (error) {
-    console.error('❌ Error fetching courses:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get institution faculties
-router.get('/:id/faculties', async (req, res) => {
+router.get('/:id/faculties', validate(schema.getInstitutionFaculties), async (req, res, next) => {
   try {
     const { id } = req.params;
-    console.log(`🎓 Fetching faculties for institution: ${id}`);
-    
-    const facultiesSnapshot = await db.collection('faculties')
-      .where('institutionId', '==', id)
-      .get();
 
-    const faculties = facultiesSnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    const faculties = await facultyRepository.find({ where: { institutionId: id } });
 
-    console.log(`✅ Found ${faculties.length} faculties`);
     res.json(faculties);
   } catch (error) {
-    console.error('❌ Error fetching faculties:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Create institution (admin only)
-router.post('/', authenticate, authorize(['admin']), async (req, res) => {
+router.post('/', authenticate, authorize(['admin']), validate(schema.createInstitution), async (req, res, next) => {
   try {
-    const { name, location, description, contact } = req.body;
-    console.log('🏫 Creating new institution:', name);
-
-    const institutionRef = await db.collection('institutions').add({
-      name,
-      location,
-      description,
-      contact,
+    // The schema only lets through institution fields
+    const institution = await institutionRepository.create({
+      ...req.body,
       isActive: true,
       createdAt: new Date(),
       updatedAt: new Date()
     });
 
-    console.log('✅ Institution created:', institutionRef.id);
+    logger.info('Institution created', { institutionId: institution.id });
+
+    await recordAudit(req, {
+      action: 'institution.create',
+      targetType: 'institution',
+      targetId: institution.id,
+      after: { ...req.body, isActive: true }
+    });
     
     res.status(201).json({
       message: 'Institution created successfully',
-      institutionId: institutionRef.id
+      institutionId: institution.id
     });
   } catch (error) {
-    console.error('❌ Error creating institution:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Update institution
-router.put('/:id', authenticate, authorize(['admin']), async (req, res) => {
+router.put('/:id', authenticate, authorize(['admin']), validate(schema.updateInstitution), async (req, res, next) => {
   try {
     const { id } = req.params;
-    console.log(`✏️ Updating institution: ${id}`);
 
-    const institutionDoc = await db.collection('institutions').doc(id).get();
+    const institution = await institutionRepository.findById(id);
     
-    if (!institutionDoc.exists) {
-      return res.status(404).json({ error: 'Institution not found' });
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
     }
 
-    await db.collection('institutions').doc(id).update({
+    await institutionRepository.update(id, {
       ...req.body,
       updatedAt: new Date()
     });
 
-    console.log('✅ Institution updated successfully');
-    
+    await recordAudit(req, {
+      action: 'institution.update',
+      targetType: 'institution',
+      targetId: id,
+      before: institution,
+      after: { ...institution, ...req.body }
+    });
+
+    logger.info('Institution updated', { institutionId: id });
+
     res.json({ message: 'Institution updated successfully' });
   } catch (error) {
-    console.error('❌ Error updating institution:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
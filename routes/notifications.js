@@ -0,0 +1,190 @@
+import express from 'express';
+import { db } from '../firebase.js';
+import { NotFoundError } from '../errors.js';
+import { logger } from '../logger.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { notificationRepository } from '../repositories/index.js';
+import * as schema from '../schemas/notifications.js';
+
+const router = express.Router();
+
+// Firestore batches accept at most 500 writes
+const BATCH_LIMIT = 500;
+
+// Get current user's notifications
+router.get('/', authenticate, validate(schema.listNotifications), async (req, res, next) => {
+  try {
+    const { type, unread, cursor, limit, includeTotal } = req.query;
+
+    const page = await notificationRepository.findPage({
+      where: {
+        userId: req.user.uid,
+        type: type || undefined,
+        read: unread ? false : undefined
+      },
+      orderBy: ['createdAt', 'desc'],
+      cursor,
+      limit,
+      includeTotal
+    });
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get unread notification count
+router.get('/unread-count', authenticate, validate(), async (req, res, next) => {
+  try {
+    const unread = await notificationRepository.count({ userId: req.user.uid, read: false });
+
+    res.json({ unread });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark all notifications as read
+router.put('/read-all', authenticate, validate(), async (req, res, next) => {
+  try {
+    const unreadSnapshot = await notificationRepository
+      .query({ where: { userId: req.user.uid, read: false } })
+      .get();
+
+    await commitInBatches(unreadSnapshot.docs, (batch, doc) => {
+      batch.update(doc.ref, { read: true, readAt: new Date() });
+    });
+
+    res.json({ message: 'All notifications marked as read', updated: unreadSnapshot.size });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark several notifications as read
+router.put('/read', authenticate, validate(schema.markRead), async (req, res, next) => {
+  try {
+    const { ids } = req.body;
+
+    const docs = await getOwnNotifications(ids, req.user.uid);
+    await commitInBatches(docs, (batch, doc) => {
+      batch.update(doc.ref, { read: true, readAt: new Date() });
+    });
+
+    res.json({ message: 'Notifications marked as read', updated: docs.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark one notification as read
+router.put('/:notificationId/read', authenticate, validate(schema.markOneRead), async (req, res, next) => {
+  try {
+    const { notificationId } = req.params;
+
+    const [notificationDoc] = await getOwnNotifications([notificationId], req.user.uid);
+    if (!notificationDoc) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    await notificationDoc.ref.update({ read: true, readAt: new Date() });
+
+    res.json({ message: 'Notification marked as read' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Purge old notifications (admin only)
+router.delete('/purge', authenticate, authorize(['admin']), validate(schema.purge), async (req, res, next) => {
+  try {
+    const { olderThanDays, readOnly = true } = req.query;
+
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - olderThanDays);
+
+    // One batch-sized page at a time, so memory stays bounded however many there are
+    let deleted = 0;
+    let lastDoc;
+    for (;;) {
+      const pageSnapshot = await notificationRepository.query({
+        where: [['createdAt', '<', cutoff]],
+        orderBy: ['createdAt', 'asc'],
+        startAfter: lastDoc,
+        limit: BATCH_LIMIT
+      }).get();
+      if (pageSnapshot.empty) break;
+
+      const docs = readOnly
+        ? pageSnapshot.docs.filter(doc => doc.data().read)
+        : pageSnapshot.docs;
+      await commitInBatches(docs, (batch, doc) => batch.delete(doc.ref));
+      deleted += docs.length;
+
+      if (pageSnapshot.size < BATCH_LIMIT) break;
+      lastDoc = pageSnapshot.docs[pageSnapshot.docs.length - 1];
+    }
+
+    logger.info('Old notifications purged', { deleted, olderThanDays, readOnly });
+
+    res.json({
+      message: 'Old notifications purged',
+      deleted,
+      cutoff: cutoff.toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete one notification
+router.delete('/:notificationId', authenticate, validate(schema.deleteOne), async (req, res, next) => {
+  try {
+    const { notificationId } = req.params;
+
+    const [notificationDoc] = await getOwnNotifications([notificationId], req.user.uid);
+    if (!notificationDoc) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    await notificationDoc.ref.delete();
+
+    res.json({ message: 'Notification deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete several notifications
+router.delete('/', authenticate, validate(schema.deleteMany), async (req, res, next) => {
+  try {
+    const { ids } = req.body;
+
+    const docs = await getOwnNotifications(ids, req.user.uid);
+    await commitInBatches(docs, (batch, doc) => batch.delete(doc.ref));
+
+    res.json({ message: 'Notifications deleted', deleted: docs.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to load notifications, skipping any that belong to someone else
+async function getOwnNotifications(ids, uid) {
+  const refs = [...new Set(ids.map(String))].map(notificationRepository.ref);
+  const docs = await db.getAll(...refs);
+  return docs.filter(doc => doc.exists && doc.data().userId === uid);
+}
+
+// Helper function to apply a write to many documents in batches
+async function commitInBatches(docs, write) {
+  for (let i = 0; i < docs.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    docs.slice(i, i + BATCH_LIMIT).forEach(doc => write(batch, doc));
+    await batch.commit();
+  }
+}
+
+export default router;
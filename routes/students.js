@@ -1,81 +1,130 @@
 import express from 'express';
-import { db } from '../server.js';
+import path from 'path';
+import admin from 'firebase-admin';
+import { db } from '../firebase.js';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../errors.js';
+import { logger } from '../logger.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { requireOwnership } from '../middleware/policies.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validation.js';
+import {
+  applicationRepository,
+  companyRepository,
+  courseRepository,
+  documentRepository,
+  facultyRepository,
+  institutionRepository,
+  jobApplicationRepository,
+  jobRepository,
+  notificationRepository,
+  savedCourseRepository,
+  transcriptRepository,
+  userRepository
+} from '../repositories/index.js';
+import { toOrderBy } from '../repositories/pagination.js';
+import { isOfferExpired, releaseOffer, toDate } from '../services/admissionService.js';
+import {
+  getAdmissionWindow,
+  getCourseAdmissionWindow,
+  getInstitutionPeriods
+} from '../services/admissionPeriodService.js';
+import { getActiveCompanyIds } from '../services/companyStatusService.js';
+import {
+  describeApplicationDocuments,
+  findUnknownAttachments,
+  findUnknownDocuments
+} from '../services/documentService.js';
+import { checkEligibility, summarizeGrades } from '../services/eligibilityService.js';
+import { checkJobQualifications, getStudentCredentials } from '../services/jobMatchingService.js';
+import { getStorage } from '../services/storageService.js';
+import { getUserRole } from '../services/roleService.js';
+import { sendTemplatedEmail } from '../services/emailService.js';
+import { uploadSingle } from '../middleware/upload.js';
+import * as schema from '../schemas/students.js';
 
 const router = express.Router();
 
 // Apply for course
-router.post('/applications', authenticate, authorize(['student']), async (req, res) => {
+router.post('/applications', authenticate, authorize(['student']), validate(schema.apply), rateLimit('courseApplication'), async (req, res, next) => {
   try {
-    console.log('📝 Student application submission:', {
-      studentId: req.user.uid,
-      courseId: req.body.courseId,
-      institutionId: req.body.institutionId
-    });
-
     const { courseId, institutionId, personalStatement, documents } = req.body;
     const studentId = req.user.uid;
 
-    // Validate required fields
-    if (!courseId || !institutionId) {
-      return res.status(400).json({ 
-        error: 'Course ID and Institution ID are required' 
-      });
+    const documentIds = [...new Set(documents || [])];
+    const unknownDocuments = await findUnknownDocuments(studentId, documentIds);
+    if (unknownDocuments.length > 0) {
+      throw new BadRequestError(`Documents not found: ${unknownDocuments.join(', ')}`, 'DOCUMENTS_NOT_FOUND', { documentIds: unknownDocuments });
     }
 
     // Check if student already has 2 applications for this institution
-    const existingApps = await db.collection('applications')
-      .where('studentId', '==', studentId)
-      .where('institutionId', '==', institutionId)
-      .get();
-
-    if (existingApps.size >= 2) {
-      console.log('❌ Maximum applications reached for institution');
-      return res.status(400).json({ 
-        error: 'Maximum of 2 applications per institution allowed' 
-      });
+    const existingApps = await applicationRepository.count({ studentId, institutionId });
+
+    if (existingApps >= 2) {
+      throw new BadRequestError('Maximum of 2 applications per institution allowed', 'APPLICATION_LIMIT_REACHED');
     }
 
     // Check if already admitted elsewhere
-    const admittedApp = await db.collection('applications')
-      .where('studentId', '==', studentId)
-      .where('status', '==', 'admitted')
-      .get();
-
-    if (!admittedApp.empty) {
-      console.log('❌ Student already admitted elsewhere');
-      return res.status(400).json({ 
-        error: 'You are already admitted to an institution' 
-      });
+    const admittedApp = await applicationRepository.findOne({ studentId, status: 'admitted' });
+
+    if (admittedApp) {
+      throw new BadRequestError('You are already admitted to an institution', 'ALREADY_ADMITTED');
     }
 
     // Verify course exists and belongs to institution
-    const courseDoc = await db.collection('courses').doc(courseId).get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({ error: 'Course not found' });
+    const courseData = await courseRepository.findById(courseId);
+    if (!courseData) {
+      throw new NotFoundError('Course not found');
     }
 
-    const courseData = courseDoc.data();
     if (courseData.institutionId !== institutionId) {
-      return res.status(400).json({ error: 'Course does not belong to selected institution' });
+      throw new BadRequestError('Course does not belong to selected institution', 'COURSE_NOT_IN_INSTITUTION');
+    }
+
+    // Once admission periods are configured, applications are only accepted during one
+    const admissionWindow = await getCourseAdmissionWindow(institutionId, courseId);
+    if (!admissionWindow.open) {
+      throw new BadRequestError(
+        'Applications for this course are currently closed',
+        'ADMISSION_CLOSED',
+        {
+          nextOpensAt: admissionWindow.nextPeriod?.opensAt || null,
+          nextPeriod: admissionWindow.nextPeriod
+        }
+      );
+    }
+
+    // Check entry requirements against the student's latest transcript
+    const transcript = await transcriptRepository.findLatestForStudent(studentId);
+    const eligibility = checkEligibility(courseData.requirements, transcript);
+
+    if (!eligibility.eligible) {
+      throw new BadRequestError('You do not meet the entry requirements for this course', 'REQUIREMENTS_NOT_MET', { eligibility });
     }
 
     // Create application
-    const applicationRef = await db.collection('applications').add({
+    const application = await applicationRepository.create({
       studentId,
       courseId,
       institutionId,
       personalStatement: personalStatement || '',
-      documents: documents || [],
+      documents: documentIds,
+      documentReviews: {},
+      eligibility: {
+        structured: eligibility.structured,
+        checks: eligibility.checks,
+        transcriptId: transcript?.id || null
+      },
+      admissionPeriodId: admissionWindow.currentPeriod?.id ?? null,
       status: 'pending',
       appliedAt: new Date(),
       updatedAt: new Date()
     });
 
-    console.log('✅ Application created successfully:', applicationRef.id);
+    logger.info('Application submitted', { applicationId: application.id, studentId, courseId, institutionId });
 
     // Create notification
-    await db.collection('notifications').add({
+    await notificationRepository.create({
       userId: studentId,
       title: 'Application Submitted',
       message: `Your application for ${courseData.name} has been submitted successfully`,
@@ -84,54 +133,62 @@ router.post('/applications', authenticate, authorize(['student']), async (req, r
       createdAt: new Date()
     });
 
+    try {
+      const [student, institution] = await Promise.all([
+        userRepository.findById(studentId),
+        institutionRepository.findById(institutionId)
+      ]);
+      await sendTemplatedEmail('applicationSubmitted', student?.email || req.user.email, {
+        firstName: student?.profile?.firstName,
+        courseName: courseData.name,
+        institutionName: institution?.name
+      });
+    } catch (emailError) {
+      logger.warn('Failed to queue application email', { applicationId: application.id, error: emailError });
+    }
+
     res.status(201).json({
       message: 'Application submitted successfully',
-      applicationId: applicationRef.id
+      applicationId: application.id
     });
   } catch (error) {
-    console.error('❌ Application submission error:', error);
-    res.status(500).json({ 
-      error: 'Failed to submit application',
-      details: error.message 
-    });
+    next(error);
   }
 });
 
 // Get student's applications
-router.get('/applications', authenticate, authorize(['student']), async (req, res) => {
+router.get('/applications', authenticate, authorize(['student']), validate(schema.listApplications), async (req, res, next) => {
   try {
     const studentId = req.user.uid;
-    console.log('📋 Fetching applications for student:', studentId);
-    
-    const applicationsSnapshot = await db.collection('applications')
-      .where('studentId', '==', studentId)
-      .orderBy('appliedAt', 'desc')
-      .get();
+    const { status, institutionId, sort, cursor, limit, includeTotal } = req.query;
+
+    const page = await applicationRepository.findPage({
+      where: { studentId, status, institutionId },
+      orderBy: toOrderBy(sort),
+      cursor,
+      limit,
+      includeTotal
+    });
 
     const applications = [];
-    for (const doc of applicationsSnapshot.docs) {
-      const appData = doc.data();
-      
+    for (const appData of page.items) {
       // Get course details
-      const courseDoc = await db.collection('courses').doc(appData.courseId).get();
-      const courseData = courseDoc.data();
-      
+      const courseData = await courseRepository.findById(appData.courseId);
+
       // Get institution details
-      const institutionDoc = await db.collection('institutions').doc(appData.institutionId).get();
-      const institutionData = institutionDoc.data();
-      
+      const institutionData = await institutionRepository.findById(appData.institutionId);
+
       // Get faculty details
       let facultyName = 'Unknown Faculty';
       if (courseData?.facultyId) {
-        const facultyDoc = await db.collection('faculties').doc(courseData.facultyId).get();
-        facultyName = facultyDoc.data()?.name || 'Unknown Faculty';
+        const faculty = await facultyRepository.findById(courseData.facultyId);
+        facultyName = faculty?.name || 'Unknown Faculty';
       }
-      
+
       applications.push({
-        id: doc.id,
         ...appData,
         course: {
-          id: courseDoc.id,
+          id: appData.courseId,
           name: courseData?.name,
           description: courseData?.description,
           duration: courseData?.duration,
@@ -139,7 +196,7 @@ router.get('/applications', authenticate, authorize(['student']), async (req, re
           facultyName: facultyName
         },
         institution: {
-          id: institutionDoc.id,
+          id: appData.institutionId,
           name: institutionData?.name,
           location: institutionData?.location,
           description: institutionData?.description
@@ -147,126 +204,718 @@ router.get('/applications', authenticate, authorize(['student']), async (req, re
       });
     }
 
-    console.log(`✅ Found ${applications.length} applications for student`);
-    res.json(applications);
+    res.json({ ...page, items: applications });
   } catch (error) {
-    console.error('❌ Error fetching applications:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch applications',
-      details: error.message 
-    });
+    next(error);
   }
 });
 
 // Get specific application
-router.get('/applications/:applicationId', authenticate, authorize(['student']), async (req, res) => {
+router.get('/applications/:applicationId', authenticate, authorize(['student']), validate(schema.getApplication), requireOwnership('applicationOwner', 'applicationId'), async (req, res, next) => {
   try {
     const { applicationId } = req.params;
     const studentId = req.user.uid;
-    
-    console.log(`📄 Fetching application: ${applicationId} for student: ${studentId}`);
 
-    const applicationDoc = await db.collection('applications').doc(applicationId).get();
-    
-    if (!applicationDoc.exists) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
-
-    const appData = applicationDoc.data();
-    
-    // Verify the application belongs to the student
-    if (appData.studentId !== studentId) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const appData = req.resources.applicationId;
 
     // Get course details
-    const courseDoc = await db.collection('courses').doc(appData.courseId).get();
-    const courseData = courseDoc.data();
-    
+    const courseData = await courseRepository.findById(appData.courseId);
+
     // Get institution details
-    const institutionDoc = await db.collection('institutions').doc(appData.institutionId).get();
-    const institutionData = institutionDoc.data();
+    const institutionData = await institutionRepository.findById(appData.institutionId);
 
     const application = {
-      id: applicationDoc.id,
       ...appData,
       course: {
-        id: courseDoc.id,
+        id: appData.courseId,
         name: courseData?.name,
         description: courseData?.description,
         duration: courseData?.duration,
         fees: courseData?.fees
       },
       institution: {
-        id: institutionDoc.id,
+        id: appData.institutionId,
         name: institutionData?.name,
         location: institutionData?.location
-      }
+      },
+      ...(await describeApplicationDocuments(appData, courseData))
     };
 
     res.json(application);
   } catch (error) {
-    console.error('❌ Error fetching application:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Attach documents to an application
+router.put('/applications/:applicationId/documents', authenticate, authorize(['student']), validate(schema.updateApplicationDocuments), requireOwnership('applicationOwner', 'applicationId'), async (req, res, next) => {
+  try {
+    const { applicationId } = req.params;
+    const { documentIds } = req.body;
+    const studentId = req.user.uid;
+
+    const appData = req.resources.applicationId;
+    if (!['pending', 'under_review'].includes(appData.status)) {
+      throw new BadRequestError('Documents can only be changed while the application is being considered', 'APPLICATION_CLOSED');
+    }
+
+    const ids = [...new Set(documentIds)];
+    const unknownDocuments = await findUnknownDocuments(studentId, ids);
+    if (unknownDocuments.length > 0) {
+      throw new BadRequestError(`Documents not found: ${unknownDocuments.join(', ')}`, 'DOCUMENTS_NOT_FOUND', { documentIds: unknownDocuments });
+    }
+
+    // Reviews of documents that stay attached are kept
+    const documentReviews = Object.fromEntries(
+      Object.entries(appData.documentReviews || {}).filter(([documentId]) => ids.includes(documentId))
+    );
+
+    await applicationRepository.update(applicationId, {
+      documents: ids,
+      documentReviews,
+      updatedAt: new Date()
+    });
+
+    const course = await courseRepository.findById(appData.courseId);
+
+    res.json({
+      message: 'Application documents updated successfully',
+      ...(await describeApplicationDocuments({ ...appData, documents: ids, documentReviews }, course))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload a document that can be attached to applications
+router.post('/documents', authenticate, authorize(['student']), uploadSingle('file'), validate(schema.uploadDocument), async (req, res, next) => {
+  try {
+    const studentId = req.user.uid;
+    const { type, title } = req.body;
+
+    if (!req.file) {
+      throw new BadRequestError('Document file is required (multipart field "file")', 'FILE_REQUIRED');
+    }
+
+    const storage = getStorage();
+    const documentId = documentRepository.collection().doc().id;
+    const extension = path.extname(req.file.originalname || '').toLowerCase();
+    const fileKey = `documents/${studentId}/${documentId}${extension}`;
+
+    await storage.save(fileKey, req.file.buffer, { contentType: req.file.mimetype });
+
+    const uploadedAt = new Date();
+    await documentRepository.create({
+      studentId,
+      type,
+      title: title || req.file.originalname,
+      file: {
+        key: fileKey,
+        storage: storage.driver,
+        name: req.file.originalname,
+        contentType: req.file.mimetype,
+        size: req.file.size
+      },
+      uploadedAt
+    }, documentId);
+
+    logger.info('Document uploaded', { documentId, studentId, type });
+
+    res.status(201).json({
+      message: 'Document uploaded successfully',
+      documentId,
+      fileUrl: `/api/students/documents/${documentId}/file`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get student's documents
+router.get('/documents', authenticate, authorize(['student']), validate(), async (req, res, next) => {
+  try {
+    const studentDocuments = await documentRepository.find({ where: { studentId: req.user.uid } });
+
+    const documents = studentDocuments
+      .map(document => ({
+        ...document,
+        fileUrl: `/api/students/documents/${document.id}/file`
+      }))
+      .sort((a, b) => toDate(b.uploadedAt) - toDate(a.uploadedAt));
+
+    res.json(documents);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a document that is not attached to any application
+router.delete('/documents/:documentId', authenticate, authorize(['student']), validate(schema.deleteDocument), async (req, res, next) => {
+  try {
+    const { documentId } = req.params;
+    const studentId = req.user.uid;
+
+    const document = await documentRepository.findById(documentId);
+    if (!document || document.studentId !== studentId) {
+      throw new NotFoundError('Document not found');
+    }
+
+    const attached = await Promise.all([applicationRepository, jobApplicationRepository].map(repository =>
+      repository.findOne([
+        ['studentId', '==', studentId],
+        ['documents', 'array-contains', documentId]
+      ])
+    ));
+    if (attached.some(Boolean)) {
+      throw new BadRequestError('Document is attached to an application and cannot be deleted', 'DOCUMENT_IN_USE');
+    }
+
+    await getStorage().remove(document.file.key);
+    await documentRepository.remove(documentId);
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a document (owner, institutions and companies the student applied to, admins)
+router.get('/documents/:documentId/file', authenticate, validate(schema.downloadDocument), async (req, res, next) => {
+  try {
+    const { documentId } = req.params;
+
+    const document = await documentRepository.findById(documentId);
+    if (!document) {
+      throw new NotFoundError('Document not found');
+    }
+
+    if (!(await canReadStudentFile(req.user.uid, document.studentId))) {
+      throw new ForbiddenError();
+    }
+
+    streamFile(res, document.file, next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check eligibility for a course before applying
+router.get('/courses/:courseId/eligibility', authenticate, authorize(['student']), validate(schema.checkCourseEligibility), async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    const studentId = req.user.uid;
+
+    const courseData = await courseRepository.findById(courseId);
+    if (!courseData) {
+      throw new NotFoundError('Course not found');
+    }
+
+    const transcript = await transcriptRepository.findLatestForStudent(studentId);
+    const eligibility = checkEligibility(courseData.requirements, transcript);
+
+    res.json({
+      courseId,
+      courseName: courseData.name,
+      institutionId: courseData.institutionId,
+      ...eligibility
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get student's saved courses
+router.get('/saved-courses', authenticate, authorize(['student']), validate(), async (req, res, next) => {
+  try {
+    const studentId = req.user.uid;
+
+    const savedEntries = await savedCourseRepository.find({ where: { studentId } });
+
+    const periodsByInstitution = new Map();
+    const savedCourses = [];
+    for (const saved of savedEntries) {
+      if (!periodsByInstitution.has(saved.institutionId)) {
+        periodsByInstitution.set(saved.institutionId, await getInstitutionPeriods(saved.institutionId));
+      }
+      const admissionWindow = getAdmissionWindow(periodsByInstitution.get(saved.institutionId), saved.courseId);
+
+      savedCourses.push({
+        id: saved.id,
+        courseId: saved.courseId,
+        institutionId: saved.institutionId,
+        courseName: saved.courseName,
+        institutionName: saved.institutionName,
+        savedAt: saved.savedAt,
+        acceptingApplications: admissionWindow.open,
+        closesAt: admissionWindow.currentPeriod?.closesAt || null,
+        nextOpensAt: admissionWindow.nextPeriod?.opensAt || null
+      });
+    }
+
+    res.json(savedCourses);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Save a course to get deadline reminders
+router.put('/saved-courses/:courseId', authenticate, authorize(['student']), validate(schema.saveCourse), async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    const studentId = req.user.uid;
+
+    const course = await courseRepository.findById(courseId);
+    if (!course) {
+      throw new NotFoundError('Course not found');
+    }
+
+    const institution = await institutionRepository.findById(course.institutionId);
+
+    // One document per student and course keeps saving idempotent
+    await savedCourseRepository.set(`${studentId}_${courseId}`, {
+      studentId,
+      courseId,
+      institutionId: course.institutionId,
+      courseName: course.name,
+      institutionName: institution?.name || '',
+      savedAt: new Date()
+    }, { merge: true });
+
+    res.json({ message: 'Course saved successfully', courseId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a saved course
+router.delete('/saved-courses/:courseId', authenticate, authorize(['student']), validate(schema.unsaveCourse), async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    const studentId = req.user.uid;
+
+    const savedId = `${studentId}_${courseId}`;
+    if (!(await savedCourseRepository.findById(savedId))) {
+      throw new NotFoundError('Saved course not found');
+    }
+
+    await savedCourseRepository.remove(savedId);
+
+    res.json({ message: 'Course removed from saved courses', courseId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get student's admission offers
+router.get('/offers', authenticate, authorize(['student']), validate(), async (req, res, next) => {
+  try {
+    const studentId = req.user.uid;
+
+    const admitted = await applicationRepository.find({ where: { studentId, status: 'admitted' } });
+
+    const offers = [];
+    for (const appData of admitted) {
+      // Offers that lapsed without being accepted go back to the waitlist
+      if (!appData.offerAcceptedAt && isOfferExpired(appData)) {
+        await releaseOffer(appData.id, appData, 'Offer expired before acceptance');
+        continue;
+      }
+
+      const course = await courseRepository.findById(appData.courseId);
+      const institution = await institutionRepository.findById(appData.institutionId);
+
+      offers.push({
+        id: appData.id,
+        courseId: appData.courseId,
+        institutionId: appData.institutionId,
+        courseName: course?.name,
+        institutionName: institution?.name,
+        decidedAt: appData.decidedAt,
+        offerExpiresAt: appData.offerExpiresAt || null,
+        accepted: !!appData.offerAcceptedAt,
+        acceptedAt: appData.offerAcceptedAt || null
+      });
+    }
+
+    res.json({
+      offers,
+      hasAcceptedOffer: offers.some(offer => offer.accepted)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accept one admission offer and release every other offer
+router.post('/offers/:applicationId/accept', authenticate, authorize(['student']), validate(schema.acceptOffer), async (req, res, next) => {
+  try {
+    const { applicationId } = req.params;
+    const studentId = req.user.uid;
+
+    const offersQuery = applicationRepository.query({ where: { studentId, status: 'admitted' } });
+
+    // Read and accept inside a transaction so two concurrent accepts can't both succeed
+    const competingOffers = await db.runTransaction(async (transaction) => {
+      const offersSnapshot = await transaction.get(offersQuery);
+      const offerDoc = offersSnapshot.docs.find(doc => doc.id === applicationId);
+
+      if (!offerDoc) {
+        throw new NotFoundError('Admission offer not found', 'OFFER_NOT_FOUND');
+      }
+
+      if (offersSnapshot.docs.some(doc => doc.data().offerAcceptedAt)) {
+        throw new BadRequestError('You have already accepted an admission offer', 'OFFER_ALREADY_ACCEPTED');
+      }
+
+      if (isOfferExpired(offerDoc.data())) {
+        throw new BadRequestError('This admission offer has expired', 'OFFER_EXPIRED');
+      }
+
+      const now = new Date();
+      transaction.update(offerDoc.ref, {
+        offerAcceptedAt: now,
+        statusHistory: admin.firestore.FieldValue.arrayUnion({
+          from: 'admitted',
+          to: 'admitted',
+          changedBy: studentId,
+          notes: 'Offer accepted by student',
+          changedAt: now
+        }),
+        updatedAt: now
+      });
+
+      return offersSnapshot.docs
+        .filter(doc => doc.id !== applicationId)
+        .map(doc => ({ id: doc.id, data: doc.data() }));
+    });
+
+    for (const offer of competingOffers) {
+      await releaseOffer(offer.id, offer.data, 'Student accepted another offer');
+    }
+
+    const accepted = await applicationRepository.findById(applicationId);
+    const [course, institution] = await Promise.all([
+      courseRepository.findById(accepted.courseId),
+      institutionRepository.findById(accepted.institutionId)
+    ]);
+    const courseName = course?.name || 'the course';
+
+    await notificationRepository.create({
+      userId: studentId,
+      title: 'Admission Offer Accepted',
+      message: `You have accepted your offer for ${courseName}`,
+      type: 'admission',
+      applicationId,
+      read: false,
+      createdAt: new Date()
+    });
+
+    if (institution?.adminId) {
+      await notificationRepository.create({
+        userId: institution.adminId,
+        title: 'Admission Offer Accepted',
+        message: `A student accepted their offer for ${courseName}`,
+        type: 'admission',
+        applicationId,
+        read: false,
+        createdAt: new Date()
+      });
+    }
+
+    logger.info('Admission offer accepted', {
+      applicationId,
+      studentId,
+      releasedOffers: competingOffers.map(offer => offer.id)
+    });
+
+    res.json({
+      message: 'Admission offer accepted successfully',
+      applicationId,
+      releasedOffers: competingOffers.map(offer => offer.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Decline an admission offer
+router.post('/offers/:applicationId/decline', authenticate, authorize(['student']), validate(schema.declineOffer), requireOwnership('applicationOwner', 'applicationId'), async (req, res, next) => {
+  try {
+    const { applicationId } = req.params;
+    const { id, ...appData } = req.resources.applicationId;
+
+    if (appData.status !== 'admitted') {
+      throw new BadRequestError('Application does not have an open admission offer', 'NO_OPEN_OFFER');
+    }
+
+    if (appData.offerAcceptedAt) {
+      throw new BadRequestError('An accepted offer cannot be declined', 'OFFER_ALREADY_ACCEPTED');
+    }
+
+    await releaseOffer(applicationId, appData, 'Offer declined by student');
+
+    res.json({ message: 'Admission offer declined', applicationId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Browse active job postings
+router.get('/jobs', authenticate, authorize(['student']), validate(schema.browseJobs), async (req, res, next) => {
+  try {
+    const { search, jobType, location } = req.query;
+
+    const activeJobs = await jobRepository.find({ where: { isActive: true } });
+
+    const now = new Date();
+    const term = search?.toLowerCase();
+
+    const activeCompanyIds = await getActiveCompanyIds(activeJobs.map(job => job.companyId));
+
+    const jobs = activeJobs
+      .filter(job => activeCompanyIds.has(job.companyId))
+      .filter(job => isJobOpen(job, now))
+      .filter(job => !jobType || job.jobType === jobType)
+      .filter(job => !location || job.location?.toLowerCase().includes(location.toLowerCase()))
+      .filter(job => !term ||
+        job.title?.toLowerCase().includes(term) ||
+        job.description?.toLowerCase().includes(term) ||
+        job.companyName?.toLowerCase().includes(term))
+      .sort((a, b) => toDate(b.postedAt) - toDate(a.postedAt));
+
+    res.json(jobs);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single job posting
+router.get('/jobs/:jobId', authenticate, authorize(['student']), validate(schema.getJob), async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const studentId = req.user.uid;
+
+    const job = await getVisibleJob(jobId);
+    if (!job) {
+      throw new NotFoundError('Job not found');
+    }
+
+    const existing = await findActiveJobApplication(studentId, jobId);
+
+    res.json({
+      ...job,
+      acceptingApplications: isJobOpen(job),
+      applicationId: existing?.id || null,
+      applicationStatus: existing?.status || null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Explain how the student matches a job's requirements
+router.get('/jobs/:jobId/match', authenticate, authorize(['student']), validate(schema.getJobMatch), async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const studentId = req.user.uid;
+
+    const job = await getVisibleJob(jobId);
+    if (!job) {
+      throw new NotFoundError('Job not found');
+    }
+
+    const [user, transcript] = await Promise.all([
+      userRepository.findById(studentId),
+      transcriptRepository.findLatestForStudent(studentId)
+    ]);
+
+    const credentials = getStudentCredentials(user?.profile, transcript);
+    const match = checkJobQualifications(credentials, job);
+
+    res.json({ jobId, title: job.title, ...match });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Apply for a job
+router.post('/jobs/:jobId/apply', authenticate, authorize(['student']), validate(schema.applyForJob), rateLimit('jobApplication'), async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { coverLetter, documents } = req.body;
+    const studentId = req.user.uid;
+
+    const job = await getVisibleJob(jobId);
+    if (!job) {
+      throw new NotFoundError('Job not found');
+    }
+
+    if (!job.isActive) {
+      throw new BadRequestError('This job is no longer accepting applications', 'JOB_CLOSED');
+    }
+    if (!isJobOpen(job)) {
+      throw new BadRequestError('The application deadline for this job has passed', 'JOB_DEADLINE_PASSED');
+    }
+
+    const existing = await findActiveJobApplication(studentId, jobId);
+    if (existing) {
+      throw new BadRequestError('You have already applied for this job', 'ALREADY_APPLIED');
+    }
+
+    // The student's own uploaded documents and transcripts can be attached
+    const documentIds = [...new Set(documents || [])];
+    const unknownDocuments = await findUnknownAttachments(studentId, documentIds);
+    if (unknownDocuments.length > 0) {
+      throw new BadRequestError(`Documents not found: ${unknownDocuments.join(', ')}`, 'DOCUMENTS_NOT_FOUND', { documentIds: unknownDocuments });
+    }
+
+    const transcript = await transcriptRepository.findLatestForStudent(studentId);
+    const now = new Date();
+
+    const application = await jobApplicationRepository.create({
+      jobId,
+      companyId: job.companyId,
+      studentId,
+      coverLetter: coverLetter || '',
+      documents: documentIds,
+      transcriptId: transcript?.id || null,
+      status: 'applied',
+      appliedAt: now,
+      updatedAt: now
+    });
+
+    await notificationRepository.create({
+      userId: studentId,
+      title: 'Job Application Submitted',
+      message: `Your application for ${job.title} at ${job.companyName} has been submitted`,
+      type: 'job',
+      jobId,
+      read: false,
+      createdAt: now
+    });
+
+    const company = await companyRepository.findById(job.companyId);
+    if (company?.adminId) {
+      await notificationRepository.create({
+        userId: company.adminId,
+        title: 'New Job Applicant',
+        message: `A student applied for ${job.title}`,
+        type: 'job',
+        jobId,
+        read: false,
+        createdAt: now
+      });
+    }
+
+    logger.info('Job application submitted', { jobApplicationId: application.id, jobId, studentId });
+
+    res.status(201).json({
+      message: 'Job application submitted successfully',
+      applicationId: application.id
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get student's job applications
+router.get('/job-applications', authenticate, authorize(['student']), validate(), async (req, res, next) => {
+  try {
+    const studentId = req.user.uid;
+
+    const jobApplications = await jobApplicationRepository.find({ where: { studentId } });
+
+    const applications = await Promise.all(
+      jobApplications.map(async (appData) => {
+        const job = await jobRepository.findById(appData.jobId);
+
+        return {
+          ...appData,
+          job: {
+            id: appData.jobId,
+            title: job?.title,
+            companyName: job?.companyName,
+            location: job?.location,
+            jobType: job?.jobType,
+            deadline: job?.deadline
+          }
+        };
+      })
+    );
+
+    applications.sort((a, b) => toDate(b.appliedAt) - toDate(a.appliedAt));
+
+    res.json(applications);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Withdraw a job application
+router.post('/job-applications/:applicationId/withdraw', authenticate, authorize(['student']), validate(schema.withdrawJobApplication), requireOwnership('jobApplicationOwner', 'applicationId'), async (req, res, next) => {
+  try {
+    const { applicationId } = req.params;
+
+    if (req.resources.applicationId.status === 'withdrawn') {
+      throw new BadRequestError('Job application already withdrawn', 'ALREADY_WITHDRAWN');
+    }
+
+    await jobApplicationRepository.update(applicationId, {
+      status: 'withdrawn',
+      withdrawnAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    res.json({ message: 'Job application withdrawn successfully', applicationId });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Get student profile
-router.get('/profile', authenticate, authorize(['student']), async (req, res) => {
+router.get('/profile', authenticate, authorize(['student']), validate(), async (req, res, next) => {
   try {
     const studentId = req.user.uid;
-    console.log('👤 Fetching student profile:', studentId);
-    
-    const userDoc = await db.collection('users').doc(studentId).get();
-    
-    if (!userDoc.exists) {
-      console.log('❌ Student profile not found');
-      return res.status(404).json({ error: 'User profile not found' });
+
+    const user = await userRepository.findById(studentId);
+
+    if (!user) {
+      throw new NotFoundError('User profile not found', 'PROFILE_NOT_FOUND');
     }
 
-    const userData = userDoc.data();
-    
+    const { id, ...userData } = user;
+
     // Get applications count
-    const applicationsSnapshot = await db.collection('applications')
-      .where('studentId', '==', studentId)
-      .get();
+    const applications = await applicationRepository.find({ where: { studentId } });
 
     const profile = {
       uid: studentId,
       email: req.user.email,
       ...userData,
       stats: {
-        totalApplications: applicationsSnapshot.size,
-        pendingApplications: applicationsSnapshot.docs.filter(doc => 
-          doc.data().status === 'pending'
+        totalApplications: applications.length,
+        pendingApplications: applications.filter(application =>
+          application.status === 'pending'
         ).length,
-        admittedApplications: applicationsSnapshot.docs.filter(doc => 
-          doc.data().status === 'admitted'
+        admittedApplications: applications.filter(application =>
+          application.status === 'admitted'
         ).length
       }
     };
 
-    console.log('✅ Student profile fetched successfully');
     res.json(profile);
   } catch (error) {
-    console.error('❌ Error fetching student profile:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Update student profile
-router.put('/profile', authenticate, authorize(['student']), async (req, res) => {
+router.put('/profile', authenticate, authorize(['student']), validate(schema.updateProfile), async (req, res, next) => {
   try {
     const studentId = req.user.uid;
     const { profile: profileData } = req.body;
-    
-    console.log(`✏️ Updating student profile: ${studentId}`);
-
-    if (!profileData) {
-      return res.status(400).json({ error: 'Profile data is required' });
-    }
 
-    await db.collection('users').doc(studentId).update({
+    await userRepository.update(studentId, {
       profile: {
         ...profileData,
         updatedAt: new Date()
@@ -274,71 +923,201 @@ router.put('/profile', authenticate, authorize(['student']), async (req, res) =>
       updatedAt: new Date()
     });
 
-    console.log('✅ Student profile updated successfully');
-    
+    logger.info('Student profile updated', { studentId });
+
     res.json({ message: 'Profile updated successfully' });
   } catch (error) {
-    console.error('❌ Error updating student profile:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Upload transcript (placeholder - you'll need to implement file upload)
-router.post('/transcript', authenticate, authorize(['student']), async (req, res) => {
+// Upload transcript file with structured grades
+router.post('/transcript', authenticate, authorize(['student']), uploadSingle('file'), validate(schema.uploadTranscript), async (req, res, next) => {
   try {
     const studentId = req.user.uid;
-    console.log('📄 Transcript upload request for student:', studentId);
 
-    // This is a placeholder - you'll need to implement actual file upload
-    // For now, we'll just create a transcript record
-    const transcriptRef = await db.collection('transcripts').add({
+    if (!req.file) {
+      throw new BadRequestError('Transcript file is required (multipart field "file")', 'FILE_REQUIRED');
+    }
+
+    const grades = normalizeGrades(req.body.grades || []);
+
+    const storage = getStorage();
+    const transcriptId = transcriptRepository.collection().doc().id;
+    const extension = path.extname(req.file.originalname || '').toLowerCase();
+    const fileKey = `transcripts/${studentId}/${transcriptId}${extension}`;
+
+    await storage.save(fileKey, req.file.buffer, { contentType: req.file.mimetype });
+
+    const uploadedAt = new Date();
+    await transcriptRepository.create({
       studentId,
       status: 'uploaded',
-      uploadedAt: new Date(),
-      // In a real implementation, you'd store the file URL here
-      fileUrl: '/placeholder/transcript.pdf'
-    });
+      qualification: req.body.qualification || '',
+      school: req.body.school || '',
+      yearCompleted: req.body.yearCompleted || null,
+      grades,
+      ...summarizeGrades(grades),
+      file: {
+        key: fileKey,
+        storage: storage.driver,
+        name: req.file.originalname,
+        contentType: req.file.mimetype,
+        size: req.file.size
+      },
+      fileUrl: `/api/students/transcripts/${transcriptId}/file`,
+      uploadedAt,
+      updatedAt: uploadedAt
+    }, transcriptId);
 
-    console.log('✅ Transcript record created:', transcriptRef.id);
+    logger.info('Transcript uploaded', { transcriptId, studentId });
 
     res.status(201).json({
       message: 'Transcript uploaded successfully',
-      transcriptId: transcriptRef.id,
-      uploadedAt: new Date().toISOString()
+      transcriptId,
+      fileUrl: `/api/students/transcripts/${transcriptId}/file`,
+      uploadedAt: uploadedAt.toISOString()
     });
   } catch (error) {
-    console.error('❌ Error uploading transcript:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Submit or replace the structured grades on a transcript
+router.put('/transcripts/:transcriptId/grades', authenticate, authorize(['student']), validate(schema.updateTranscriptGrades), requireOwnership('transcriptOwner', 'transcriptId'), async (req, res, next) => {
+  try {
+    const { transcriptId } = req.params;
+
+    const grades = normalizeGrades(req.body.grades);
+
+    await transcriptRepository.update(transcriptId, {
+      grades,
+      ...summarizeGrades(grades),
+      updatedAt: new Date()
+    });
+
+    res.json({ message: 'Transcript grades updated successfully', transcriptId, ...summarizeGrades(grades) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a transcript file (owner, institutions and companies the student applied to, admins)
+router.get('/transcripts/:transcriptId/file', authenticate, validate(schema.downloadTranscript), async (req, res, next) => {
+  try {
+    const { transcriptId } = req.params;
+
+    const transcript = await transcriptRepository.findById(transcriptId);
+    if (!transcript?.file) {
+      throw new NotFoundError('Transcript file not found');
+    }
+
+    if (!(await canReadStudentFile(req.user.uid, transcript.studentId))) {
+      throw new ForbiddenError();
+    }
+
+    streamFile(res, transcript.file, next);
+  } catch (error) {
+    next(error);
   }
 });
 
 // Get student's transcript
-router.get('/transcript', authenticate, authorize(['student']), async (req, res) => {
+router.get('/transcript', authenticate, authorize(['student']), validate(), async (req, res, next) => {
   try {
     const studentId = req.user.uid;
-    console.log('📄 Fetching transcript for student:', studentId);
 
-    const transcriptSnapshot = await db.collection('transcripts')
-      .where('studentId', '==', studentId)
-      .orderBy('uploadedAt', 'desc')
-      .limit(1)
-      .get();
+    const transcript = await transcriptRepository.findLatestForStudent(studentId);
 
-    if (transcriptSnapshot.empty) {
-      return res.status(404).json({ error: 'No transcript found' });
+    if (!transcript) {
+      throw new NotFoundError('No transcript found');
     }
 
-    const transcriptDoc = transcriptSnapshot.docs[0];
-    const transcript = {
-      id: transcriptDoc.id,
-      ...transcriptDoc.data()
-    };
-
     res.json(transcript);
   } catch (error) {
-    console.error('❌ Error fetching transcript:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
+// Helper function to tidy validated grade entries before they are stored
+function normalizeGrades(grades) {
+  return grades.map(entry => ({
+    subject: entry.subject.trim(),
+    grade: typeof entry.grade === 'string' ? entry.grade.trim().toUpperCase() : entry.grade
+  }));
+}
+
+// Helper function to decide who may read a student's transcript or documents
+async function canReadStudentFile(uid, studentId) {
+  if (uid === studentId) {
+    return true;
+  }
+
+  const role = await getUserRole(uid);
+
+  if (role === 'admin') {
+    return true;
+  }
+
+  if (role === 'institution') {
+    const institutions = await institutionRepository.find({ where: { adminId: uid } });
+
+    for (const institution of institutions) {
+      if (await applicationRepository.findOne({ studentId, institutionId: institution.id })) return true;
+    }
+  }
+
+  if (role === 'company') {
+    const companies = await companyRepository.find({ where: { adminId: uid } });
+
+    for (const company of companies) {
+      if (await jobApplicationRepository.findOne({ studentId, companyId: company.id })) return true;
+    }
+  }
+
+  return false;
+}
+
+// Helper function to load a job, hiding jobs of companies that aren't approved
+async function getVisibleJob(jobId) {
+  const job = await jobRepository.findById(jobId);
+  if (!job) {
+    return null;
+  }
+
+  const activeCompanyIds = await getActiveCompanyIds([job.companyId]);
+  return activeCompanyIds.has(job.companyId) ? job : null;
+}
+
+// Helper function to check a job is active and its deadline has not passed
+function isJobOpen(job, now = new Date()) {
+  if (!job.isActive) return false;
+  const deadline = toDate(job.deadline);
+  return !deadline || Number.isNaN(deadline.getTime()) || deadline >= now;
+}
+
+// Helper function to find a student's non-withdrawn application for a job
+async function findActiveJobApplication(studentId, jobId) {
+  const applications = await jobApplicationRepository.find({ where: { studentId, jobId } });
+  return applications.find(application => application.status !== 'withdrawn') || null;
+}
+
+// Helper function to stream a stored file to the response
+function streamFile(res, file, next) {
+  const stream = getStorage().createReadStream(file.key);
+
+  stream.on('error', (error) => {
+    logger.error('Failed to stream stored file', { key: file.key, error });
+    if (!res.headersSent) {
+      next(new NotFoundError('File not found', 'FILE_NOT_FOUND'));
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `inline; filename="${path.basename(file.key)}"`);
+  stream.pipe(res);
+}
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,111 @@
+import express from 'express';
+import admin from 'firebase-admin';
+import { ConflictError, NotFoundError, ValidationError } from '../errors.js';
+import { logger } from '../logger.js';
+import { userRepository } from '../repositories/index.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { syncRoleClaims } from '../services/roleService.js';
+import * as schema from '../schemas/users.js';
+
+const router = express.Router();
+
+// User registration endpoint
+router.post('/register', authenticate, validate(schema.register), async (req, res, next) => {
+  try {
+    const { firstName, lastName, phone, companyName, position, role } = req.body;
+    const userId = req.user.uid;
+    const email = req.user.email;
+
+    // Additional validation for company role
+    if (role === 'company' && (!companyName || !position)) {
+      throw new ValidationError(
+        ['companyName', 'position']
+          .filter(field => !req.body[field])
+          .map(field => ({ location: 'body', field, message: 'is required for company registration' })),
+        'Company registration requires companyName and position'
+      );
+    }
+
+    // Create user profile in Firestore
+    const userProfile = {
+      uid: userId,
+      email: email,
+      firstName,
+      lastName,
+      phone,
+      role,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    // Add role-specific fields
+    if (role === 'company') {
+      userProfile.companyName = companyName;
+      userProfile.position = position;
+      userProfile.companyProfile = {
+        name: companyName,
+        position: position,
+        verified: false
+      };
+    }
+
+    // Save to Firestore. create() refuses to overwrite an existing profile, so
+    // registering again can't change a user's role (admins manage roles)
+    try {
+      await userRepository.ref(userId).create(userProfile);
+    } catch (error) {
+      if (error.code === 6) {
+        throw new ConflictError('User profile already exists. Please login instead.', 'PROFILE_EXISTS');
+      }
+      throw error;
+    }
+    await syncRoleClaims(userId, role).catch(error => {
+      logger.warn('Failed to set role claim', { uid: userId, error });
+    });
+
+    logger.info('User registered', { uid: userId, role });
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      user: {
+        uid: userId,
+        email: email,
+        role: role,
+        profile: userProfile
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user profile endpoint
+router.get('/user/profile', authenticate, validate(), async (req, res, next) => {
+  try {
+    const userId = req.user.uid;
+    
+    const user = await userRepository.findById(userId);
+    
+    if (!user) {
+      throw new NotFoundError('User profile not found', 'PROFILE_NOT_FOUND');
+    }
+
+    const { id, ...userData } = user;
+    
+    // Remove sensitive data if needed
+    delete userData.updatedAt;
+    
+    res.status(200).json({
+      success: true,
+      user: userData
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
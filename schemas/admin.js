@@ -0,0 +1,110 @@
+import { boolean, date, id, oneOf, page, sort, string } from '../middleware/validation.js';
+import { COMPANY_STATUSES } from '../services/companyStatusService.js';
+import { USER_ROLES } from '../services/userManagementService.js';
+import { institutionFields } from './institutions.js';
+
+const userId = { uid: id() };
+
+const reason = string({ max: 500 });
+
+const auditFilters = {
+  actorUid: id({ required: false }),
+  action: string({ max: 100 }),
+  targetType: string({ max: 100 }),
+  targetId: id({ required: false }),
+  from: date(),
+  to: date()
+};
+
+export const searchUsers = {
+  query: {
+    role: oneOf(USER_ROLES),
+    // Prefix match on the stored (lower-case) email
+    email: {
+      ...string({ max: 200 }),
+      toLowerCase: true
+    },
+    verified: boolean(),
+    createdFrom: date(),
+    createdTo: date(),
+    ...page({ defaultLimit: 20, maxLimit: 100 })
+  }
+};
+
+export const getUser = {
+  params: userId
+};
+
+export const changeRole = {
+  params: userId,
+  body: {
+    role: oneOf(USER_ROLES, { required: true }),
+    reason
+  }
+};
+
+export const disableUser = {
+  params: userId,
+  body: { reason }
+};
+
+export const enableUser = {
+  params: userId
+};
+
+export const revokeSessions = {
+  params: userId,
+  body: { reason }
+};
+
+export const listInstitutions = {
+  query: {
+    isActive: boolean(),
+    type: string({ max: 100 }),
+    ...sort(['name', 'createdAt'], 'name'),
+    ...page({ defaultLimit: 20, maxLimit: 100 })
+  }
+};
+
+export const listCompanies = {
+  query: {
+    // Companies created before approvals existed have no stored status, so they
+    // don't match status=pending_review here (the review queue includes them)
+    status: oneOf(COMPANY_STATUSES),
+    industry: string({ max: 100 }),
+    ...sort(['name', 'createdAt'], 'name'),
+    ...page({ defaultLimit: 20, maxLimit: 100 })
+  }
+};
+
+export const changeCompanyStatus = {
+  params: { companyId: id() },
+  body: {
+    status: oneOf(COMPANY_STATUSES, { required: true }),
+    reason: string({ required: true, max: 500 })
+  }
+};
+
+export const createInstitution = {
+  body: institutionFields({ create: true })
+};
+
+export const applicationReport = {
+  query: {
+    period: oneOf(['week', 'month', 'year'])
+  }
+};
+
+export const searchAuditLogs = {
+  query: {
+    ...auditFilters,
+    ...page({ defaultLimit: 50, maxLimit: 200 })
+  }
+};
+
+export const exportAuditLogs = {
+  query: {
+    ...auditFilters,
+    format: oneOf(['csv', 'json'])
+  }
+};
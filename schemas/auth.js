@@ -0,0 +1,27 @@
+import { email, id, object, oneOf, string } from '../middleware/validation.js';
+import { USER_ROLES } from '../services/userManagementService.js';
+
+export const createProfile = {
+  body: {
+    uid: id(),
+    email: email({ required: true }),
+    role: oneOf(USER_ROLES, { required: true }),
+    profile: object({ required: true }),
+    'profile.firstName': string({ required: true, max: 100 }),
+    'profile.lastName': string({ required: true, max: 100 }),
+    'profile.phone': string({ max: 30 }),
+    'profile.adminCode': string()
+  }
+};
+
+export const login = {
+  body: {
+    idToken: string({ required: true, max: 4096 })
+  }
+};
+
+export const resendVerification = {
+  body: {
+    email: email({ required: true })
+  }
+};
@@ -0,0 +1,73 @@
+import { boolean, date, email, id, object, oneOf, page, rules, sort, string, text } from '../middleware/validation.js';
+import {
+  validateJobQualifications,
+  validateJobRequirements,
+  validateScoringWeights
+} from '../services/jobMatchingService.js';
+
+const jobId = { jobId: id() };
+
+// Job application statuses shown in the applicants list (withdrawn ones are left out)
+export const APPLICANT_STATUSES = ['applied', 'shortlisted', 'rejected'];
+
+export const updateProfile = {
+  // status, adminId and the review fields are left out: only admins change them
+  body: {
+    name: string({ notEmpty: true }),
+    description: text(),
+    industry: string({ max: 100 }),
+    location: string(),
+    website: string({ max: 300 }),
+    email: email(),
+    phone: string({ max: 30 }),
+    size: string({ max: 50 }),
+    logoUrl: string({ max: 500 }),
+    contact: object(),
+    'contact.name': string({ max: 100 }),
+    'contact.email': email(),
+    'contact.phone': string({ max: 30 })
+  }
+};
+
+export const postJob = {
+  body: {
+    title: string({ required: true }),
+    description: text({ required: true }),
+    requirements: rules(validateJobRequirements),
+    qualifications: rules(validateJobQualifications),
+    location: string(),
+    salaryRange: string({ max: 100 }),
+    jobType: string({ max: 50 }),
+    deadline: date(),
+    scoringWeights: rules(validateScoringWeights)
+  }
+};
+
+export const listJobs = {
+  query: {
+    isActive: boolean(),
+    jobType: string({ max: 50 }),
+    ...sort(['postedAt', 'deadline', 'title'], '-postedAt'),
+    ...page({ defaultLimit: 20, maxLimit: 100 })
+  }
+};
+
+export const getJobNotifications = {
+  params: jobId
+};
+
+export const getApplicants = {
+  params: jobId,
+  query: {
+    status: oneOf(APPLICANT_STATUSES),
+    ...sort(['matchScore', 'appliedAt'], '-matchScore'),
+    ...page({ defaultLimit: 20, maxLimit: 100 })
+  }
+};
+
+export const updateScoringWeights = {
+  params: jobId,
+  body: {
+    scoringWeights: rules(validateScoringWeights, { required: true })
+  }
+};
@@ -0,0 +1,5 @@
+import { id } from '../middleware/validation.js';
+
+export const inspectUser = {
+  params: { uid: id() }
+};
@@ -0,0 +1,146 @@
+import { array, date, id, int, number, oneOf, rules, string, text } from '../middleware/validation.js';
+import { APPLICATION_STATUSES } from '../services/admissionService.js';
+import { DOCUMENT_REVIEW_STATUSES, DOCUMENT_TYPES } from '../services/documentService.js';
+import { validateRequirements } from '../services/eligibilityService.js';
+
+const APPLICATION_ACTIONS = ['keep', 'reject'];
+
+// Values such as durations and academic years arrive as text or numbers; store text
+const numberAsText = {
+  numberAsText: { customSanitizer: value => typeof value === 'number' ? String(value) : value }
+};
+
+const textOrNumber = (options) => ({ ...numberAsText, ...string(options) });
+
+const reorder = {
+  order: array({ required: true, min: 1 }),
+  'order.*': id()
+};
+
+const courseFields = ({ create }) => ({
+  name: string({ required: create, notEmpty: true }),
+  facultyId: id({ required: create }),
+  description: text({ required: create, notEmpty: true }),
+  duration: textOrNumber({ required: create, notEmpty: true, max: 50 }),
+  fees: number({ required: create, min: 0 }),
+  intakeCapacity: int({ required: create, min: 1 }),
+  requirements: rules(validateRequirements, { required: create }),
+  requiredDocuments: array({ max: DOCUMENT_TYPES.length }),
+  'requiredDocuments.*': oneOf(DOCUMENT_TYPES)
+});
+
+const periodFields = ({ create }) => ({
+  academicYear: textOrNumber({ required: create, notEmpty: true, max: 20 }),
+  intake: textOrNumber({ required: create, notEmpty: true, max: 50 }),
+  opensAt: date({ required: create }),
+  closesAt: {
+    ...date({ required: create }),
+    afterOpensAt: {
+      custom: (closesAt, { req }) => !req.body.opensAt || new Date(closesAt) > new Date(req.body.opensAt),
+      errorMessage: 'must be after opensAt'
+    }
+  },
+  courseId: id({ required: false })
+});
+
+const statusFilter = {
+  status: oneOf(APPLICATION_STATUSES)
+};
+
+export const createFaculty = {
+  body: {
+    name: string({ required: true }),
+    description: text()
+  }
+};
+
+export const reorderFaculties = {
+  body: reorder
+};
+
+export const updateFaculty = {
+  params: { facultyId: id() },
+  body: {
+    name: string({ notEmpty: true }),
+    description: text()
+  }
+};
+
+export const deactivateFaculty = {
+  params: { facultyId: id() },
+  body: {
+    courseAction: oneOf(['deactivate', 'move']),
+    // Required when courseAction is move
+    targetFacultyId: id({ required: false }),
+    applicationAction: oneOf(APPLICATION_ACTIONS)
+  }
+};
+
+export const createCourse = {
+  body: courseFields({ create: true })
+};
+
+export const reorderCourses = {
+  body: {
+    facultyId: id(),
+    ...reorder
+  }
+};
+
+export const updateCourse = {
+  params: { courseId: id() },
+  body: courseFields({ create: false })
+};
+
+export const deactivateCourse = {
+  params: { courseId: id() },
+  body: {
+    applicationAction: oneOf(APPLICATION_ACTIONS)
+  }
+};
+
+export const createAdmissionPeriod = {
+  body: periodFields({ create: true })
+};
+
+export const updateAdmissionPeriod = {
+  params: { periodId: id() },
+  body: periodFields({ create: false })
+};
+
+export const deleteAdmissionPeriod = {
+  params: { periodId: id() }
+};
+
+export const listApplications = {
+  query: {
+    courseId: id({ required: false }),
+    ...statusFilter
+  }
+};
+
+export const listCourseApplications = {
+  params: { courseId: id() },
+  query: statusFilter
+};
+
+export const getApplication = {
+  params: { applicationId: id() }
+};
+
+export const reviewDocument = {
+  params: { applicationId: id(), documentId: id() },
+  body: {
+    status: oneOf(DOCUMENT_REVIEW_STATUSES, { required: true }),
+    // Required when rejecting
+    reason: string({ max: 500 })
+  }
+};
+
+export const updateApplicationStatus = {
+  params: { applicationId: id() },
+  body: {
+    status: oneOf(APPLICATION_STATUSES, { required: true }),
+    notes: text()
+  }
+};
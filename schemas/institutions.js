@@ -0,0 +1,45 @@
+import { boolean, email, id, object, page, sort, string, text } from '../middleware/validation.js';
+
+const institutionId = { params: { id: id() } };
+
+const contactFields = {
+  contact: object(),
+  'contact.email': email(),
+  'contact.phone': string({ max: 30 }),
+  'contact.website': string({ max: 300 }),
+  'contact.address': string({ max: 300 })
+};
+
+// Fields an admin may set on an institution; name is required on create
+export const institutionFields = ({ create }) => ({
+  name: string({ required: create, notEmpty: true }),
+  type: string({ max: 100 }),
+  location: string(),
+  description: text(),
+  ...contactFields,
+  adminId: id({ required: false }),
+  ...(!create && { isActive: boolean() })
+});
+
+export const listInstitutions = {
+  query: {
+    type: string({ max: 100 }),
+    ...sort(['name', 'createdAt'], 'name'),
+    ...page({ defaultLimit: 20, maxLimit: 100 })
+  }
+};
+
+export const getInstitution = institutionId;
+
+export const getInstitutionCourses = institutionId;
+
+export const getInstitutionFaculties = institutionId;
+
+export const createInstitution = {
+  body: institutionFields({ create: true })
+};
+
+export const updateInstitution = {
+  ...institutionId,
+  body: institutionFields({ create: false })
+};
@@ -0,0 +1,37 @@
+import { array, boolean, id, int, page, string } from '../middleware/validation.js';
+
+const notificationIds = {
+  ids: array({ required: true, min: 1 }),
+  'ids.*': id()
+};
+
+export const listNotifications = {
+  query: {
+    type: string({ max: 50 }),
+    unread: boolean(),
+    ...page({ defaultLimit: 20, maxLimit: 100 })
+  }
+};
+
+export const markRead = {
+  body: notificationIds
+};
+
+export const markOneRead = {
+  params: { notificationId: id() }
+};
+
+export const purge = {
+  query: {
+    olderThanDays: int({ required: true, min: 1 }),
+    readOnly: boolean()
+  }
+};
+
+export const deleteOne = {
+  params: { notificationId: id() }
+};
+
+export const deleteMany = {
+  body: notificationIds
+};
@@ -0,0 +1,197 @@
+import { array, date, id, int, number, object, oneOf, page, rules, sort, string, text } from '../middleware/validation.js';
+import { APPLICATION_STATUSES } from '../services/admissionService.js';
+import { DOCUMENT_TYPES } from '../services/documentService.js';
+import { validateGrades } from '../services/eligibilityService.js';
+
+const QUALIFICATION_STATUSES = ['completed', 'in_progress'];
+
+const documentIds = (field, { required = false } = {}) => ({
+  [field]: array({ required, max: 50 }),
+  [`${field}.*`]: id()
+});
+
+// Multipart forms send grades as a JSON string
+const grades = ({ required }) => ({
+  fromJson: {
+    customSanitizer: value => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    }
+  },
+  ...rules(validateGrades, { required })
+});
+
+// Blank multipart fields count as not sent
+const blankAsMissing = { optional: { options: { values: 'falsy' } } };
+
+// Qualifications, certificates and skills are listed as text or as { name } entries
+const listItem = {
+  textOrEntry: {
+    custom: value => typeof value === 'string' || (!!value && typeof value === 'object' && !Array.isArray(value)),
+    errorMessage: 'must be text or an object',
+    bail: true
+  }
+};
+
+const applicationId = { applicationId: id() };
+const courseId = { courseId: id() };
+const documentId = { documentId: id() };
+const jobId = { jobId: id() };
+const transcriptId = { transcriptId: id() };
+
+export const apply = {
+  body: {
+    courseId: id(),
+    institutionId: id(),
+    personalStatement: text(),
+    ...documentIds('documents')
+  }
+};
+
+export const listApplications = {
+  query: {
+    status: oneOf(APPLICATION_STATUSES),
+    institutionId: id({ required: false }),
+    ...sort(['appliedAt'], '-appliedAt'),
+    ...page({ defaultLimit: 20, maxLimit: 100 })
+  }
+};
+
+export const getApplication = {
+  params: applicationId
+};
+
+export const updateApplicationDocuments = {
+  params: applicationId,
+  body: {
+    ...documentIds('documentIds', { required: true })
+  }
+};
+
+export const uploadDocument = {
+  body: {
+    type: oneOf(DOCUMENT_TYPES, { required: true }),
+    title: string()
+  }
+};
+
+export const deleteDocument = {
+  params: documentId
+};
+
+export const downloadDocument = {
+  params: documentId
+};
+
+export const checkCourseEligibility = {
+  params: courseId
+};
+
+export const saveCourse = {
+  params: courseId
+};
+
+export const unsaveCourse = {
+  params: courseId
+};
+
+export const acceptOffer = {
+  params: applicationId
+};
+
+export const declineOffer = {
+  params: applicationId
+};
+
+export const browseJobs = {
+  query: {
+    search: string({ max: 100 }),
+    jobType: string({ max: 50 }),
+    location: string()
+  }
+};
+
+export const getJob = {
+  params: jobId
+};
+
+export const getJobMatch = {
+  params: jobId
+};
+
+export const applyForJob = {
+  params: jobId,
+  body: {
+    coverLetter: text(),
+    ...documentIds('documents')
+  }
+};
+
+export const withdrawJobApplication = {
+  params: applicationId
+};
+
+export const updateProfile = {
+  body: {
+    profile: object({ required: true }),
+    'profile.firstName': string({ notEmpty: true, max: 100 }),
+    'profile.lastName': string({ notEmpty: true, max: 100 }),
+    'profile.phone': string({ max: 30 }),
+    'profile.dateOfBirth': date(),
+    'profile.gender': string({ max: 30 }),
+    'profile.address': string({ max: 300 }),
+    'profile.bio': text(),
+    'profile.highSchool': string(),
+    'profile.fieldOfStudy': string(),
+    'profile.major': string(),
+    'profile.qualifications': array({ max: 50 }),
+    'profile.qualifications.*': listItem,
+    'profile.qualifications.*.name': string(),
+    'profile.qualifications.*.title': string(),
+    'profile.qualifications.*.field': string(),
+    'profile.qualifications.*.institution': string(),
+    'profile.qualifications.*.year': int({ min: 1900, max: 2100 }),
+    'profile.qualifications.*.status': oneOf(QUALIFICATION_STATUSES),
+    'profile.certificates': array({ max: 50 }),
+    'profile.certificates.*': listItem,
+    'profile.certificates.*.name': string(),
+    'profile.certificates.*.issuer': string(),
+    'profile.certificates.*.year': int({ min: 1900, max: 2100 }),
+    'profile.skills': array({ max: 100 }),
+    'profile.skills.*': listItem,
+    'profile.skills.*.name': string({ max: 100 }),
+    'profile.skills.*.level': string({ max: 50 }),
+    'profile.workExperience': array({ max: 50 }),
+    'profile.workExperience.*': object(),
+    'profile.workExperience.*.title': string(),
+    'profile.workExperience.*.company': string(),
+    'profile.workExperience.*.description': text(),
+    'profile.workExperience.*.startDate': date(),
+    'profile.workExperience.*.endDate': date(),
+    'profile.workExperience.*.years': number({ min: 0, max: 80 })
+  }
+};
+
+export const uploadTranscript = {
+  body: {
+    grades: { ...grades({ required: false }), ...blankAsMissing },
+    qualification: string(),
+    school: string(),
+    yearCompleted: { ...int({ min: 1900, max: 2100 }), ...blankAsMissing }
+  }
+};
+
+export const updateTranscriptGrades = {
+  params: transcriptId,
+  body: {
+    grades: grades({ required: true })
+  }
+};
+
+export const downloadTranscript = {
+  params: transcriptId
+};
@@ -0,0 +1,16 @@
+import { oneOf, string } from '../middleware/validation.js';
+
+// Admin accounts are only created through /api/auth/create-profile with the access code
+const SELF_REGISTRATION_ROLES = ['student', 'institution', 'company'];
+
+export const register = {
+  body: {
+    firstName: string({ required: true, max: 100 }),
+    lastName: string({ required: true, max: 100 }),
+    phone: string({ required: true, max: 30 }),
+    role: oneOf(SELF_REGISTRATION_ROLES, { required: true }),
+    // Required when role is company
+    companyName: string(),
+    position: string({ max: 100 })
+  }
+};
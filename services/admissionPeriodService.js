@@ -0,0 +1,142 @@
+import { db } from '../firebase.js';
+import { logger } from '../logger.js';
+import { toDate } from './admissionService.js';
+
+const REMINDER_DAYS = parseInt(process.env.ADMISSION_REMINDER_DAYS, 10) || 3;
+
+// Returns a list of problems with an admission period (empty when valid)
+export const validateAdmissionPeriod = ({ academicYear, intake, opensAt, closesAt }) => {
+  const errors = [];
+  const opens = new Date(opensAt);
+  const closes = new Date(closesAt);
+
+  if (!academicYear) errors.push('academicYear is required');
+  if (!intake) errors.push('intake is required');
+  if (!opensAt || Number.isNaN(opens.getTime())) errors.push('opensAt must be a valid date');
+  if (!closesAt || Number.isNaN(closes.getTime())) errors.push('closesAt must be a valid date');
+  if (errors.length === 0 && closes <= opens) errors.push('closesAt must be after opensAt');
+
+  return errors;
+};
+
+export const getInstitutionPeriods = async (institutionId) => {
+  const periodsSnapshot = await db.collection('admissionPeriods')
+    .where('institutionId', '==', institutionId)
+    .get();
+
+  return periodsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+};
+
+// Course-specific periods replace the institution-wide ones for that course. A course
+// without any period stays open until the institution configures one.
+export const getAdmissionWindow = (periods, courseId, now = new Date()) => {
+  const coursePeriods = periods.filter(period => period.courseId === courseId);
+  const applicable = coursePeriods.length > 0
+    ? coursePeriods
+    : periods.filter(period => !period.courseId);
+
+  if (applicable.length === 0) {
+    return { open: true, configured: false, currentPeriod: null, nextPeriod: null };
+  }
+
+  const current = applicable.find(period =>
+    toDate(period.opensAt) <= now && toDate(period.closesAt) >= now
+  );
+  const next = applicable
+    .filter(period => toDate(period.opensAt) > now)
+    .sort((a, b) => toDate(a.opensAt) - toDate(b.opensAt))[0];
+
+  return {
+    open: !!current,
+    configured: true,
+    currentPeriod: current ? summarizePeriod(current) : null,
+    nextPeriod: next ? summarizePeriod(next) : null
+  };
+};
+
+// An existing period for the same course (or institution-wide, when courseId is empty)
+// whose dates overlap the given ones; `id` is the period being updated, if any
+export const findOverlappingPeriod = (periods, { id, courseId, opensAt, closesAt }) =>
+  periods.find(period =>
+    period.id !== id &&
+    (period.courseId || null) === (courseId || null) &&
+    toDate(period.opensAt) <= toDate(closesAt) &&
+    toDate(opensAt) <= toDate(period.closesAt)
+  ) || null;
+
+export const getCourseAdmissionWindow = async (institutionId, courseId, now = new Date()) => {
+  const periods = await getInstitutionPeriods(institutionId);
+  return getAdmissionWindow(periods, courseId, now);
+};
+
+const summarizePeriod = (period) => ({
+  id: period.id,
+  academicYear: period.academicYear,
+  intake: period.intake,
+  opensAt: toDate(period.opensAt),
+  closesAt: toDate(period.closesAt),
+  courseId: period.courseId || null
+});
+
+// Notify students about saved courses whose admission period closes soon (once per period)
+export const sendDeadlineReminders = async (now = new Date()) => {
+  const horizon = new Date(now);
+  horizon.setDate(horizon.getDate() + REMINDER_DAYS);
+
+  const closingSnapshot = await db.collection('admissionPeriods')
+    .where('closesAt', '>=', now)
+    .where('closesAt', '<=', horizon)
+    .get();
+
+  let sent = 0;
+  for (const periodDoc of closingSnapshot.docs) {
+    const period = { id: periodDoc.id, ...periodDoc.data() };
+    if (toDate(period.opensAt) > now) continue;
+
+    // Institution-wide periods only apply to courses without their own periods
+    let savedQuery = db.collection('savedCourses').where('institutionId', '==', period.institutionId);
+    if (period.courseId) {
+      savedQuery = savedQuery.where('courseId', '==', period.courseId);
+    }
+    const savedSnapshot = await savedQuery.get();
+    const periods = period.courseId ? null : await getInstitutionPeriods(period.institutionId);
+
+    for (const savedDoc of savedSnapshot.docs) {
+      const saved = savedDoc.data();
+      if ((saved.remindedPeriodIds || []).includes(period.id)) continue;
+      if (periods && getAdmissionWindow(periods, saved.courseId, now).currentPeriod?.id !== period.id) continue;
+
+      await db.collection('notifications').add({
+        userId: saved.studentId,
+        title: 'Application Deadline Approaching',
+        message: `Applications for ${saved.courseName || 'a course you saved'} close on ${toDate(period.closesAt).toDateString()}`,
+        type: 'deadline',
+        courseId: saved.courseId,
+        institutionId: saved.institutionId,
+        read: false,
+        createdAt: new Date()
+      });
+
+      await savedDoc.ref.update({
+        remindedPeriodIds: [...(saved.remindedPeriodIds || []), period.id]
+      });
+      sent++;
+    }
+  }
+
+  if (sent > 0) {
+    logger.info('Admission deadline reminders sent', { sent });
+  }
+  return sent;
+};
+
+// Run the reminder check on an interval for the lifetime of the process
+export const startDeadlineReminders = (intervalMs = 60 * 60 * 1000) => {
+  const run = () => sendDeadlineReminders().catch(error => {
+    logger.error('Failed to send admission deadline reminders', { error });
+  });
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref?.();
+  return timer;
+};
@@ -0,0 +1,246 @@
+import admin from 'firebase-admin';
+import { db } from '../firebase.js';
+import { logger } from '../logger.js';
+
+export const APPLICATION_STATUSES = [
+  'pending',
+  'under_review',
+  'admitted',
+  'rejected',
+  'waitlisted',
+  'released'
+];
+
+export const DECISION_STATUSES = ['admitted', 'rejected', 'waitlisted'];
+
+// Allowed next statuses for each application status (institution side)
+export const STATUS_TRANSITIONS = {
+  pending: ['under_review'],
+  under_review: ['admitted', 'rejected', 'waitlisted'],
+  waitlisted: ['admitted', 'rejected']
+};
+
+export const STATUS_NOTIFICATION_TITLES = {
+  under_review: 'Application Under Review',
+  admitted: 'Admission Offer',
+  rejected: 'Application Unsuccessful',
+  waitlisted: 'Application Waitlisted'
+};
+
+const OFFER_ACCEPTANCE_DAYS = parseInt(process.env.OFFER_ACCEPTANCE_DAYS, 10) || 14;
+
+// Deadline by which an admitted student must accept the offer
+export const getOfferExpiry = (from = new Date()) => {
+  const expiry = new Date(from);
+  expiry.setDate(expiry.getDate() + OFFER_ACCEPTANCE_DAYS);
+  return expiry;
+};
+
+// Firestore returns Timestamps, freshly written docs may hold Dates
+export const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  return new Date(value);
+};
+
+export const isOfferExpired = (application, now = new Date()) => {
+  const expiresAt = toDate(application.offerExpiresAt);
+  return !!expiresAt && expiresAt < now;
+};
+
+// Release an open (admitted, not yet accepted) admission offer and hand the place to
+// the next waitlisted applicant. The offer is re-read in a transaction so an offer
+// accepted or released in the meantime is left alone; `released` reports which happened.
+export const releaseOffer = async (applicationId, application, reason) => {
+  const now = new Date();
+  const applicationRef = db.collection('applications').doc(applicationId);
+
+  const released = await db.runTransaction(async (transaction) => {
+    const current = (await transaction.get(applicationRef)).data();
+    if (current?.status !== 'admitted' || current.offerAcceptedAt) {
+      return false;
+    }
+
+    transaction.update(applicationRef, {
+      status: 'released',
+      releasedReason: reason,
+      releasedAt: now,
+      statusHistory: admin.firestore.FieldValue.arrayUnion({
+        from: current.status,
+        to: 'released',
+        changedBy: application.studentId,
+        notes: reason,
+        changedAt: now
+      }),
+      updatedAt: now
+    });
+    return true;
+  });
+
+  if (!released) {
+    return { released: false, promoted: null };
+  }
+
+  const [courseDoc, institutionDoc] = await Promise.all([
+    db.collection('courses').doc(application.courseId).get(),
+    db.collection('institutions').doc(application.institutionId).get()
+  ]);
+  const courseName = courseDoc.data()?.name || 'a course';
+
+  const promoted = await promoteFromWaitlist(application.courseId, courseName);
+
+  const institution = institutionDoc.data();
+  if (institution?.adminId) {
+    await db.collection('notifications').add({
+      userId: institution.adminId,
+      title: 'Admission Offer Released',
+      message: promoted
+        ? `An offer for ${courseName} was released and passed to a waitlisted applicant`
+        : `An offer for ${courseName} was released. No waitlisted applicants remain`,
+      type: 'admission',
+      applicationId,
+      promotedApplicationId: promoted?.id || null,
+      read: false,
+      createdAt: now
+    });
+  }
+
+  return { released: true, promoted };
+};
+
+// Release every offer whose acceptance deadline passed without the student accepting it
+export const releaseExpiredOffers = async (now = new Date()) => {
+  const expiredSnapshot = await db.collection('applications')
+    .where('status', '==', 'admitted')
+    .where('offerExpiresAt', '<', now)
+    .get();
+
+  let released = 0;
+  for (const doc of expiredSnapshot.docs) {
+    const application = doc.data();
+    if (application.offerAcceptedAt) continue;
+
+    try {
+      const result = await releaseOffer(doc.id, application, 'Offer expired before acceptance');
+      if (result.released) released++;
+    } catch (error) {
+      logger.error('Failed to release expired offer', { applicationId: doc.id, error });
+    }
+  }
+
+  if (released > 0) {
+    logger.info('Expired admission offers released', { released });
+  }
+  return released;
+};
+
+// Run the expiry check on an interval for the lifetime of the process, so lapsed offers
+// free their places even if the student never opens their offers again
+export const startOfferExpirySweep = (intervalMs = 15 * 60 * 1000) => {
+  const run = () => releaseExpiredOffers().catch(error => {
+    logger.error('Failed to release expired admission offers', { error });
+  });
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref?.();
+  return timer;
+};
+
+// Admit the longest-waiting waitlisted applicant for a course. Applicants who already
+// accepted an offer elsewhere have their waitlist entry released, and applicants holding
+// an open offer are passed over for now. Runs in a transaction so two releases for the
+// same course can't promote the same applicant.
+export const promoteFromWaitlist = async (courseId, courseName) => {
+  const applications = db.collection('applications');
+  const waitlistQuery = applications
+    .where('courseId', '==', courseId)
+    .where('status', '==', 'waitlisted');
+
+  const now = new Date();
+  const { next, committed } = await db.runTransaction(async (transaction) => {
+    const waitlistSnapshot = await transaction.get(waitlistQuery);
+    const waitlist = waitlistSnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => {
+        const rankA = a.waitlistRank ?? Number.MAX_SAFE_INTEGER;
+        const rankB = b.waitlistRank ?? Number.MAX_SAFE_INTEGER;
+        if (rankA !== rankB) return rankA - rankB;
+        return toDate(a.appliedAt) - toDate(b.appliedAt);
+      });
+
+    // Firestore transactions do every read before any write
+    const committed = [];
+    let next = null;
+    for (const candidate of waitlist) {
+      const offersSnapshot = await transaction.get(applications
+        .where('studentId', '==', candidate.studentId)
+        .where('status', '==', 'admitted'));
+
+      if (offersSnapshot.docs.some(doc => doc.data().offerAcceptedAt)) {
+        committed.push(candidate);
+      } else if (offersSnapshot.empty) {
+        next = candidate;
+        break;
+      }
+    }
+
+    committed.forEach(candidate => {
+      transaction.update(applications.doc(candidate.id), {
+        status: 'released',
+        releasedReason: 'Student accepted another offer',
+        releasedAt: now,
+        statusHistory: admin.firestore.FieldValue.arrayUnion({
+          from: 'waitlisted',
+          to: 'released',
+          changedBy: 'system',
+          notes: 'Student accepted another offer',
+          changedAt: now
+        }),
+        updatedAt: now
+      });
+    });
+
+    if (next) {
+      transaction.update(applications.doc(next.id), {
+        status: 'admitted',
+        decidedAt: now,
+        offerExpiresAt: getOfferExpiry(now),
+        promotedFromWaitlist: true,
+        statusHistory: admin.firestore.FieldValue.arrayUnion({
+          from: 'waitlisted',
+          to: 'admitted',
+          changedBy: 'system',
+          notes: 'Promoted from waitlist after an offer was released',
+          changedAt: now
+        }),
+        updatedAt: now
+      });
+    }
+
+    return { next, committed };
+  });
+
+  if (committed.length > 0) {
+    logger.info('Released waitlist entries of students who accepted another offer', {
+      courseId,
+      applicationIds: committed.map(candidate => candidate.id)
+    });
+  }
+
+  if (!next) {
+    return null;
+  }
+
+  await db.collection('notifications').add({
+    userId: next.studentId,
+    title: STATUS_NOTIFICATION_TITLES.admitted,
+    message: `A place opened up and you have been admitted to ${courseName}`,
+    type: 'admission',
+    applicationId: next.id,
+    read: false,
+    createdAt: now
+  });
+
+  logger.info('Waitlisted application promoted', { applicationId: next.id, courseId });
+  return next;
+};
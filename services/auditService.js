@@ -0,0 +1,68 @@
+import { db } from '../firebase.js';
+import { logger } from '../logger.js';
+
+// Fields that change on every write and only add noise to a diff
+const IGNORED_FIELDS = ['updatedAt', 'statusHistory'];
+
+const normalizeValue = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value?.toDate === 'function') return value.toDate().toISOString();
+  return value;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && typeof value.toDate !== 'function';
+
+// Field-level differences between two documents, nested objects flattened to dotted paths
+export const diffObjects = (before = {}, after = {}, prefix = '') => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) return;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const oldValue = before?.[key];
+    const newValue = after?.[key];
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      Object.assign(changes, diffObjects(oldValue, newValue, path));
+      return;
+    }
+
+    const normalizedOld = normalizeValue(oldValue);
+    const normalizedNew = normalizeValue(newValue);
+    if (JSON.stringify(normalizedOld) !== JSON.stringify(normalizedNew)) {
+      changes[path] = { before: normalizedOld, after: normalizedNew };
+    }
+  });
+
+  return changes;
+};
+
+// req.ip only reads X-Forwarded-For from proxies the app trusts (TRUST_PROXY), so a
+// client can't write its own address into the audit trail
+export const getClientIp = (req) => req.ip || null;
+
+// Append an entry to the audit trail. Failures are logged, never thrown, so the
+// privileged write that was already made is still reported to the caller.
+export const recordAudit = async (req, { action, targetType, targetId, before = null, after = null }) => {
+  try {
+    await db.collection('auditLogs').add({
+      actorUid: req.user?.uid || null,
+      actorRole: req.userRole || null,
+      action,
+      targetType,
+      targetId,
+      changes: diffObjects(before || {}, after || {}),
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || null,
+      requestId: req.id || null,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    logger.error('Failed to record audit entry', { action, targetType, targetId, error });
+  }
+};
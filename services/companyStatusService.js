@@ -0,0 +1,134 @@
+import admin from 'firebase-admin';
+import { db } from '../firebase.js';
+import { BadRequestError, NotFoundError } from '../errors.js';
+
+export const COMPANY_STATUSES = ['pending_review', 'approved', 'suspended', 'reinstated', 'rejected'];
+
+// Allowed next statuses for each company status (admin side)
+export const COMPANY_STATUS_TRANSITIONS = {
+  pending_review: ['approved', 'rejected'],
+  approved: ['suspended'],
+  suspended: ['reinstated', 'rejected'],
+  reinstated: ['suspended'],
+  rejected: ['pending_review']
+};
+
+// Companies in these statuses can post jobs and have their jobs shown to students
+export const ACTIVE_COMPANY_STATUSES = ['approved', 'reinstated'];
+
+const STATUS_MESSAGES = {
+  pending_review: 'Your company has been returned to the review queue',
+  approved: 'Your company has been approved and can now post jobs',
+  suspended: 'Your company has been suspended. Your jobs are hidden from students',
+  reinstated: 'Your company has been reinstated and can post jobs again',
+  rejected: 'Your company registration has been rejected'
+};
+
+// New companies have no status until an admin reviews them. Statuses from before
+// approvals existed (e.g. 'active') aren't part of the lifecycle, so they go to review
+// too; companies that were already set up are approved by migrateLegacyCompanyStatuses.
+export const getCompanyStatus = (company) =>
+  COMPANY_STATUSES.includes(company?.status) ? company.status : 'pending_review';
+
+export const isCompanyActive = (company) => ACTIVE_COMPANY_STATUSES.includes(getCompanyStatus(company));
+
+// Ids of the given companies that are currently allowed to show jobs
+export const getActiveCompanyIds = async (companyIds) => {
+  const ids = [...new Set(companyIds.filter(Boolean))];
+  if (!ids.length) return new Set();
+
+  const docs = await db.getAll(...ids.map(id => db.collection('companies').doc(id)));
+  return new Set(docs.filter(doc => doc.exists && isCompanyActive(doc.data())).map(doc => doc.id));
+};
+
+const LEGACY_STATUS_MIGRATION = 'company-statuses';
+const BATCH_SIZE = 500;
+
+// One-off migration for companies that existed before approvals: they have no status
+// but were already posting jobs, so they are approved instead of losing that the
+// moment approvals ship. A marker document makes later startups skip it, so companies
+// signing up afterwards still wait for review. Returns how many were approved.
+export const migrateLegacyCompanyStatuses = async () => {
+  const markerRef = db.collection('migrations').doc(LEGACY_STATUS_MIGRATION);
+  if ((await markerRef.get()).exists) {
+    return 0;
+  }
+
+  const companiesSnapshot = await db.collection('companies').get();
+  const legacy = companiesSnapshot.docs.filter(doc => !doc.data().status);
+
+  const now = new Date();
+  for (let start = 0; start < legacy.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    legacy.slice(start, start + BATCH_SIZE).forEach(doc => {
+      batch.update(doc.ref, {
+        status: 'approved',
+        statusReason: 'Existing company approved when company approvals were introduced',
+        statusChangedAt: now,
+        statusHistory: admin.firestore.FieldValue.arrayUnion({
+          from: null,
+          to: 'approved',
+          reason: 'Existing company approved when company approvals were introduced',
+          changedBy: 'system',
+          changedAt: now
+        }),
+        updatedAt: now
+      });
+    });
+    await batch.commit();
+  }
+
+  await markerRef.set({ completedAt: now, approvedCompanies: legacy.length });
+  return legacy.length;
+};
+
+// Move a company to a new status, recording who did it and why, and tell the company
+export const changeCompanyStatus = async (companyId, nextStatus, reason, changedBy) => {
+  const companyRef = db.collection('companies').doc(companyId);
+  const companyDoc = await companyRef.get();
+
+  if (!companyDoc.exists) {
+    throw new NotFoundError('Company not found', 'COMPANY_NOT_FOUND');
+  }
+
+  const company = companyDoc.data();
+  const currentStatus = getCompanyStatus(company);
+  const allowed = COMPANY_STATUS_TRANSITIONS[currentStatus] || [];
+
+  if (!allowed.includes(nextStatus)) {
+    throw new BadRequestError(
+      `Cannot change company status from ${currentStatus} to ${nextStatus}`,
+      'INVALID_STATUS_TRANSITION',
+      { currentStatus, allowedTransitions: allowed }
+    );
+  }
+
+  const now = new Date();
+  await companyRef.update({
+    status: nextStatus,
+    statusReason: reason,
+    statusChangedAt: now,
+    statusHistory: admin.firestore.FieldValue.arrayUnion({
+      from: currentStatus,
+      to: nextStatus,
+      reason,
+      changedBy,
+      changedAt: now
+    }),
+    updatedAt: now
+  });
+
+  if (company.adminId) {
+    await db.collection('notifications').add({
+      userId: company.adminId,
+      title: 'Company Status Updated',
+      message: `${STATUS_MESSAGES[nextStatus]}. Reason: ${reason}`,
+      type: 'company',
+      companyId,
+      read: false,
+      createdAt: now
+    });
+  }
+
+  return { previousStatus: currentStatus, status: nextStatus, company };
+};
@@ -0,0 +1,73 @@
+import { db } from '../firebase.js';
+
+export const DOCUMENT_TYPES = [
+  'national_id',
+  'certificate',
+  'results_slip',
+  'recommendation_letter',
+  'other'
+];
+
+export const DOCUMENT_REVIEW_STATUSES = ['verified', 'rejected'];
+
+// Load documents by id, keeping only those owned by the student (in the given order)
+export const getStudentDocuments = async (studentId, documentIds) => {
+  if (!documentIds.length) return [];
+
+  const refs = documentIds.map(id => db.collection('documents').doc(String(id)));
+  const docs = await db.getAll(...refs);
+  return docs
+    .filter(doc => doc.exists && doc.data().studentId === studentId)
+    .map(doc => ({ id: doc.id, ...doc.data() }));
+};
+
+// Check a list of document ids all belong to the student; returns the unknown ids
+export const findUnknownDocuments = async (studentId, documentIds) => {
+  const owned = await getStudentDocuments(studentId, documentIds);
+  const ownedIds = new Set(owned.map(doc => doc.id));
+  return documentIds.filter(id => !ownedIds.has(String(id)));
+};
+
+// Like findUnknownDocuments, but ids may also name the student's transcripts (job
+// applications accept both)
+export const findUnknownAttachments = async (studentId, ids) => {
+  const notDocuments = await findUnknownDocuments(studentId, ids);
+  if (!notDocuments.length) return [];
+
+  const transcripts = await db.getAll(...notDocuments.map(id => db.collection('transcripts').doc(String(id))));
+  const ownedIds = new Set(transcripts
+    .filter(doc => doc.exists && doc.data().studentId === studentId)
+    .map(doc => doc.id));
+  return notDocuments.filter(id => !ownedIds.has(String(id)));
+};
+
+// Attached documents with this application's review status, plus required types still missing
+export const describeApplicationDocuments = async (application, course) => {
+  const documentIds = Array.isArray(application.documents) ? application.documents : [];
+  const documents = await getStudentDocuments(application.studentId, documentIds);
+  const reviews = application.documentReviews || {};
+
+  const attached = documents.map(document => ({
+    id: document.id,
+    type: document.type,
+    title: document.title,
+    fileName: document.file?.name,
+    contentType: document.file?.contentType,
+    fileUrl: `/api/students/documents/${document.id}/file`,
+    uploadedAt: document.uploadedAt,
+    review: reviews[document.id] || { status: 'pending' }
+  }));
+
+  // A required type is satisfied by an attached document of that type that wasn't rejected
+  const required = Array.isArray(course?.requiredDocuments) ? course.requiredDocuments : [];
+  const missing = required.filter(type => !attached.some(document =>
+    document.type === type && document.review.status !== 'rejected'
+  ));
+
+  return {
+    documents: attached,
+    requiredDocuments: required,
+    missingDocuments: missing,
+    complete: missing.length === 0
+  };
+};
@@ -0,0 +1,279 @@
+// Course entry requirements and eligibility checks against a student's transcript.
+//
+// Structured requirements look like:
+// {
+//   subjects: [{ subject: 'Mathematics', minimumGrade: 'C' }],
+//   alternatives: [
+//     [{ subject: 'Physics', minimumGrade: 'C' }],
+//     [{ subject: 'Chemistry', minimumGrade: 'C' }, { subject: 'Biology', minimumGrade: 'C' }]
+//   ],
+//   minimumAggregate: 30,
+//   aggregateSubjectCount: 6,
+//   notes: 'Free-text guidance shown to applicants'
+// }
+// Transcript grades are `[{ subject, grade }]` where grade is a symbol or a percentage.
+
+export const GRADE_POINTS = {
+  'A*': 8,
+  A: 7,
+  B: 6,
+  C: 5,
+  D: 4,
+  E: 3,
+  F: 2,
+  G: 1,
+  U: 0
+};
+
+const PERCENTAGE_BANDS = [
+  [90, 'A*'],
+  [80, 'A'],
+  [70, 'B'],
+  [60, 'C'],
+  [50, 'D'],
+  [40, 'E'],
+  [30, 'F'],
+  [20, 'G']
+];
+
+const DEFAULT_AGGREGATE_SUBJECT_COUNT = 6;
+
+const normalizeSubject = (subject) => String(subject || '').trim().toLowerCase();
+
+// Convert a symbol or percentage into grade points, or null if unrecognised
+export const gradeToPoints = (grade) => {
+  if (grade === undefined || grade === null || grade === '') return null;
+
+  const numeric = Number(grade);
+  if (!Number.isNaN(numeric)) {
+    const band = PERCENTAGE_BANDS.find(([minimum]) => numeric >= minimum);
+    return band ? GRADE_POINTS[band[1]] : GRADE_POINTS.U;
+  }
+
+  const symbol = String(grade).trim().toUpperCase();
+  return symbol in GRADE_POINTS ? GRADE_POINTS[symbol] : null;
+};
+
+const validateSubjectRule = (rule, path) => {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') {
+    return [`${path} must be an object with subject and minimumGrade`];
+  }
+  if (!rule.subject || typeof rule.subject !== 'string') {
+    errors.push(`${path}.subject is required`);
+  }
+  if (gradeToPoints(rule.minimumGrade) === null) {
+    errors.push(`${path}.minimumGrade must be one of ${Object.keys(GRADE_POINTS).join(', ')} or a percentage`);
+  }
+  return errors;
+};
+
+const REQUIREMENT_KEYS = ['subjects', 'alternatives', 'minimumAggregate', 'aggregateSubjectCount', 'notes'];
+
+// Returns a list of problems with a requirements object (empty when valid)
+export const validateRequirements = (requirements) => {
+  if (typeof requirements === 'string') {
+    return requirements.trim() ? [] : ['requirements must not be empty'];
+  }
+  if (!requirements || typeof requirements !== 'object' || Array.isArray(requirements)) {
+    return ['requirements must be an object'];
+  }
+
+  const errors = Object.keys(requirements)
+    .filter(key => !REQUIREMENT_KEYS.includes(key))
+    .map(key => `Unknown requirement: ${key}. Allowed: ${REQUIREMENT_KEYS.join(', ')}`);
+  const { subjects = [], alternatives = [], minimumAggregate, aggregateSubjectCount } = requirements;
+
+  if (!Array.isArray(subjects)) {
+    errors.push('requirements.subjects must be an array');
+  } else {
+    subjects.forEach((rule, index) => {
+      errors.push(...validateSubjectRule(rule, `requirements.subjects[${index}]`));
+    });
+  }
+
+  if (!Array.isArray(alternatives)) {
+    errors.push('requirements.alternatives must be an array of subject combinations');
+  } else {
+    alternatives.forEach((combination, index) => {
+      if (!Array.isArray(combination) || combination.length === 0) {
+        errors.push(`requirements.alternatives[${index}] must be a non-empty array`);
+        return;
+      }
+      combination.forEach((rule, ruleIndex) => {
+        errors.push(...validateSubjectRule(rule, `requirements.alternatives[${index}][${ruleIndex}]`));
+      });
+    });
+  }
+
+  if (minimumAggregate !== undefined && (typeof minimumAggregate !== 'number' || minimumAggregate < 0)) {
+    errors.push('requirements.minimumAggregate must be a non-negative number');
+  }
+
+  if (aggregateSubjectCount !== undefined &&
+      (!Number.isInteger(aggregateSubjectCount) || aggregateSubjectCount < 1)) {
+    errors.push('requirements.aggregateSubjectCount must be a positive integer');
+  }
+
+  return errors;
+};
+
+// Returns a list of problems with transcript grade entries (empty when valid)
+export const validateGrades = (grades) => {
+  if (!Array.isArray(grades)) {
+    return ['grades must be an array of { subject, grade } entries'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  grades.forEach((entry, index) => {
+    if (!entry || typeof entry.subject !== 'string' || !entry.subject.trim()) {
+      errors.push(`grades[${index}].subject is required`);
+      return;
+    }
+    if (gradeToPoints(entry.grade) === null) {
+      errors.push(`grades[${index}].grade must be one of ${Object.keys(GRADE_POINTS).join(', ')} or a percentage`);
+    }
+    const subject = normalizeSubject(entry.subject);
+    if (seen.has(subject)) {
+      errors.push(`grades[${index}].subject ${entry.subject} is listed more than once`);
+    }
+    seen.add(subject);
+  });
+
+  return errors;
+};
+
+const checkSubjectRule = (rule, gradesBySubject) => {
+  const grade = gradesBySubject.get(normalizeSubject(rule.subject));
+  const required = gradeToPoints(rule.minimumGrade);
+
+  if (grade === undefined) {
+    return {
+      met: false,
+      message: `${rule.subject} is required with at least ${rule.minimumGrade}, but it is not on your transcript`
+    };
+  }
+
+  const achieved = gradeToPoints(grade);
+  if (achieved === null || achieved < required) {
+    return {
+      met: false,
+      message: `${rule.subject} requires at least ${rule.minimumGrade}, you have ${grade}`
+    };
+  }
+
+  return { met: true, message: `${rule.subject}: ${grade} meets the minimum of ${rule.minimumGrade}` };
+};
+
+// Sum of the best N subject points on the transcript
+export const calculateAggregate = (grades, subjectCount = DEFAULT_AGGREGATE_SUBJECT_COUNT) => {
+  return grades
+    .map(entry => gradeToPoints(entry.grade))
+    .filter(points => points !== null)
+    .sort((a, b) => b - a)
+    .slice(0, subjectCount)
+    .reduce((total, points) => total + points, 0);
+};
+
+// Summary figures stored alongside transcript grades
+export const summarizeGrades = (grades) => {
+  const points = grades
+    .map(entry => gradeToPoints(entry.grade))
+    .filter(value => value !== null);
+
+  return {
+    subjectCount: points.length,
+    aggregate: calculateAggregate(grades),
+    averagePoints: points.length
+      ? Math.round((points.reduce((total, value) => total + value, 0) / points.length) * 100) / 100
+      : 0
+  };
+};
+
+// Check a transcript against course requirements and explain each requirement
+export const checkEligibility = (requirements, transcript) => {
+  if (!requirements || typeof requirements === 'string') {
+    return {
+      eligible: true,
+      structured: false,
+      checks: [],
+      notes: requirements || ''
+    };
+  }
+
+  const grades = Array.isArray(transcript?.grades) ? transcript.grades : [];
+
+  if (!transcript || grades.length === 0) {
+    return {
+      eligible: false,
+      structured: true,
+      checks: [{
+        requirement: 'transcript',
+        met: false,
+        message: 'Submit your transcript grades before checking eligibility for this course'
+      }],
+      notes: requirements.notes || ''
+    };
+  }
+
+  const gradesBySubject = new Map(
+    grades.map(entry => [normalizeSubject(entry.subject), entry.grade])
+  );
+  const checks = [];
+
+  (requirements.subjects || []).forEach(rule => {
+    checks.push({
+      requirement: 'subject',
+      subject: rule.subject,
+      minimumGrade: rule.minimumGrade,
+      ...checkSubjectRule(rule, gradesBySubject)
+    });
+  });
+
+  if (requirements.alternatives?.length) {
+    const combinations = requirements.alternatives.map(combination => {
+      const results = combination.map(rule => checkSubjectRule(rule, gradesBySubject));
+      return {
+        subjects: combination.map(rule => `${rule.subject} (${rule.minimumGrade})`),
+        met: results.every(result => result.met),
+        unmet: results.filter(result => !result.met).map(result => result.message)
+      };
+    });
+    const satisfied = combinations.find(combination => combination.met);
+
+    checks.push({
+      requirement: 'alternatives',
+      met: !!satisfied,
+      message: satisfied
+        ? `Meets the subject combination: ${satisfied.subjects.join(', ')}`
+        : `None of the accepted subject combinations are met: ${combinations
+          .map(combination => combination.subjects.join(' + '))
+          .join(' or ')}`,
+      combinations
+    });
+  }
+
+  if (requirements.minimumAggregate !== undefined) {
+    const subjectCount = requirements.aggregateSubjectCount || DEFAULT_AGGREGATE_SUBJECT_COUNT;
+    const aggregate = calculateAggregate(grades, subjectCount);
+    const met = aggregate >= requirements.minimumAggregate;
+
+    checks.push({
+      requirement: 'aggregate',
+      minimumAggregate: requirements.minimumAggregate,
+      aggregate,
+      met,
+      message: met
+        ? `Aggregate of ${aggregate} points across your best ${subjectCount} subjects meets the minimum of ${requirements.minimumAggregate}`
+        : `Aggregate of ${aggregate} points across your best ${subjectCount} subjects is below the minimum of ${requirements.minimumAggregate}`
+    });
+  }
+
+  return {
+    eligible: checks.every(check => check.met),
+    structured: true,
+    checks,
+    notes: requirements.notes || ''
+  };
+};
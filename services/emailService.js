@@ -1,47 +1,184 @@
+import fs from 'fs';
+import path from 'path';
 import nodemailer from 'nodemailer';
+import { db } from '../firebase.js';
+import { logger } from '../logger.js';
+import { getQueue } from './queueService.js';
+import { renderTemplate } from './emailTemplates.js';
 
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
+// Transports share one interface: send({ from, to, subject, html, text, template }) -> { messageId }
+
+export const createSmtpTransport = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port: parseInt(options.port || process.env.SMTP_PORT, 10) || 587,
+    secure: options.secure ?? process.env.SMTP_SECURE === 'true',
+    auth: {
+      user: options.user || process.env.SMTP_USER || process.env.EMAIL_USER,
+      pass: options.pass || process.env.SMTP_PASS || process.env.EMAIL_PASS
+    }
+  });
+
+  return {
+    name: 'smtp',
+    async send({ template, ...message }) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+// Development transport: logs who each email went to, and writes the whole email to disk
+// when a directory is given. The body is never logged since it can hold sign-in links.
+export const createLocalTransport = (directory) => ({
+  name: directory ? 'file' : 'console',
+  async send(message) {
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+    if (directory) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(directory, `${messageId}.json`),
+        JSON.stringify(message, null, 2)
+      );
+    }
+
+    logger.info('Email delivered by local transport', {
+      transport: directory ? 'file' : 'console',
+      messageId,
+      to: message.to,
+      subject: message.subject,
+      template: message.template
+    });
+
+    return { messageId };
   }
 });
 
-export const sendVerificationEmail = async (email, verificationLink) => {
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: 'Verify Your Email - Career Guidance Lesotho',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #4F46E5;">Welcome to Career Guidance Lesotho!</h2>
-        <p>Please verify your email address by clicking the button below:</p>
-        <a href="${verificationLink}" 
-           style="background-color: #4F46E5; color: white; padding: 12px 24px; 
-                  text-decoration: none; border-radius: 4px; display: inline-block;">
-          Verify Email
-        </a>
-        <p>If you didn't create an account, please ignore this email.</p>
-      </div>
-    `
-  };
+let transport;
 
-  await transporter.sendMail(mailOptions);
+// Transport is chosen with EMAIL_TRANSPORT=smtp|file|console. It defaults to console
+// outside production; in production it has to be set.
+export const getTransport = () => {
+  if (!transport) {
+    switch (process.env.EMAIL_TRANSPORT) {
+      case 'smtp':
+        transport = createSmtpTransport();
+        break;
+      case 'file':
+        transport = createLocalTransport(process.env.EMAIL_OUTPUT_DIR || 'tmp/emails');
+        break;
+      case 'console':
+        transport = createLocalTransport();
+        break;
+      default:
+        if (process.env.NODE_ENV === 'production') {
+          throw new Error('EMAIL_TRANSPORT is not set. Set EMAIL_TRANSPORT=smtp and the SMTP_* settings.');
+        }
+        transport = createLocalTransport();
+    }
+  }
+  return transport;
 };
 
-export const sendNotificationEmail = async (email, subject, message) => {
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: subject,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #4F46E5;">Career Guidance Lesotho</h2>
-        <p>${message}</p>
-      </div>
-    `
-  };
+export const setTransport = (backend) => {
+  transport = backend;
+};
+
+export const EMAIL_DELIVERY_TASK = 'email.deliver';
+
+const registeredQueues = new WeakSet();
+
+const getEmailQueue = () => {
+  const queue = getQueue();
+  if (!registeredQueues.has(queue)) {
+    queue.register(EMAIL_DELIVERY_TASK, deliverEmail);
+    registeredQueues.add(queue);
+  }
+  return queue;
+};
+
+// Render a template, store it in the outbox and queue delivery
+export const sendTemplatedEmail = async (template, to, data = {}) => {
+  const rendered = renderTemplate(template, data);
+  const now = new Date();
+
+  const outboxRef = await db.collection('emailOutbox').add({
+    to,
+    template,
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+    status: 'queued',
+    attempts: 0,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  });
 
-  await transporter.sendMail(mailOptions);
-};
\ No newline at end of file
+  await getEmailQueue().enqueue(EMAIL_DELIVERY_TASK, { outboxId: outboxRef.id });
+  return outboxRef.id;
+};
+
+// Task handler: sends one outbox email and records the delivery status
+export const deliverEmail = async ({ outboxId }, { attempt, maxAttempts }) => {
+  const outboxRef = db.collection('emailOutbox').doc(outboxId);
+  const outboxDoc = await outboxRef.get();
+
+  if (!outboxDoc.exists || outboxDoc.data().status === 'sent') {
+    return;
+  }
+
+  const email = outboxDoc.data();
+
+  try {
+    const result = await getTransport().send({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      template: email.template
+    });
+
+    await outboxRef.update({
+      status: 'sent',
+      attempts: (email.attempts || 0) + 1,
+      transport: getTransport().name,
+      messageId: result.messageId || null,
+      lastError: null,
+      sentAt: new Date(),
+      updatedAt: new Date()
+    });
+  } catch (error) {
+    await outboxRef.update({
+      status: attempt < maxAttempts ? 'retrying' : 'failed',
+      attempts: (email.attempts || 0) + 1,
+      lastError: error.message,
+      updatedAt: new Date()
+    });
+    throw error;
+  }
+};
+
+// Re-queue outbox emails that never finished, e.g. after a restart
+export const retryPendingEmails = async () => {
+  const pendingSnapshot = await db.collection('emailOutbox')
+    .where('status', 'in', ['queued', 'retrying'])
+    .get();
+
+  const queue = getEmailQueue();
+  for (const doc of pendingSnapshot.docs) {
+    await queue.enqueue(EMAIL_DELIVERY_TASK, { outboxId: doc.id });
+  }
+
+  return pendingSnapshot.size;
+};
+
+export const sendVerificationEmail = async (email, verificationLink) => {
+  return sendTemplatedEmail('verification', email, { verificationLink });
+};
+
+export const sendNotificationEmail = async (email, subject, message) => {
+  return sendTemplatedEmail('notification', email, { subject, message });
+};
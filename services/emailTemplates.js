@@ -0,0 +1,119 @@
+// Named email templates. Each renders { subject, html, text } from plain data;
+// every value is escaped before it reaches the HTML body.
+
+const BRAND = 'Career Guidance Lesotho';
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Only http(s) links are rendered as buttons
+const safeUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.toString() : null;
+  } catch {
+    return null;
+  }
+};
+
+const layout = ({ heading, paragraphs, action }) => {
+  const link = action ? safeUrl(action.url) : null;
+
+  const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #4F46E5;">${escapeHtml(heading)}</h2>
+        ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n        ')}
+        ${link ? `<a href="${escapeHtml(link)}"
+           style="background-color: #4F46E5; color: white; padding: 12px 24px;
+                  text-decoration: none; border-radius: 4px; display: inline-block;">
+          ${escapeHtml(action.label)}
+        </a>` : ''}
+        <p style="color: #6B7280; font-size: 12px;">${BRAND}</p>
+      </div>
+    `;
+
+  const text = [
+    heading,
+    '',
+    ...paragraphs,
+    ...(link ? ['', `${action.label}: ${link}`] : []),
+    '',
+    `-- ${BRAND}`
+  ].join('\n');
+
+  return { html, text };
+};
+
+const DECISION_MESSAGES = {
+  under_review: 'is now being reviewed by the institution.',
+  admitted: 'has been successful. Congratulations, you have been offered a place!',
+  rejected: 'was unfortunately not successful.',
+  waitlisted: 'has been placed on the waiting list.'
+};
+
+export const templates = {
+  verification: ({ verificationLink }) => ({
+    subject: `Verify Your Email - ${BRAND}`,
+    ...layout({
+      heading: `Welcome to ${BRAND}!`,
+      paragraphs: [
+        'Please verify your email address by clicking the button below:',
+        "If you didn't create an account, please ignore this email."
+      ],
+      action: { label: 'Verify Email', url: verificationLink }
+    })
+  }),
+
+  applicationSubmitted: ({ firstName, courseName, institutionName }) => ({
+    subject: `Application Submitted - ${courseName}`,
+    ...layout({
+      heading: 'Application Submitted',
+      paragraphs: [
+        `Hi ${firstName || 'there'},`,
+        `Your application for ${courseName}${institutionName ? ` at ${institutionName}` : ''} has been submitted successfully.`,
+        'We will let you know as soon as the institution makes a decision.'
+      ]
+    })
+  }),
+
+  admissionDecision: ({ firstName, courseName, institutionName, status, notes }) => ({
+    subject: `Application Update - ${courseName}`,
+    ...layout({
+      heading: 'Application Update',
+      paragraphs: [
+        `Hi ${firstName || 'there'},`,
+        `Your application for ${courseName} at ${institutionName} ${DECISION_MESSAGES[status] || `is now ${status}.`}`,
+        ...(notes ? [`Notes from the institution: ${notes}`] : [])
+      ]
+    })
+  }),
+
+  newJobMatch: ({ firstName, jobTitle, companyName, reasons = [] }) => ({
+    subject: `New Job Match - ${jobTitle}`,
+    ...layout({
+      heading: 'A New Job Matches Your Profile',
+      paragraphs: [
+        `Hi ${firstName || 'there'},`,
+        `${companyName} has posted ${jobTitle}, and it matches your profile.`,
+        ...reasons.map(reason => `• ${reason}`)
+      ]
+    })
+  }),
+
+  notification: ({ subject, message }) => ({
+    subject,
+    ...layout({ heading: BRAND, paragraphs: [message] })
+  })
+};
+
+export const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data || {});
+};
@@ -0,0 +1,410 @@
+import { GRADE_POINTS, gradeToPoints } from './eligibilityService.js';
+
+// Job criteria come from the posting's `qualifications` and `requirements`.
+// Both accept free text (comma or newline separated) or structured values.
+// In free-text requirements ("Diploma in IT, 2 years experience, SQL") an item that
+// mentions experience sets the minimum years, and every other item has to be held
+// as a qualification, field of study, certificate or skill. Structured values:
+//   qualifications: ['Diploma in Information Technology', 'BSc Computer Science']
+//   requirements: {
+//     fieldsOfStudy: ['Computer Science', 'Information Systems'],
+//     minimumAveragePoints: 5,
+//     subjects: [{ subject: 'Mathematics', minimumGrade: 'C' }],
+//     certificates: ['AWS Cloud Practitioner'],
+//     skills: ['JavaScript', 'SQL'],
+//     minimumExperienceYears: 1
+//   }
+// Student data is read from the user profile (qualifications, fieldOfStudy/major,
+// certificates, skills, workExperience) and the latest transcript.
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const toList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(item => String(item?.name ?? item?.title ?? item).trim()).filter(Boolean);
+  return String(value).split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+};
+
+const containsPhrase = (text, phrase) => {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(text);
+};
+
+// A requirement is met when what the student holds contains all of it as whole words,
+// ignoring case: "Diploma" is met by "Diploma in Information Technology", not the reverse
+export const textMatches = (required, candidate) => {
+  const a = normalize(required);
+  const b = normalize(candidate);
+  return !!a && !!b && containsPhrase(b, a);
+};
+
+const EXPERIENCE_YEARS = /(\d+(?:\.\d+)?)\s*\+?\s*(?:years?|yrs?)\b/i;
+
+// Split free-text requirements into required credentials and a minimum experience
+export const parseRequirementText = (text) => {
+  const credentials = [];
+  let minimumExperienceYears = null;
+
+  toList(text).forEach(item => {
+    const years = /experience/i.test(item) && item.match(EXPERIENCE_YEARS);
+    if (years) {
+      minimumExperienceYears = Math.max(minimumExperienceYears || 0, Number(years[1]));
+    } else {
+      credentials.push(item);
+    }
+  });
+
+  return { credentials, minimumExperienceYears };
+};
+
+// Normalise a job posting into structured criteria
+export const getJobCriteria = (job) => {
+  if (typeof job.requirements === 'string') {
+    const { credentials, minimumExperienceYears } = parseRequirementText(job.requirements);
+    return {
+      ...getJobCriteria({ ...job, requirements: { minimumExperienceYears: minimumExperienceYears ?? undefined } }),
+      credentials
+    };
+  }
+
+  const requirements = job.requirements && typeof job.requirements === 'object' && !Array.isArray(job.requirements)
+    ? job.requirements
+    : {};
+
+  return {
+    credentials: [],
+    qualifications: toList(job.qualifications),
+    fieldsOfStudy: toList(requirements.fieldsOfStudy),
+    minimumAveragePoints: typeof requirements.minimumAveragePoints === 'number'
+      ? requirements.minimumAveragePoints
+      : null,
+    subjects: Array.isArray(requirements.subjects) ? requirements.subjects : [],
+    certificates: toList(requirements.certificates),
+    skills: toList(requirements.skills),
+    minimumExperienceYears: typeof requirements.minimumExperienceYears === 'number'
+      ? requirements.minimumExperienceYears
+      : null
+  };
+};
+
+// Collect the parts of a student's profile and transcript the matcher uses
+export const getStudentCredentials = (profile = {}, transcript = null) => {
+  const qualifications = (profile.qualifications || [])
+    .filter(item => typeof item === 'string' || item?.status !== 'in_progress');
+
+  return {
+    qualifications: toList(qualifications),
+    fieldsOfStudy: [
+      profile.fieldOfStudy,
+      profile.major,
+      ...(profile.qualifications || []).map(item => item?.field)
+    ].filter(Boolean),
+    certificates: toList(profile.certificates),
+    skills: toList(profile.skills),
+    experienceYears: calculateExperienceYears(profile.workExperience),
+    grades: Array.isArray(transcript?.grades) ? transcript.grades : [],
+    averagePoints: typeof transcript?.averagePoints === 'number' ? transcript.averagePoints : null
+  };
+};
+
+// Total years across work experience entries ({ startDate, endDate } or { years })
+export const calculateExperienceYears = (workExperience = []) => {
+  if (!Array.isArray(workExperience)) return 0;
+
+  const years = workExperience.reduce((total, entry) => {
+    if (typeof entry?.years === 'number') {
+      return total + entry.years;
+    }
+    const start = entry?.startDate ? new Date(entry.startDate) : null;
+    const end = entry?.endDate ? new Date(entry.endDate) : new Date();
+    if (!start || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+      return total;
+    }
+    return total + (end - start) / (365.25 * 24 * 60 * 60 * 1000);
+  }, 0);
+
+  return Math.round(years * 10) / 10;
+};
+
+const checkListCriterion = (criterion, required, held, { requireAll }) => {
+  const matched = required.filter(item => held.some(candidate => textMatches(item, candidate)));
+  const missing = required.filter(item => !matched.includes(item));
+  const met = requireAll ? missing.length === 0 : matched.length > 0;
+
+  return {
+    criterion,
+    met,
+    matched,
+    missing,
+    message: met
+      ? `Matches ${criterion}: ${matched.join(', ')}`
+      : requireAll
+        ? `Missing ${criterion}: ${missing.join(', ')}`
+        : `None of the accepted ${criterion}: ${required.join(', ')}`
+  };
+};
+
+// Compare a student's credentials with a job and explain each criterion
+export const checkJobQualifications = (student, job) => {
+  const criteria = getJobCriteria(job);
+  const reasons = [];
+
+  if (criteria.qualifications.length) {
+    reasons.push(checkListCriterion('qualifications', criteria.qualifications, student.qualifications, { requireAll: false }));
+  }
+
+  if (criteria.credentials.length) {
+    const held = [...student.qualifications, ...student.fieldsOfStudy, ...student.certificates, ...student.skills];
+    reasons.push(checkListCriterion('requirements', criteria.credentials, held, { requireAll: true }));
+  }
+
+  if (criteria.fieldsOfStudy.length) {
+    reasons.push(checkListCriterion('fields of study', criteria.fieldsOfStudy, student.fieldsOfStudy, { requireAll: false }));
+  }
+
+  if (criteria.certificates.length) {
+    reasons.push(checkListCriterion('certificates', criteria.certificates, student.certificates, { requireAll: true }));
+  }
+
+  if (criteria.skills.length) {
+    reasons.push(checkListCriterion('skills', criteria.skills, student.skills, { requireAll: true }));
+  }
+
+  if (criteria.subjects.length) {
+    const gradesBySubject = new Map(student.grades.map(entry => [normalize(entry.subject), entry.grade]));
+    const missing = criteria.subjects.filter(rule => {
+      const grade = gradesBySubject.get(normalize(rule.subject));
+      const achieved = gradeToPoints(grade);
+      return achieved === null || achieved < gradeToPoints(rule.minimumGrade);
+    });
+
+    reasons.push({
+      criterion: 'grades',
+      met: missing.length === 0,
+      missing: missing.map(rule => `${rule.subject} (${rule.minimumGrade})`),
+      message: missing.length === 0
+        ? 'Meets all subject grade requirements'
+        : `Below the required grade in: ${missing.map(rule => `${rule.subject} (${rule.minimumGrade})`).join(', ')}`
+    });
+  }
+
+  if (criteria.minimumAveragePoints !== null) {
+    const met = student.averagePoints !== null && student.averagePoints >= criteria.minimumAveragePoints;
+    reasons.push({
+      criterion: 'academic average',
+      met,
+      message: student.averagePoints === null
+        ? 'No transcript grades available to compare with the required average'
+        : `Average of ${student.averagePoints} points ${met ? 'meets' : 'is below'} the required ${criteria.minimumAveragePoints}`
+    });
+  }
+
+  if (criteria.minimumExperienceYears !== null) {
+    const met = student.experienceYears >= criteria.minimumExperienceYears;
+    reasons.push({
+      criterion: 'work experience',
+      met,
+      message: `${student.experienceYears} years of experience ${met ? 'meets' : 'is below'} the required ${criteria.minimumExperienceYears}`
+    });
+  }
+
+  if (reasons.length === 0) {
+    return {
+      qualified: true,
+      reasons: [{ criterion: 'general', met: true, message: 'This job has no specific requirements' }]
+    };
+  }
+
+  return {
+    qualified: reasons.every(reason => reason.met),
+    reasons
+  };
+};
+
+export const DEFAULT_SCORING_WEIGHTS = {
+  academics: 30,
+  qualifications: 25,
+  experience: 20,
+  skills: 15,
+  certificates: 10
+};
+
+// Returns a list of problems with per-job scoring weights (empty when valid)
+export const validateScoringWeights = (weights) => {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return ['scoringWeights must be an object'];
+  }
+
+  const errors = [];
+  Object.entries(weights).forEach(([criterion, weight]) => {
+    if (!(criterion in DEFAULT_SCORING_WEIGHTS)) {
+      errors.push(`Unknown scoring criterion: ${criterion}. Allowed: ${Object.keys(DEFAULT_SCORING_WEIGHTS).join(', ')}`);
+    } else if (typeof weight !== 'number' || weight < 0) {
+      errors.push(`scoringWeights.${criterion} must be a non-negative number`);
+    }
+  });
+
+  const total = Object.values({ ...DEFAULT_SCORING_WEIGHTS, ...weights })
+    .reduce((sum, weight) => sum + (typeof weight === 'number' ? weight : 0), 0);
+  if (errors.length === 0 && total <= 0) {
+    errors.push('At least one scoring weight must be greater than zero');
+  }
+
+  return errors;
+};
+
+const JOB_REQUIREMENT_LISTS = ['fieldsOfStudy', 'certificates', 'skills'];
+const JOB_REQUIREMENT_NUMBERS = ['minimumAveragePoints', 'minimumExperienceYears'];
+
+const isTextList = (value) => typeof value === 'string' ||
+  (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+// Returns a list of problems with a job's qualifications (empty when valid)
+export const validateJobQualifications = (qualifications) =>
+  isTextList(qualifications) ? [] : ['qualifications must be text or an array of text'];
+
+// Returns a list of problems with a job's requirements (empty when valid)
+export const validateJobRequirements = (requirements) => {
+  if (typeof requirements === 'string') {
+    return [];
+  }
+  if (!requirements || typeof requirements !== 'object' || Array.isArray(requirements)) {
+    return ['requirements must be text or an object'];
+  }
+
+  const errors = [];
+  Object.entries(requirements).forEach(([key, value]) => {
+    if (JOB_REQUIREMENT_LISTS.includes(key)) {
+      if (!isTextList(value)) errors.push(`requirements.${key} must be text or an array of text`);
+    } else if (JOB_REQUIREMENT_NUMBERS.includes(key)) {
+      if (typeof value !== 'number' || value < 0) errors.push(`requirements.${key} must be a non-negative number`);
+    } else if (key === 'subjects') {
+      if (!Array.isArray(value)) {
+        errors.push('requirements.subjects must be an array');
+        return;
+      }
+      value.forEach((rule, index) => {
+        if (!rule?.subject || typeof rule.subject !== 'string') {
+          errors.push(`requirements.subjects[${index}].subject is required`);
+        }
+        if (gradeToPoints(rule?.minimumGrade) === null) {
+          errors.push(`requirements.subjects[${index}].minimumGrade must be one of ${Object.keys(GRADE_POINTS).join(', ')} or a percentage`);
+        }
+      });
+    } else {
+      errors.push(`Unknown requirement: ${key}. Allowed: ${[...JOB_REQUIREMENT_LISTS, ...JOB_REQUIREMENT_NUMBERS, 'subjects'].join(', ')}`);
+    }
+  });
+
+  return errors;
+};
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+const listFraction = (required, held) => {
+  const matched = required.filter(item => held.some(candidate => textMatches(item, candidate)));
+  return { fraction: matched.length / required.length, matched };
+};
+
+// Score one applicant against a job; every criterion reports a 0-1 score and why
+export const calculateMatchScore = (student, job, weights = {}) => {
+  const criteria = getJobCriteria(job);
+  const effectiveWeights = { ...DEFAULT_SCORING_WEIGHTS, ...weights };
+  const totalWeight = Object.values(effectiveWeights).reduce((sum, weight) => sum + weight, 0) || 1;
+
+  const scores = {};
+
+  // Academics: average grade points, blended with any required subject grades
+  if (student.averagePoints === null) {
+    scores.academics = { score: 0, detail: 'No transcript grades available' };
+  } else {
+    let score = clamp(student.averagePoints / GRADE_POINTS['A*']);
+    let detail = `Average of ${student.averagePoints} grade points`;
+    if (criteria.subjects.length) {
+      const gradesBySubject = new Map(student.grades.map(entry => [normalize(entry.subject), entry.grade]));
+      const met = criteria.subjects.filter(rule => {
+        const achieved = gradeToPoints(gradesBySubject.get(normalize(rule.subject)));
+        return achieved !== null && achieved >= gradeToPoints(rule.minimumGrade);
+      });
+      score = (score + met.length / criteria.subjects.length) / 2;
+      detail += `, meets ${met.length} of ${criteria.subjects.length} required subject grades`;
+    }
+    scores.academics = { score, detail };
+  }
+
+  // Qualifications: required qualifications first, related field of study as partial credit
+  if (criteria.qualifications.length) {
+    const { matched } = listFraction(criteria.qualifications, student.qualifications);
+    const fieldMatch = criteria.fieldsOfStudy.length &&
+      listFraction(criteria.fieldsOfStudy, student.fieldsOfStudy).matched.length > 0;
+    scores.qualifications = matched.length
+      ? { score: 1, detail: `Holds ${matched.join(', ')}` }
+      : fieldMatch
+        ? { score: 0.5, detail: 'No listed qualification, but studied a related field' }
+        : { score: 0, detail: 'None of the listed qualifications' };
+  } else if (criteria.fieldsOfStudy.length) {
+    const { matched } = listFraction(criteria.fieldsOfStudy, student.fieldsOfStudy);
+    scores.qualifications = matched.length
+      ? { score: 1, detail: `Studied ${matched.join(', ')}` }
+      : { score: 0, detail: 'No related field of study' };
+  } else if (criteria.credentials.length) {
+    const held = [...student.qualifications, ...student.fieldsOfStudy, ...student.certificates, ...student.skills];
+    const { fraction, matched } = listFraction(criteria.credentials, held);
+    scores.qualifications = {
+      score: fraction,
+      detail: `Meets ${matched.length} of ${criteria.credentials.length} listed requirements`
+    };
+  } else {
+    scores.qualifications = {
+      score: clamp(student.qualifications.length),
+      detail: `${student.qualifications.length} completed qualifications`
+    };
+  }
+
+  // Experience: years against the job's minimum, or up to three years when none is set
+  const targetYears = criteria.minimumExperienceYears || 3;
+  scores.experience = {
+    score: clamp(student.experienceYears / targetYears),
+    detail: `${student.experienceYears} years of experience` +
+      (criteria.minimumExperienceYears ? ` (${criteria.minimumExperienceYears} required)` : '')
+  };
+
+  // Skills and certificates: share of the listed ones held, or how many the student has
+  if (criteria.skills.length) {
+    const { fraction, matched } = listFraction(criteria.skills, student.skills);
+    scores.skills = { score: fraction, detail: `Has ${matched.length} of ${criteria.skills.length} required skills` };
+  } else {
+    scores.skills = { score: clamp(student.skills.length / 5), detail: `${student.skills.length} skills listed` };
+  }
+
+  if (criteria.certificates.length) {
+    const { fraction, matched } = listFraction(criteria.certificates, student.certificates);
+    scores.certificates = {
+      score: fraction,
+      detail: `Holds ${matched.length} of ${criteria.certificates.length} required certificates`
+    };
+  } else {
+    scores.certificates = {
+      score: clamp(student.certificates.length / 3),
+      detail: `${student.certificates.length} certificates`
+    };
+  }
+
+  const breakdown = Object.keys(DEFAULT_SCORING_WEIGHTS).map(criterion => {
+    const weight = effectiveWeights[criterion];
+    const score = Math.round(scores[criterion].score * 100) / 100;
+    return {
+      criterion,
+      weight,
+      score,
+      points: Math.round((score * weight / totalWeight) * 1000) / 10,
+      detail: scores[criterion].detail
+    };
+  });
+
+  return {
+    score: Math.round(breakdown.reduce((total, item) => total + item.points, 0) * 10) / 10,
+    weights: effectiveWeights,
+    breakdown
+  };
+};
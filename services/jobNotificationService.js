@@ -0,0 +1,218 @@
+import admin from 'firebase-admin';
+import { db } from '../firebase.js';
+import { logger } from '../logger.js';
+import { getQueue } from './queueService.js';
+import { checkJobQualifications, getStudentCredentials } from './jobMatchingService.js';
+import { sendTemplatedEmail } from './emailService.js';
+
+export const JOB_NOTIFICATION_TASK = 'job.notifyQualifiedStudents';
+
+// Firestore batches accept at most 500 writes: one page of notifications plus the progress update
+const STUDENT_PAGE_SIZE = Math.min(parseInt(process.env.FANOUT_PAGE_SIZE, 10) || 200, 499);
+
+// Firestore `in` queries accept at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+// Fan-outs in these statuses still have students left to notify
+const UNFINISHED_STATUSES = ['queued', 'running', 'retrying'];
+
+const registeredQueues = new WeakSet();
+
+// Progress lives next to the job rather than on it, so job listings never carry the
+// fan-out cursor or task details
+const getFanoutRef = (jobId) => db.collection('jobNotificationFanouts').doc(jobId);
+
+// Queue with the fan-out handler registered
+const getFanoutQueue = () => {
+  const queue = getQueue();
+  if (!registeredQueues.has(queue)) {
+    queue.register(JOB_NOTIFICATION_TASK, notifyQualifiedStudents);
+    registeredQueues.add(queue);
+  }
+  return queue;
+};
+
+// Queue a background task that notifies every student who qualifies for a job
+export const enqueueJobNotifications = async (jobId, jobData) => {
+  const queue = getFanoutQueue();
+
+  // Progress is reset before the task can start so the handler never sees stale state
+  await getFanoutRef(jobId).set({
+    jobId,
+    taskId: null,
+    status: 'queued',
+    processed: 0,
+    notified: 0,
+    cursor: null,
+    attempts: 0,
+    error: null,
+    queuedAt: new Date()
+  });
+
+  const taskId = await queue.enqueue(JOB_NOTIFICATION_TASK, { jobId, jobData });
+  await getFanoutRef(jobId).update({ taskId });
+
+  return taskId;
+};
+
+// Progress of a job's fan-out, or null if none was started
+export const getJobNotificationProgress = async (jobId) => {
+  const fanoutDoc = await getFanoutRef(jobId).get();
+  return fanoutDoc.exists ? fanoutDoc.data() : null;
+};
+
+// Re-queue fan-outs that a restart cut short. Their progress is kept, so each one
+// carries on after the last committed page of students.
+export const resumeJobNotifications = async () => {
+  const unfinishedSnapshot = await db.collection('jobNotificationFanouts')
+    .where('status', 'in', UNFINISHED_STATUSES)
+    .get();
+
+  const queue = getFanoutQueue();
+  let resumed = 0;
+  for (const doc of unfinishedSnapshot.docs) {
+    const jobDoc = await db.collection('jobs').doc(doc.id).get();
+    if (!jobDoc.exists) {
+      await doc.ref.update({ status: 'failed', error: 'Job no longer exists' });
+      continue;
+    }
+
+    const taskId = await queue.enqueue(JOB_NOTIFICATION_TASK, { jobId: doc.id, jobData: jobDoc.data() });
+    await doc.ref.update({ taskId });
+    resumed++;
+  }
+
+  return resumed;
+};
+
+// Latest transcript per student, fetched with chunked `in` queries
+const getLatestTranscripts = async (studentIds) => {
+  const latest = new Map();
+
+  for (let i = 0; i < studentIds.length; i += IN_QUERY_LIMIT) {
+    const chunk = studentIds.slice(i, i + IN_QUERY_LIMIT);
+    const snapshot = await db.collection('transcripts')
+      .where('studentId', 'in', chunk)
+      .get();
+
+    snapshot.docs.forEach(doc => {
+      const transcript = doc.data();
+      const current = latest.get(transcript.studentId);
+      const uploadedAt = transcript.uploadedAt?.toMillis?.() ?? new Date(transcript.uploadedAt).getTime();
+      if (!current || uploadedAt > current.uploadedAtMillis) {
+        latest.set(transcript.studentId, { ...transcript, uploadedAtMillis: uploadedAt });
+      }
+    });
+  }
+
+  return latest;
+};
+
+// Task handler: pages through students, resuming from the last saved cursor on retry
+export const notifyQualifiedStudents = async ({ jobId, jobData }, { attempt, maxAttempts }) => {
+  const fanoutRef = getFanoutRef(jobId);
+  const fanoutDoc = await fanoutRef.get();
+  const progress = fanoutDoc.data() || {};
+
+  let cursor = progress.cursor || null;
+  let processed = progress.processed || 0;
+  let notified = progress.notified || 0;
+
+  await fanoutRef.set({
+    jobId,
+    status: 'running',
+    attempts: attempt,
+    startedAt: progress.startedAt || new Date()
+  }, { merge: true });
+
+  try {
+    for (;;) {
+      let query = db.collection('users')
+        .where('role', '==', 'student')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(STUDENT_PAGE_SIZE);
+      if (cursor) {
+        query = query.startAfter(cursor);
+      }
+
+      const studentsSnapshot = await query.get();
+      if (studentsSnapshot.empty) {
+        break;
+      }
+
+      const transcripts = await getLatestTranscripts(studentsSnapshot.docs.map(doc => doc.id));
+      const now = new Date();
+      const batch = db.batch();
+      const emails = [];
+
+      for (const studentDoc of studentsSnapshot.docs) {
+        const credentials = getStudentCredentials(
+          studentDoc.data().profile,
+          transcripts.get(studentDoc.id) || null
+        );
+        const match = checkJobQualifications(credentials, jobData);
+
+        if (match.qualified) {
+          batch.set(db.collection('notifications').doc(), {
+            userId: studentDoc.id,
+            title: 'New Job Opportunity',
+            message: `A new job matching your profile: ${jobData.title} at ${jobData.companyName}`,
+            type: 'job',
+            jobId,
+            matchReasons: match.reasons.filter(reason => reason.met).map(reason => reason.message),
+            read: false,
+            createdAt: now
+          });
+          notified++;
+
+          const student = studentDoc.data();
+          if (student.email) {
+            emails.push({
+              to: student.email,
+              data: {
+                firstName: student.profile?.firstName,
+                jobTitle: jobData.title,
+                companyName: jobData.companyName,
+                reasons: match.reasons.filter(reason => reason.met).map(reason => reason.message)
+              }
+            });
+          }
+        }
+      }
+
+      cursor = studentsSnapshot.docs[studentsSnapshot.docs.length - 1].id;
+      processed += studentsSnapshot.size;
+
+      // Progress is committed with the page's notifications so a retry never repeats a page
+      batch.update(fanoutRef, { cursor, processed, notified });
+      await batch.commit();
+
+      // Emails go to the outbox only once the page is committed, so retries don't resend them
+      for (const email of emails) {
+        try {
+          await sendTemplatedEmail('newJobMatch', email.to, email.data);
+        } catch (emailError) {
+          logger.warn('Failed to queue job match email', { jobId, error: emailError });
+        }
+      }
+
+      if (studentsSnapshot.size < STUDENT_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    await fanoutRef.update({
+      status: 'completed',
+      error: null,
+      completedAt: new Date()
+    });
+
+    logger.info('Job match notifications sent', { jobId, notified, processed });
+  } catch (error) {
+    await fanoutRef.update({
+      status: attempt < maxAttempts ? 'retrying' : 'failed',
+      error: error.message
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,111 @@
+import { randomUUID } from 'crypto';
+import { logger } from '../logger.js';
+
+// Task queues share one interface:
+//   register(type, handler)  handler(payload, { taskId, attempt, maxAttempts }) -> Promise
+//   enqueue(type, payload)   -> taskId
+//   getTask(taskId)          -> { id, type, status, attempts, error } | null
+// Handlers must be safe to retry: a failed task is run again with the same payload.
+
+export const createInProcessQueue = ({
+  concurrency = 1,
+  maxAttempts = 3,
+  retryDelayMs = 5000,
+  retainFinishedMs = 60 * 60 * 1000
+} = {}) => {
+  const handlers = new Map();
+  const tasks = new Map();
+  const pending = [];
+  let running = 0;
+
+  const runNext = () => {
+    while (running < concurrency && pending.length > 0) {
+      const task = pending.shift();
+      running++;
+      execute(task).finally(() => {
+        running--;
+        runNext();
+      });
+    }
+  };
+
+  const forgetLater = (task) => {
+    setTimeout(() => tasks.delete(task.id), retainFinishedMs).unref?.();
+  };
+
+  const execute = async (task) => {
+    const handler = handlers.get(task.type);
+    task.status = 'running';
+    task.attempts++;
+
+    try {
+      await handler(task.payload, { taskId: task.id, attempt: task.attempts, maxAttempts });
+      task.status = 'completed';
+      task.completedAt = new Date();
+      forgetLater(task);
+    } catch (error) {
+      task.error = error.message;
+      if (task.attempts < maxAttempts) {
+        task.status = 'retrying';
+        const delay = retryDelayMs * 2 ** (task.attempts - 1);
+        logger.warn('Task failed, retrying', { taskId: task.id, type: task.type, attempt: task.attempts, delayMs: delay, error });
+        setTimeout(() => {
+          pending.push(task);
+          runNext();
+        }, delay).unref?.();
+      } else {
+        task.status = 'failed';
+        forgetLater(task);
+        logger.error('Task failed', { taskId: task.id, type: task.type, attempts: task.attempts, error });
+      }
+    }
+  };
+
+  return {
+    register(type, handler) {
+      handlers.set(type, handler);
+    },
+
+    async enqueue(type, payload) {
+      if (!handlers.has(type)) {
+        throw new Error(`No handler registered for task type: ${type}`);
+      }
+
+      const task = {
+        id: randomUUID(),
+        type,
+        payload,
+        status: 'queued',
+        attempts: 0,
+        error: null,
+        enqueuedAt: new Date()
+      };
+      tasks.set(task.id, task);
+      pending.push(task);
+      setImmediate(runNext);
+      return task.id;
+    },
+
+    getTask(taskId) {
+      const task = tasks.get(taskId);
+      if (!task) return null;
+      const { payload, ...summary } = task;
+      return summary;
+    }
+  };
+};
+
+let queue;
+
+export const getQueue = () => {
+  if (!queue) {
+    queue = createInProcessQueue({
+      maxAttempts: parseInt(process.env.TASK_MAX_ATTEMPTS, 10) || 3
+    });
+  }
+  return queue;
+};
+
+export const setQueue = (backend) => {
+  queue = backend;
+};
@@ -0,0 +1,53 @@
+// Counter stores for the rate limiter (middleware/rateLimit.js). A store counts hits
+// per key in fixed windows:
+//   increment(key, windowMs) -> { count, resetAt }   count includes this hit
+//   reset(key)
+// The in-memory store is per process; with several instances behind a load balancer
+// each one enforces its own limits unless a shared store is plugged in.
+export const createMemoryRateLimitStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const windows = new Map();
+  let nextSweepAt = Date.now() + sweepIntervalMs;
+
+  // Drop expired windows now and then so idle keys don't pile up
+  const sweep = (now) => {
+    if (now < nextSweepAt) return;
+    nextSweepAt = now + sweepIntervalMs;
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      sweep(now);
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: new Date(window.resetAt) };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+};
+
+let store;
+
+export const getRateLimitStore = () => {
+  if (!store) {
+    store = createMemoryRateLimitStore();
+  }
+  return store;
+};
+
+export const setRateLimitStore = (backend) => {
+  store = backend;
+};
@@ -0,0 +1,37 @@
+import { auth } from '../firebase.js';
+import { userRepository } from '../repositories/index.js';
+
+// Roles normally come from the token's custom claims. Tokens issued before a user's
+// claims were set fall back to the user document, cached briefly per process.
+const ROLE_CACHE_TTL_MS = parseInt(process.env.ROLE_CACHE_TTL_MS, 10) || 60 * 1000;
+
+const roleCache = new Map();
+
+// Role from the user document (null when the profile doesn't exist yet)
+export const getUserRole = async (uid) => {
+  const cached = roleCache.get(uid);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.role;
+  }
+
+  const user = await userRepository.findById(uid);
+  if (!user?.role) {
+    roleCache.delete(uid);
+    return null;
+  }
+
+  roleCache.set(uid, { role: user.role, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  return user.role;
+};
+
+export const invalidateUserRole = (uid) => {
+  roleCache.delete(uid);
+};
+
+// Store the role as a custom claim so authorize() can skip the Firestore read.
+// Other claims on the account are kept.
+export const syncRoleClaims = async (uid, role) => {
+  const authUser = await auth.getUser(uid);
+  await auth.setCustomUserClaims(uid, { ...(authUser.customClaims || {}), role });
+  invalidateUserRole(uid);
+};
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import admin from 'firebase-admin';
+
+// Storage backends share one interface:
+//   save(key, buffer, { contentType }) -> { key, size }
+//   createReadStream(key)              -> Readable
+//   remove(key)                        -> void
+//   exists(key)                        -> boolean
+
+export const createLocalStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    driver: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch {
+        return false;
+      }
+    }
+  };
+};
+
+export const createFirebaseStorage = (bucketName) => {
+  const bucket = () => admin.storage().bucket(bucketName);
+
+  return {
+    driver: 'firebase',
+
+    async save(key, buffer, { contentType } = {}) {
+      await bucket().file(key).save(buffer, {
+        resumable: false,
+        contentType,
+        metadata: { contentType }
+      });
+      return { key, size: buffer.length };
+    },
+
+    createReadStream(key) {
+      return bucket().file(key).createReadStream();
+    },
+
+    async remove(key) {
+      await bucket().file(key).delete({ ignoreNotFound: true });
+    },
+
+    async exists(key) {
+      const [exists] = await bucket().file(key).exists();
+      return exists;
+    }
+  };
+};
+
+let storage;
+
+// Backend is chosen with STORAGE_DRIVER=local|firebase (default local)
+export const getStorage = () => {
+  if (!storage) {
+    storage = process.env.STORAGE_DRIVER === 'firebase'
+      ? createFirebaseStorage(process.env.FIREBASE_STORAGE_BUCKET)
+      : createLocalStorage(process.env.LOCAL_STORAGE_DIR || 'uploads');
+  }
+  return storage;
+};
+
+export const setStorage = (backend) => {
+  storage = backend;
+};
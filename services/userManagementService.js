@@ -0,0 +1,138 @@
+import { auth } from '../firebase.js';
+import { BadRequestError, NotFoundError } from '../errors.js';
+import { logger } from '../logger.js';
+import { notificationRepository, userRepository } from '../repositories/index.js';
+import { sendNotificationEmail } from './emailService.js';
+import { invalidateUserRole, syncRoleClaims } from './roleService.js';
+
+export const USER_ROLES = ['student', 'institution', 'company', 'admin'];
+
+const ROLE_LABELS = {
+  student: 'student',
+  institution: 'institution administrator',
+  company: 'company representative',
+  admin: 'platform administrator'
+};
+
+const getManagedUser = async (uid, actorUid) => {
+  if (uid === actorUid) {
+    throw new BadRequestError('Admins cannot change their own account', 'CANNOT_MANAGE_SELF');
+  }
+
+  const user = await userRepository.findById(uid);
+  if (!user) {
+    throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+  }
+  return user;
+};
+
+// Let the user know in-app and by email; failures here don't undo the change
+const notifyUser = async (user, title, message) => {
+  try {
+    await notificationRepository.create({
+      userId: user.id,
+      title,
+      message,
+      type: 'account',
+      read: false,
+      createdAt: new Date()
+    });
+
+    if (user.email) {
+      await sendNotificationEmail(user.email, title, message);
+    }
+  } catch (error) {
+    logger.error('Failed to notify user', { uid: user.id, error });
+  }
+};
+
+// Firebase Auth details of a user, or null when the Auth account no longer exists
+export const getAuthRecord = async (uid) => {
+  try {
+    const record = await auth.getUser(uid);
+    return {
+      email: record.email,
+      emailVerified: record.emailVerified,
+      disabled: record.disabled,
+      customClaims: record.customClaims || {},
+      createdAt: record.metadata?.creationTime || null,
+      lastSignInAt: record.metadata?.lastSignInTime || null,
+      tokensValidAfter: record.tokensValidAfterTime || null,
+      providers: (record.providerData || []).map(provider => provider.providerId)
+    };
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return null;
+    throw error;
+  }
+};
+
+// Change a user's role in Firestore and in their custom claims. Existing sessions are
+// revoked so the new role applies from the next sign-in.
+export const changeUserRole = async (uid, role, reason, changedBy) => {
+  if (!USER_ROLES.includes(role)) {
+    throw new BadRequestError(`Invalid role. Allowed values: ${USER_ROLES.join(', ')}`, 'INVALID_ROLE');
+  }
+
+  const user = await getManagedUser(uid, changedBy);
+  if (user.role === role) {
+    throw new BadRequestError(`User already has the ${role} role`, 'ROLE_UNCHANGED');
+  }
+
+  const now = new Date();
+  await userRepository.update(uid, { role, roleChangedAt: now, updatedAt: now });
+
+  try {
+    await syncRoleClaims(uid, role);
+    await auth.revokeRefreshTokens(uid);
+  } catch (error) {
+    // Keep Firestore and the claims in agreement
+    await userRepository.update(uid, { role: user.role, updatedAt: new Date() });
+    invalidateUserRole(uid);
+    throw error;
+  }
+
+  await notifyUser(user, 'Account Role Changed',
+    `Your account is now a ${ROLE_LABELS[role]} account${reason ? `. Reason: ${reason}` : ''}. Please sign in again.`);
+
+  return { previousRole: user.role, role, user };
+};
+
+// Disable or re-enable the Firebase Auth account; disabling also ends all sessions
+export const setUserDisabled = async (uid, disabled, reason, changedBy) => {
+  const user = await getManagedUser(uid, changedBy);
+  const now = new Date();
+
+  await auth.updateUser(uid, { disabled });
+  if (disabled) {
+    await auth.revokeRefreshTokens(uid);
+  }
+
+  await userRepository.update(uid, {
+    disabled,
+    disabledReason: disabled ? reason || null : null,
+    disabledAt: disabled ? now : null,
+    updatedAt: now
+  });
+
+  await notifyUser(user,
+    disabled ? 'Account Disabled' : 'Account Enabled',
+    disabled
+      ? `Your account has been disabled${reason ? `. Reason: ${reason}` : ''}`
+      : 'Your account has been re-enabled. You can sign in again.');
+
+  return { previousDisabled: !!user.disabled, disabled, user };
+};
+
+// Sign the user out everywhere by revoking their refresh tokens
+export const revokeUserSessions = async (uid, reason, changedBy) => {
+  const user = await getManagedUser(uid, changedBy);
+  const now = new Date();
+
+  await auth.revokeRefreshTokens(uid);
+  await userRepository.update(uid, { sessionsRevokedAt: now, updatedAt: now });
+
+  await notifyUser(user, 'Signed Out Everywhere',
+    `You have been signed out of all devices${reason ? `. Reason: ${reason}` : ''}. Please sign in again.`);
+
+  return { revokedAt: now, user };
+};
@@ -0,0 +1,100 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+
+describe('PUT /institution/applications/:applicationId/status', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp({
+      seed: {
+        institutions: { i1: { name: 'Tech College', adminId: 'inst' }, i2: { name: 'Other', adminId: 'other' } },
+        courses: { c1: { name: 'Diploma in IT', institutionId: 'i1' } }
+      }
+    });
+    await t.addUser('inst', 'institution');
+    await t.addUser('other', 'institution');
+    await t.addUser('s1', 'student');
+  });
+
+  after(() => t.close());
+
+  const addApplication = (id, status) => t.db.collection('applications').doc(id).set({
+    studentId: 's1',
+    institutionId: 'i1',
+    courseId: 'c1',
+    status,
+    appliedAt: new Date()
+  });
+
+  const changeStatus = (id, status, as = 'inst') =>
+    t.request('PUT', `/institution/applications/${id}/status`, { as, body: { status } });
+
+  it('moves an application through review to a decision', async () => {
+    await addApplication('a1', 'pending');
+
+    assert.equal((await changeStatus('a1', 'under_review')).status, 200);
+    const response = await changeStatus('a1', 'admitted');
+
+    assert.equal(response.status, 200);
+    const application = (await t.db.collection('applications').doc('a1').get()).data();
+    assert.equal(application.status, 'admitted');
+    assert.ok(application.offerExpiresAt > new Date());
+    assert.deepEqual(application.statusHistory.map(entry => entry.to), ['under_review', 'admitted']);
+  });
+
+  it('refuses to skip the review step', async () => {
+    await addApplication('a2', 'pending');
+
+    const response = await changeStatus('a2', 'admitted');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'INVALID_STATUS_TRANSITION');
+    assert.deepEqual(response.body.details.allowedTransitions, ['under_review']);
+  });
+
+  it('lets a waitlisted application be admitted but not a rejected one be reopened', async () => {
+    await addApplication('a3', 'waitlisted');
+    await addApplication('a4', 'rejected');
+
+    assert.equal((await changeStatus('a3', 'admitted')).status, 200);
+    assert.equal((await changeStatus('a4', 'under_review')).body.code, 'INVALID_STATUS_TRANSITION');
+  });
+
+  it('only lets the institution that received the application decide it', async () => {
+    await addApplication('a5', 'pending');
+
+    assert.equal((await changeStatus('a5', 'under_review', 'other')).status, 403);
+    assert.equal((await changeStatus('a5', 'under_review', 's1')).status, 403);
+  });
+});
+
+describe('GET /institution/applications', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp({
+      seed: {
+        institutions: { i1: { name: 'Tech College', adminId: 'inst' } },
+        courses: { c1: { name: 'Diploma in IT', institutionId: 'i1' } },
+        applications: {
+          older: { studentId: 's1', institutionId: 'i1', courseId: 'c1', status: 'pending', appliedAt: new Date(2026, 0, 1) },
+          undated: { studentId: 's1', institutionId: 'i1', courseId: 'c1', status: 'pending' },
+          newer: { studentId: 's1', institutionId: 'i1', courseId: 'c1', status: 'pending', appliedAt: new Date(2026, 1, 1) }
+        }
+      }
+    });
+    await t.addUser('inst', 'institution');
+    await t.addUser('s1', 'student', { firstName: 'Thabo', lastName: 'Mokoena' });
+  });
+
+  after(() => t.close());
+
+  it('lists the newest applications first', async () => {
+    const response = await t.request('GET', '/institution/applications', { as: 'inst' });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.map(application => application.id), ['newer', 'older', 'undated']);
+    assert.equal(response.body[0].studentName, 'Thabo Mokoena');
+  });
+});
@@ -0,0 +1,59 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+
+describe('createApp', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp({
+      seed: { institutions: { i1: { name: 'Tech College', isActive: true, createdAt: new Date() } } }
+    });
+    await t.addUser('s1', 'student');
+  });
+
+  after(() => t.close());
+
+  it('mounts every router under /api', async () => {
+    const paths = [
+      '/auth/verification-status',
+      '/user/profile',
+      '/students/applications',
+      '/institution/courses',
+      '/companies/profile',
+      '/admin/stats',
+      '/notifications'
+    ];
+
+    for (const path of paths) {
+      const response = await t.request('GET', path);
+      assert.equal(response.status, 401, path);
+      assert.equal(response.body.code, 'TOKEN_MISSING', path);
+    }
+    assert.equal((await t.request('GET', '/institutions')).status, 200);
+  });
+
+  it('reads and writes through the injected database and Auth client', async () => {
+    const institutions = await t.request('GET', '/institutions');
+    const profile = await t.request('GET', '/students/profile', { as: 's1' });
+
+    assert.deepEqual(institutions.body.items.map(item => item.id), ['i1']);
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.email, 's1@example.com');
+  });
+
+  it('answers unknown routes with the shared error shape', async () => {
+    const response = await t.request('GET', '/nope');
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.code, 'ROUTE_NOT_FOUND');
+    assert.deepEqual(response.body.details, { method: 'GET', path: '/api/nope' });
+    assert.ok(response.body.requestId);
+  });
+
+  it('keeps the public health check to whether the service is up', async () => {
+    const response = await t.request('GET', '/health');
+
+    assert.deepEqual(response.body, { status: 'OK' });
+  });
+});
@@ -0,0 +1,79 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+
+describe('GET /companies/jobs/:jobId/applicants', () => {
+  let t;
+
+  before(async () => {
+    const application = (studentId, status = 'applied') => ({
+      jobId: 'j1', companyId: 'acme', studentId, status, appliedAt: new Date()
+    });
+
+    t = await createTestApp({
+      seed: {
+        companies: {
+          acme: { name: 'Acme', adminId: 'owner', status: 'approved' },
+          rival: { name: 'Rival', adminId: 'rival', status: 'approved' }
+        },
+        jobs: {
+          j1: {
+            title: 'Developer',
+            companyId: 'acme',
+            isActive: true,
+            requirements: { skills: ['JavaScript', 'SQL'], minimumExperienceYears: 2 }
+          }
+        },
+        transcripts: {
+          t1: { studentId: 'strong', averagePoints: 6, grades: [], uploadedAt: new Date() }
+        },
+        jobApplications: {
+          a1: application('weak'),
+          a2: application('strong'),
+          a3: application('gone', 'withdrawn')
+        }
+      }
+    });
+    await t.addUser('owner', 'company');
+    await t.addUser('rival', 'company');
+    await t.addUser('strong', 'student', { skills: ['JavaScript', 'SQL'], workExperience: [{ years: 3 }] });
+    await t.addUser('weak', 'student', { skills: ['Excel'] });
+    await t.addUser('gone', 'student');
+  });
+
+  after(() => t.close());
+
+  const applicants = (as = 'owner') => t.request('GET', '/companies/jobs/j1/applicants', { as });
+
+  it('ranks applicants by their match score and explains each criterion', async () => {
+    const response = await applicants();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.items.map(item => item.studentId), ['strong', 'weak']);
+
+    const [best] = response.body.items;
+    assert.deepEqual(best.matchBreakdown.map(item => item.criterion), ['academics', 'qualifications', 'experience', 'skills', 'certificates']);
+    assert.equal(best.matchBreakdown.find(item => item.criterion === 'skills').score, 1);
+    assert.equal(best.matchBreakdown.find(item => item.criterion === 'experience').score, 1);
+    const points = best.matchBreakdown.reduce((total, item) => total + item.points, 0);
+    assert.ok(Math.abs(points - best.matchScore) < 0.2);
+  });
+
+  it('scores with the weights the company sets for the job', async () => {
+    const update = (scoringWeights) =>
+      t.request('PUT', '/companies/jobs/j1/scoring-weights', { as: 'owner', body: { scoringWeights } });
+
+    const invalid = await update({ charm: 10 });
+    assert.equal(invalid.status, 400);
+
+    const response = await update({ academics: 0, qualifications: 0, experience: 0, certificates: 0, skills: 1 });
+    assert.equal(response.status, 200);
+
+    const ranked = (await applicants()).body.items;
+    assert.deepEqual(ranked.map(item => item.matchScore), [100, 0]);
+  });
+
+  it('only shows applicants to the company that posted the job', async () => {
+    assert.equal((await applicants('rival')).status, 403);
+  });
+});
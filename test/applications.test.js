@@ -0,0 +1,72 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+
+describe('POST /students/applications', () => {
+  let t;
+  const day = 24 * 60 * 60 * 1000;
+
+  before(async () => {
+    t = await createTestApp({
+      seed: {
+        institutions: {
+          open: { name: 'No Periods College' },
+          windowed: { name: 'Windowed University' }
+        },
+        courses: {
+          c1: { name: 'Diploma in IT', institutionId: 'open' },
+          c2: { name: 'BSc Computer Science', institutionId: 'windowed' },
+          c3: { name: 'BA Law', institutionId: 'windowed' }
+        },
+        admissionPeriods: {
+          current: {
+            institutionId: 'windowed',
+            academicYear: '2026',
+            intake: 'January',
+            opensAt: new Date(Date.now() - day),
+            closesAt: new Date(Date.now() + day)
+          },
+          upcoming: {
+            institutionId: 'windowed',
+            courseId: 'c3',
+            academicYear: '2026',
+            intake: 'July',
+            opensAt: new Date(Date.now() + 30 * day),
+            closesAt: new Date(Date.now() + 60 * day)
+          }
+        }
+      }
+    });
+    await t.addUser('s1', 'student');
+  });
+
+  after(() => t.close());
+
+  const apply = (courseId, institutionId) =>
+    t.request('POST', '/students/applications', { as: 's1', body: { courseId, institutionId } });
+
+  it('accepts applications to institutions that have not configured admission periods', async () => {
+    const response = await apply('c1', 'open');
+
+    assert.equal(response.status, 201);
+    const application = (await t.db.collection('applications').doc(response.body.applicationId).get()).data();
+    assert.equal(application.status, 'pending');
+    assert.equal(application.admissionPeriodId, null);
+  });
+
+  it('records the admission period the application was made in', async () => {
+    const response = await apply('c2', 'windowed');
+
+    assert.equal(response.status, 201);
+    const application = (await t.db.collection('applications').doc(response.body.applicationId).get()).data();
+    assert.equal(application.admissionPeriodId, 'current');
+  });
+
+  it('refuses applications outside the course period and says when it opens', async () => {
+    const response = await apply('c3', 'windowed');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'ADMISSION_CLOSED');
+    assert.equal(response.body.details.nextPeriod.id, 'upcoming');
+  });
+});
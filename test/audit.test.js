@@ -0,0 +1,71 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+import { diffObjects } from '../services/auditService.js';
+
+describe('diffObjects', () => {
+  it('lists changed fields by dotted path and skips bookkeeping fields', () => {
+    const before = { name: 'Old', contact: { email: 'a@example.com', phone: '1' }, updatedAt: new Date(0) };
+    const after = { name: 'New', contact: { email: 'a@example.com' }, updatedAt: new Date() };
+
+    assert.deepEqual(diffObjects(before, after), {
+      name: { before: 'Old', after: 'New' },
+      'contact.phone': { before: '1', after: null }
+    });
+  });
+});
+
+describe('audit trail', () => {
+  let t;
+  let institutionId;
+
+  before(async () => {
+    t = await createTestApp({ app: { trustProxy: true } });
+    await t.addUser('admin', 'admin');
+    await t.addUser('s1', 'student');
+  });
+
+  after(() => t.close());
+
+  const auditLogs = (query = '', as = 'admin') => t.request('GET', `/admin/audit-logs${query}`, { as });
+
+  it('records who changed what, from where', async () => {
+    const headers = { 'x-forwarded-for': '10.1.2.3', 'user-agent': 'audit-test' };
+    institutionId = (await t.request('POST', '/institutions', { as: 'admin', headers, body: { name: 'Tech College' } })).body.institutionId;
+    await t.request('PUT', `/institutions/${institutionId}`, { as: 'admin', headers, body: { location: 'Maseru' } });
+
+    const entries = (await auditLogs()).body.items;
+    const update = entries.find(entry => entry.action === 'institution.update');
+
+    assert.deepEqual(entries.map(entry => entry.action).sort(), ['institution.create', 'institution.update']);
+    assert.equal(update.actorUid, 'admin');
+    assert.equal(update.actorRole, 'admin');
+    assert.equal(update.targetId, institutionId);
+    assert.equal(update.ip, '10.1.2.3');
+    assert.equal(update.userAgent, 'audit-test');
+    assert.deepEqual(update.changes, { location: { before: null, after: 'Maseru' } });
+  });
+
+  it('searches by actor, action, target and time', async () => {
+    const byAction = await auditLogs('?action=institution.update');
+    const byTarget = await auditLogs(`?targetId=${institutionId}&includeTotal=true`);
+    const future = await auditLogs(`?from=${new Date(Date.now() + 60000).toISOString()}`);
+    const byOther = await auditLogs('?actorUid=someone');
+
+    assert.equal(byAction.body.items.length, 1);
+    assert.equal(byTarget.body.total, 2);
+    assert.equal(future.body.items.length, 0);
+    assert.equal(byOther.body.items.length, 0);
+  });
+
+  it('exports the trail as CSV or JSON for admins only', async () => {
+    const csv = await t.request('GET', '/admin/audit-logs/export', { as: 'admin' });
+    const json = await t.request('GET', '/admin/audit-logs/export?format=json', { as: 'admin' });
+
+    assert.match(csv.headers.get('content-disposition'), /audit-log-.*\.csv/);
+    assert.equal(csv.body.split('\n')[0], 'id,timestamp,actorUid,actorRole,action,targetType,targetId,ip,changes');
+    assert.equal(csv.body.split('\n').length, 3);
+    assert.equal(json.body.length, 2);
+    assert.equal((await auditLogs('', 's1')).status, 403);
+  });
+});
@@ -0,0 +1,79 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+import { getCompanyStatus, migrateLegacyCompanyStatuses } from '../services/companyStatusService.js';
+
+describe('company status', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp({
+      seed: {
+        companies: {
+          acme: { name: 'Acme', adminId: 'owner', status: 'pending_review' }
+        }
+      }
+    });
+    await t.addUser('admin', 'admin');
+    await t.addUser('owner', 'company');
+  });
+
+  after(() => t.close());
+
+  const changeStatus = (status) =>
+    t.request('PUT', '/admin/companies/acme', { as: 'admin', body: { status, reason: 'Checked registration' } });
+
+  const postJob = () =>
+    t.request('POST', '/companies/jobs', { as: 'owner', body: { title: 'Developer', description: 'Build things' } });
+
+  it('maps missing and legacy statuses to pending review', () => {
+    assert.equal(getCompanyStatus({}), 'pending_review');
+    assert.equal(getCompanyStatus({ status: 'active' }), 'pending_review');
+    assert.equal(getCompanyStatus({ status: 'suspended' }), 'suspended');
+  });
+
+  it('only lets approved or reinstated companies post jobs', async () => {
+    const pending = await postJob();
+    assert.equal(pending.status, 403);
+    assert.equal(pending.body.code, 'COMPANY_NOT_APPROVED');
+
+    assert.equal((await changeStatus('approved')).status, 200);
+    assert.equal((await postJob()).status, 201);
+
+    assert.equal((await changeStatus('suspended')).status, 200);
+    assert.equal((await postJob()).status, 403);
+
+    assert.equal((await changeStatus('reinstated')).status, 200);
+    assert.equal((await postJob()).status, 201);
+  });
+
+  it('refuses transitions the lifecycle does not allow', async () => {
+    const response = await changeStatus('approved');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'INVALID_STATUS_TRANSITION');
+    assert.deepEqual(response.body.details, { currentStatus: 'reinstated', allowedTransitions: ['suspended'] });
+  });
+
+  it('records every change and tells the company', async () => {
+    const company = (await t.db.collection('companies').doc('acme').get()).data();
+    assert.deepEqual(company.statusHistory.map(entry => entry.to), ['approved', 'suspended', 'reinstated']);
+
+    const notifications = await t.db.collection('notifications').where('userId', '==', 'owner').get();
+    assert.equal(notifications.size, 3);
+  });
+
+  it('approves companies that predate approvals once', async () => {
+    await t.db.collection('companies').doc('old').set({ name: 'Old Co' });
+    await t.db.collection('companies').doc('legacy').set({ name: 'Legacy Co', status: 'active' });
+
+    assert.equal(await migrateLegacyCompanyStatuses(), 1);
+    await t.db.collection('companies').doc('new').set({ name: 'New Co' });
+    assert.equal(await migrateLegacyCompanyStatuses(), 0);
+
+    const statusOf = async (id) => getCompanyStatus((await t.db.collection('companies').doc(id).get()).data());
+    assert.equal(await statusOf('old'), 'approved');
+    assert.equal(await statusOf('legacy'), 'pending_review');
+    assert.equal(await statusOf('new'), 'pending_review');
+  });
+});
@@ -0,0 +1,116 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+
+describe('faculty and course management', () => {
+  let t;
+  let science;
+  let arts;
+  let courseId;
+
+  before(async () => {
+    t = await createTestApp({
+      seed: {
+        institutions: {
+          i1: { name: 'Tech College', adminId: 'inst' },
+          i2: { name: 'Other College', adminId: 'other' }
+        }
+      }
+    });
+    await t.addUser('inst', 'institution');
+    await t.addUser('other', 'institution');
+    await t.addUser('s1', 'student');
+  });
+
+  after(() => t.close());
+
+  const createCourse = (facultyId, fields = {}, as = 'inst') => t.request('POST', '/institution/courses', {
+    as,
+    body: {
+      name: 'Diploma in IT',
+      facultyId,
+      description: 'Two years of computing',
+      duration: 2,
+      fees: 12000,
+      intakeCapacity: 40,
+      requirements: 'LGCSE with a credit in Mathematics',
+      ...fields
+    }
+  });
+
+  it('creates faculties and refuses duplicate names', async () => {
+    science = (await t.request('POST', '/institution/faculties', { as: 'inst', body: { name: 'Science' } })).body.facultyId;
+    arts = (await t.request('POST', '/institution/faculties', { as: 'inst', body: { name: 'Arts' } })).body.facultyId;
+
+    const duplicate = await t.request('POST', '/institution/faculties', { as: 'inst', body: { name: ' science ' } });
+
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, 'DUPLICATE_FACULTY');
+  });
+
+  it('creates courses with their details in the admin\'s own faculties', async () => {
+    const response = await createCourse(science);
+    courseId = response.body.courseId;
+
+    assert.equal(response.status, 201);
+    const course = (await t.db.collection('courses').doc(courseId).get()).data();
+    assert.equal(course.institutionId, 'i1');
+    assert.equal(course.duration, '2');
+    assert.equal(course.intakeCapacity, 40);
+
+    assert.equal((await createCourse(science, {}, 'other')).body.code, 'FACULTY_NOT_AVAILABLE');
+    const invalid = await createCourse(science, { fees: -1, intakeCapacity: 0 });
+    assert.deepEqual(invalid.body.details.map(detail => detail.field).sort(), ['fees', 'intakeCapacity']);
+  });
+
+  it('reorders faculties and lists them in that order', async () => {
+    const reordered = await t.request('PUT', '/institution/faculties/order', { as: 'inst', body: { order: [arts, science] } });
+    const incomplete = await t.request('PUT', '/institution/faculties/order', { as: 'inst', body: { order: [arts] } });
+    const faculties = await t.request('GET', '/institution/faculties', { as: 'inst' });
+
+    assert.equal(reordered.status, 200);
+    assert.equal(incomplete.body.code, 'INVALID_ORDER');
+    assert.deepEqual(faculties.body.map(faculty => faculty.name), ['Arts', 'Science']);
+  });
+
+  it('only lets the institution\'s admin update its courses', async () => {
+    const update = (as) => t.request('PUT', `/institution/courses/${courseId}`, { as, body: { fees: 15000 } });
+
+    assert.equal((await update('other')).status, 404);
+    assert.equal((await update('inst')).status, 200);
+    assert.equal((await t.db.collection('courses').doc(courseId).get()).data().fees, 15000);
+  });
+
+  it('asks what to do with active courses and pending applications before deactivating a faculty', async () => {
+    await t.db.collection('applications').doc('a1').set({
+      studentId: 's1', institutionId: 'i1', courseId, status: 'pending', appliedAt: new Date()
+    });
+    const deactivate = (body) => t.request('POST', `/institution/faculties/${science}/deactivate`, { as: 'inst', body });
+
+    const unanswered = await deactivate({});
+    assert.equal(unanswered.status, 409);
+    assert.equal(unanswered.body.code, 'FACULTY_HAS_ACTIVE_COURSES');
+    assert.equal(unanswered.body.details.pendingApplications, 1);
+
+    const response = await deactivate({ courseAction: 'deactivate', applicationAction: 'reject' });
+    assert.equal(response.status, 200);
+    assert.equal((await t.db.collection('courses').doc(courseId).get()).data().isActive, false);
+    assert.equal((await t.db.collection('applications').doc('a1').get()).data().status, 'rejected');
+    assert.equal((await t.db.collection('faculties').doc(science).get()).data().isActive, false);
+  });
+
+  it('moves active courses to another faculty instead when asked', async () => {
+    const moving = (await createCourse(arts, { name: 'BA History' })).body.courseId;
+    const history = (await t.request('POST', '/institution/faculties', { as: 'inst', body: { name: 'Humanities' } })).body.facultyId;
+
+    const response = await t.request('POST', `/institution/faculties/${arts}/deactivate`, {
+      as: 'inst',
+      body: { courseAction: 'move', targetFacultyId: history }
+    });
+
+    assert.equal(response.status, 200);
+    const course = (await t.db.collection('courses').doc(moving).get()).data();
+    assert.equal(course.facultyId, history);
+    assert.equal(course.isActive, true);
+  });
+});
@@ -0,0 +1,59 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+
+describe('POST /auth/create-profile', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp();
+    await t.auth.createUser({ uid: 'u1', email: 'u1@example.com' });
+    await t.auth.createUser({ uid: 'u2', email: 'u2@example.com' });
+  });
+
+  after(() => t.close());
+
+  const createProfile = (uid, { as = uid, role = 'student' } = {}) => t.request('POST', '/auth/create-profile', {
+    as,
+    body: { uid, email: `${uid}@example.com`, role, profile: { firstName: 'Thabo', lastName: 'Mokoena' } }
+  });
+
+  it('creates the profile and sets the role claim for the signed-up account', async () => {
+    const response = await createProfile('u1');
+
+    assert.equal(response.status, 201);
+    assert.equal((await t.db.collection('users').doc('u1').get()).data().role, 'student');
+    assert.deepEqual((await t.auth.getUser('u1')).customClaims, { role: 'student' });
+  });
+
+  it('refuses to create a profile, or set a role, for another account', async () => {
+    const response = await createProfile('u2', { as: 'u1', role: 'company' });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'PROFILE_OWNER_MISMATCH');
+    assert.equal((await t.db.collection('users').doc('u2').get()).exists, false);
+    assert.deepEqual((await t.auth.getUser('u2')).customClaims, {});
+  });
+
+  it('needs a token', async () => {
+    const response = await t.request('POST', '/auth/create-profile', {
+      body: { uid: 'u2', email: 'u2@example.com', role: 'student', profile: { firstName: 'A', lastName: 'B' } }
+    });
+
+    assert.equal(response.status, 401);
+  });
+
+  it('never overwrites an existing profile, even when requests race', async () => {
+    const responses = await Promise.all([
+      createProfile('u2', { role: 'student' }),
+      createProfile('u2', { role: 'company' })
+    ]);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 409]);
+    assert.equal(responses.find(response => response.status === 409).body.code, 'PROFILE_EXISTS');
+    const winner = responses.find(response => response.status === 201).body.role;
+    assert.equal((await t.db.collection('users').doc('u2').get()).data().role, winner);
+    assert.equal((await createProfile('u1', { role: 'company' })).status, 409);
+    assert.deepEqual((await t.auth.getUser('u1')).customClaims, { role: 'student' });
+  });
+});
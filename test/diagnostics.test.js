@@ -0,0 +1,85 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTestApp } from './helpers.js';
+import { createLocalStorage, setStorage } from '../services/storageService.js';
+
+describe('diagnostics', () => {
+  let t;
+  let storageDir;
+
+  before(async () => {
+    storageDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'diagnostics-'));
+    setStorage(createLocalStorage(storageDir));
+
+    t = await createTestApp({ app: { allowedOrigins: ['https://careers.example.com'] } });
+    await t.addUser('admin', 'admin');
+    await t.addUser('thabo', 'student', { firstName: 'Thabo', phone: '555' });
+  });
+
+  after(async () => {
+    await t.close();
+    await fs.promises.rm(storageDir, { recursive: true, force: true });
+  });
+
+  it('is for admins only', async () => {
+    assert.equal((await t.request('GET', '/diagnostics/config')).status, 401);
+    assert.equal((await t.request('GET', '/diagnostics/config', { as: 'thabo' })).status, 403);
+    assert.equal((await t.request('GET', '/diagnostics/config', { as: 'admin' })).status, 200);
+  });
+
+  it('shows a redacted view of a user', async () => {
+    const response = await t.request('GET', '/diagnostics/users/thabo', { as: 'admin' });
+
+    assert.equal(response.body.firestore.email, 'th***@example.com');
+    assert.deepEqual(response.body.firestore.profileFields, ['firstName', 'phone']);
+    assert.equal(response.body.firestore.profile, undefined);
+    assert.equal(response.body.auth.roleClaim, 'student');
+    assert.equal(response.body.roleInSync, true);
+    assert.equal((await t.request('GET', '/diagnostics/users/nobody', { as: 'admin' })).status, 404);
+  });
+
+  it('checks each dependency', async () => {
+    const response = await t.request('GET', '/diagnostics/dependencies', { as: 'admin' });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.checks.map(check => [check.name, check.status]), [
+      ['firestore', 'ok'], ['auth', 'ok'], ['storage', 'ok'], ['email', 'ok']
+    ]);
+  });
+
+  it('reports secrets as set or unset and checks CORS origins', async () => {
+    const config = await t.request('GET', '/diagnostics/config', { as: 'admin' });
+    const cors = await t.request('GET', '/diagnostics/cors', { as: 'admin', headers: { origin: 'https://careers.example.com' } });
+    const blocked = await t.request('GET', '/diagnostics/cors', { as: 'admin', headers: { origin: 'https://evil.example.com' } });
+
+    assert.ok(['set', 'unset'].includes(config.body.secrets.SMTP_PASS));
+    assert.deepEqual(config.body.allowedOrigins, ['https://careers.example.com']);
+    assert.equal(cors.body.allowed, true);
+    assert.equal(blocked.body.code, 'CORS_ORIGIN_NOT_ALLOWED');
+  });
+});
+
+describe('diagnostics switched off', () => {
+  let t;
+
+  before(async () => {
+    process.env.DIAGNOSTICS_ENABLED = 'false';
+    t = await createTestApp();
+    await t.addUser('admin', 'admin');
+  });
+
+  after(async () => {
+    delete process.env.DIAGNOSTICS_ENABLED;
+    await t.close();
+  });
+
+  it('is not mounted, and the public health check stays minimal', async () => {
+    const response = await t.request('GET', '/diagnostics/config', { as: 'admin' });
+
+    assert.equal(response.body.code, 'ROUTE_NOT_FOUND');
+    assert.deepEqual((await t.request('GET', '/health')).body, { status: 'OK' });
+  });
+});
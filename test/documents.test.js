@@ -0,0 +1,90 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTestApp } from './helpers.js';
+import { createLocalStorage, setStorage } from '../services/storageService.js';
+
+describe('application documents', () => {
+  let t;
+  let storageDir;
+  let resultsSlip;
+  let spare;
+
+  before(async () => {
+    storageDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'documents-'));
+    setStorage(createLocalStorage(storageDir));
+
+    t = await createTestApp({
+      seed: {
+        institutions: { i1: { name: 'Tech College', adminId: 'inst' }, i2: { name: 'Other', adminId: 'other' } },
+        courses: { c1: { name: 'Diploma in IT', institutionId: 'i1', requiredDocuments: ['national_id', 'results_slip'] } },
+        applications: { a1: { studentId: 's1', institutionId: 'i1', courseId: 'c1', status: 'pending', documents: [] } }
+      }
+    });
+    await t.addUser('s1', 'student');
+    await t.addUser('inst', 'institution');
+    await t.addUser('other', 'institution');
+  });
+
+  after(async () => {
+    await t.close();
+    await fs.promises.rm(storageDir, { recursive: true, force: true });
+  });
+
+  const upload = async (type, title) => {
+    const form = new FormData();
+    form.append('type', type);
+    form.append('title', title);
+    form.append('file', new Blob(['%PDF'], { type: 'application/pdf' }), `${type}.pdf`);
+    return t.request('POST', '/students/documents', { as: 's1', form });
+  };
+
+  const review = (body, as = 'inst') =>
+    t.request('PUT', `/institution/applications/a1/documents/${resultsSlip}`, { as, body });
+
+  it('uploads typed documents once and lists them', async () => {
+    resultsSlip = (await upload('results_slip', 'LGCSE results')).body.documentId;
+    spare = (await upload('certificate', 'First aid')).body.documentId;
+
+    const documents = await t.request('GET', '/students/documents', { as: 's1' });
+    assert.deepEqual(documents.body.map(document => document.type).sort(), ['certificate', 'results_slip']);
+    assert.equal((await upload('passport_photo', 'Me')).status, 400);
+  });
+
+  it('attaches documents and lists the required ones still missing', async () => {
+    const response = await t.request('PUT', '/students/applications/a1/documents', {
+      as: 's1',
+      body: { documentIds: [resultsSlip] }
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.missingDocuments, ['national_id']);
+    assert.equal(response.body.documents[0].review.status, 'pending');
+  });
+
+  it('lets the institution verify or reject each document with a reason', async () => {
+    assert.equal((await review({ status: 'rejected' })).status, 400);
+    assert.equal((await review({ status: 'verified' }, 'other')).status, 403);
+
+    const rejected = await review({ status: 'rejected', reason: 'Unreadable scan' });
+    assert.deepEqual(rejected.body.missingDocuments, ['national_id', 'results_slip']);
+    assert.equal(rejected.body.documents[0].review.reason, 'Unreadable scan');
+
+    const notifications = await t.db.collection('notifications').where('userId', '==', 's1').get();
+    assert.match(notifications.docs[0].data().message, /LGCSE results.*Unreadable scan/);
+
+    const verified = await review({ status: 'verified' });
+    assert.deepEqual(verified.body.missingDocuments, ['national_id']);
+  });
+
+  it('only deletes documents that are not attached to an application', async () => {
+    const attached = await t.request('DELETE', `/students/documents/${resultsSlip}`, { as: 's1' });
+    const unattached = await t.request('DELETE', `/students/documents/${spare}`, { as: 's1' });
+
+    assert.equal(attached.body.code, 'DOCUMENT_IN_USE');
+    assert.equal(unattached.status, 200);
+    assert.equal((await t.db.collection('documents').doc(spare).get()).exists, false);
+  });
+});
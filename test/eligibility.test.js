@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateAggregate,
+  checkEligibility,
+  gradeToPoints,
+  validateGrades,
+  validateRequirements
+} from '../services/eligibilityService.js';
+
+const transcript = {
+  grades: [
+    { subject: 'Mathematics', grade: 'B' },
+    { subject: 'English', grade: 'C' },
+    { subject: 'Physics', grade: 65 },
+    { subject: 'Biology', grade: 'D' },
+    { subject: 'Sesotho', grade: 'A' }
+  ]
+};
+
+describe('gradeToPoints', () => {
+  it('reads symbols and percentages', () => {
+    assert.equal(gradeToPoints('a*'), 8);
+    assert.equal(gradeToPoints('C'), 5);
+    assert.equal(gradeToPoints(85), 7);
+    assert.equal(gradeToPoints('10'), 0);
+    assert.equal(gradeToPoints('Z'), null);
+    assert.equal(gradeToPoints(''), null);
+  });
+});
+
+describe('calculateAggregate', () => {
+  it('adds the best N subjects', () => {
+    assert.equal(calculateAggregate(transcript.grades, 2), 13);
+    assert.equal(calculateAggregate(transcript.grades), 27);
+  });
+});
+
+describe('checkEligibility', () => {
+  it('treats free-text requirements as guidance only', () => {
+    const result = checkEligibility('A pass in Mathematics', transcript);
+    assert.equal(result.eligible, true);
+    assert.equal(result.structured, false);
+    assert.equal(result.notes, 'A pass in Mathematics');
+  });
+
+  it('asks for a transcript when the course has structured requirements', () => {
+    const result = checkEligibility({ subjects: [{ subject: 'Mathematics', minimumGrade: 'C' }] }, null);
+    assert.equal(result.eligible, false);
+    assert.equal(result.checks[0].requirement, 'transcript');
+  });
+
+  it('checks minimum subject grades, ignoring case in subject names', () => {
+    const met = checkEligibility({ subjects: [{ subject: 'mathematics', minimumGrade: 'C' }] }, transcript);
+    const unmet = checkEligibility({ subjects: [{ subject: 'English', minimumGrade: 'B' }] }, transcript);
+    const missing = checkEligibility({ subjects: [{ subject: 'Chemistry', minimumGrade: 'E' }] }, transcript);
+
+    assert.equal(met.eligible, true);
+    assert.equal(unmet.eligible, false);
+    assert.match(unmet.checks[0].message, /English requires at least B, you have C/);
+    assert.equal(missing.eligible, false);
+    assert.match(missing.checks[0].message, /not on your transcript/);
+  });
+
+  it('accepts any one of the alternative subject combinations', () => {
+    const requirements = {
+      alternatives: [
+        [{ subject: 'Chemistry', minimumGrade: 'C' }],
+        [{ subject: 'Physics', minimumGrade: 'C' }, { subject: 'Biology', minimumGrade: 'D' }]
+      ]
+    };
+
+    const result = checkEligibility(requirements, transcript);
+
+    assert.equal(result.eligible, true);
+    assert.match(result.checks[0].message, /Physics \(C\), Biology \(D\)/);
+    assert.equal(checkEligibility({ alternatives: [requirements.alternatives[0]] }, transcript).eligible, false);
+  });
+
+  it('compares the aggregate of the best subjects with the minimum', () => {
+    assert.equal(checkEligibility({ minimumAggregate: 13, aggregateSubjectCount: 2 }, transcript).eligible, true);
+    assert.equal(checkEligibility({ minimumAggregate: 14, aggregateSubjectCount: 2 }, transcript).eligible, false);
+  });
+
+  it('is eligible only when every requirement is met', () => {
+    const result = checkEligibility({
+      subjects: [{ subject: 'Mathematics', minimumGrade: 'C' }],
+      minimumAggregate: 40
+    }, transcript);
+
+    assert.equal(result.eligible, false);
+    assert.deepEqual(result.checks.map(check => check.met), [true, false]);
+  });
+});
+
+describe('validateRequirements', () => {
+  it('reports unknown keys and bad subject rules', () => {
+    const errors = validateRequirements({ subjects: [{ subject: 'Maths', minimumGrade: 'Q' }], grade: 'A' });
+    assert.equal(errors.length, 2);
+    assert.match(errors.join('\n'), /Unknown requirement: grade/);
+    assert.match(errors.join('\n'), /minimumGrade must be one of/);
+  });
+
+  it('accepts free text and valid structures', () => {
+    assert.deepEqual(validateRequirements('Passes in five subjects'), []);
+    assert.deepEqual(validateRequirements({ alternatives: [[{ subject: 'Physics', minimumGrade: 60 }]], minimumAggregate: 20 }), []);
+  });
+});
+
+describe('validateGrades', () => {
+  it('rejects duplicate subjects and unknown grades', () => {
+    const errors = validateGrades([
+      { subject: 'Mathematics', grade: 'B' },
+      { subject: 'mathematics ', grade: 'C' },
+      { subject: 'English', grade: 'excellent' }
+    ]);
+    assert.equal(errors.length, 2);
+  });
+});
@@ -0,0 +1,99 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+import { deliverEmail, getTransport, sendTemplatedEmail, setTransport } from '../services/emailService.js';
+import { renderTemplate } from '../services/emailTemplates.js';
+
+describe('email templates', () => {
+  it('escapes values in the HTML body and keeps them as-is in the text body', () => {
+    const email = renderTemplate('notification', { subject: 'Hello', message: '<script>alert("x")</script>' });
+
+    assert.equal(email.subject, 'Hello');
+    assert.ok(email.html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;'));
+    assert.ok(!email.html.includes('<script>'));
+    assert.ok(email.text.includes('<script>alert("x")</script>'));
+  });
+
+  it('refuses unknown templates', () => {
+    assert.throws(() => renderTemplate('nope', {}), /Unknown email template/);
+  });
+});
+
+describe('email outbox', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp();
+    await t.auth.createUser({ uid: 'u1', email: 'u1@example.com' });
+  });
+
+  after(() => t.close());
+
+  const waitForOutbox = async (outboxId, statuses) => {
+    for (let i = 0; i < 50; i++) {
+      const email = (await t.db.collection('emailOutbox').doc(outboxId).get()).data();
+      if (statuses.includes(email.status)) return email;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Email was not delivered');
+  };
+
+  it('sends the verification link on resend-verification', async () => {
+    const response = await t.request('POST', '/auth/resend-verification', { body: { email: 'u1@example.com' } });
+    const unknown = await t.request('POST', '/auth/resend-verification', { body: { email: 'nobody@example.com' } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.verificationLink, undefined);
+    assert.deepEqual(unknown.body, { ...response.body, email: 'nobody@example.com' });
+
+    const [outboxDoc] = (await t.db.collection('emailOutbox').where('to', '==', 'u1@example.com').get()).docs;
+    const email = await waitForOutbox(outboxDoc.id, ['sent']);
+    assert.equal(email.template, 'verification');
+    assert.equal(email.transport, 'test');
+    assert.equal(t.sent.length, 1);
+    assert.match(t.sent[0].text, /http:\/\/localhost\/verify-email\?uid=u1/);
+    assert.equal((await t.db.collection('emailOutbox').where('to', '==', 'nobody@example.com').get()).size, 0);
+  });
+
+  it('records failed deliveries so they can be retried', async () => {
+    const mailer = getTransport();
+    setTransport({ name: 'broken', send: async () => { throw new Error('SMTP down'); } });
+
+    try {
+      const outboxId = await sendTemplatedEmail('notification', 'u1@example.com', { subject: 'Hi', message: 'Hello' });
+      const email = await waitForOutbox(outboxId, ['retrying', 'failed']);
+
+      assert.equal(email.lastError, 'SMTP down');
+      assert.equal(email.attempts, 1);
+
+      setTransport(mailer);
+      await deliverEmail({ outboxId }, { attempt: 2, maxAttempts: 3 });
+      assert.equal((await waitForOutbox(outboxId, ['sent'])).attempts, 2);
+    } finally {
+      setTransport(mailer);
+    }
+  });
+});
+
+describe('email transport selection', () => {
+  const env = { ...process.env };
+
+  after(() => {
+    process.env = env;
+    setTransport(undefined);
+  });
+
+  it('requires EMAIL_TRANSPORT in production', () => {
+    setTransport(undefined);
+    process.env = { ...env, NODE_ENV: 'production', EMAIL_TRANSPORT: '' };
+
+    assert.throws(() => getTransport(), /EMAIL_TRANSPORT is not set/);
+  });
+
+  it('falls back to the console transport elsewhere', () => {
+    setTransport(undefined);
+    process.env = { ...env, NODE_ENV: 'development', EMAIL_TRANSPORT: '' };
+
+    assert.equal(getTransport().name, 'console');
+  });
+});
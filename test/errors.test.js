@@ -0,0 +1,93 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createTestApp } from './helpers.js';
+import { AppError, ConflictError, toAppError } from '../errors.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+describe('toAppError', () => {
+  it('keeps AppErrors as they are', () => {
+    const error = new ConflictError('Taken', 'NAME_TAKEN');
+
+    assert.equal(toAppError(error), error);
+  });
+
+  it('maps Firebase Auth and Firestore codes to stable codes', () => {
+    const revoked = toAppError(Object.assign(new Error('revoked'), { code: 'auth/id-token-revoked' }));
+    const contention = toAppError(Object.assign(new Error('aborted'), { code: 10 }));
+
+    assert.deepEqual([revoked.status, revoked.code], [401, 'SESSION_REVOKED']);
+    assert.deepEqual([contention.status, contention.code], [409, 'CONCURRENT_UPDATE']);
+  });
+
+  it('turns anything else into a 500 that keeps the original as its cause', () => {
+    const cause = Object.assign(new Error('permission denied'), { code: 7 });
+    const error = toAppError(cause);
+
+    assert.ok(error instanceof AppError);
+    assert.deepEqual([error.status, error.code, error.message], [500, 'INTERNAL_ERROR', 'Internal server error']);
+    assert.equal(error.cause, cause);
+  });
+});
+
+describe('errorHandler', () => {
+  const env = process.env.NODE_ENV;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.get('/boom', () => {
+      throw new Error('database password is hunter2');
+    });
+    app.use(errorHandler);
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    process.env.NODE_ENV = env;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  const boom = async () => (await fetch(`${baseUrl}/boom`)).json();
+
+  it('includes the underlying error outside production', async () => {
+    process.env.NODE_ENV = 'development';
+
+    const body = await boom();
+
+    assert.equal(body.code, 'INTERNAL_ERROR');
+    assert.equal(body.debug.message, 'database password is hunter2');
+  });
+
+  it('hides it in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    assert.deepEqual(await boom(), { error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  });
+});
+
+describe('error responses', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp();
+  });
+
+  after(() => t.close());
+
+  it('reports unreadable bodies and bad tokens with stable codes', async () => {
+    // express.json() only accepts objects and arrays
+    const badJson = await t.request('POST', '/auth/resend-verification', { body: 'not an object' });
+    const badToken = await t.request('GET', '/notifications', { headers: { authorization: 'Bearer nonsense' } });
+
+    assert.equal(badJson.status, 400);
+    assert.equal(badJson.body.code, 'INVALID_JSON');
+    assert.equal(badToken.status, 401);
+    assert.equal(badToken.body.code, 'INVALID_TOKEN');
+    assert.ok(badToken.body.requestId);
+  });
+});
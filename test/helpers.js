@@ -0,0 +1,48 @@
+import { createApp } from '../app.js';
+import { configureLogger } from '../logger.js';
+import { createMemoryAuth } from '../repositories/memoryAuth.js';
+import { createMemoryFirestore } from '../repositories/memoryFirestore.js';
+import { createMemoryRateLimitStore } from '../services/rateLimitService.js';
+
+configureLogger({ level: 'silent' });
+
+// App wired to the in-memory database, Auth and rate limit store, with a mailer that
+// keeps sent messages. request() signs in as `as` (a uid added with addUser) and sends
+// `body` as JSON or `form` (a FormData) as multipart.
+export const createTestApp = async (options = {}) => {
+  const db = createMemoryFirestore(options.seed);
+  const auth = createMemoryAuth();
+  const sent = [];
+  const mailer = { name: 'test', send: async (message) => { sent.push(message); return { messageId: String(sent.length) }; } };
+
+  const app = createApp({ db, auth, mailer, rateLimitStore: createMemoryRateLimitStore(), ...options.app });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const addUser = async (uid, role, profile = {}) => {
+    await auth.createUser({ uid, email: `${uid}@example.com`, emailVerified: true });
+    await auth.setCustomUserClaims(uid, { role });
+    await db.collection('users').doc(uid).set({ role, email: `${uid}@example.com`, profile, createdAt: new Date() });
+  };
+
+  const request = async (method, path, { as, body, form, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'content-type': 'application/json' }),
+        ...(as && { authorization: `Bearer ${auth.createIdToken(as)}` }),
+        ...headers
+      },
+      body: form ?? (body === undefined ? undefined : JSON.stringify(body))
+    });
+    const text = await response.text();
+    const json = response.headers.get('content-type')?.includes('application/json');
+    return { status: response.status, headers: response.headers, body: json ? JSON.parse(text) : text || null };
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { app, db, auth, sent, addUser, request, close };
+};
@@ -0,0 +1,90 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+
+describe('student job applications', () => {
+  let t;
+  const day = 24 * 60 * 60 * 1000;
+
+  before(async () => {
+    const job = (title, fields = {}) => ({
+      title,
+      description: `${title} role`,
+      companyId: 'acme',
+      companyName: 'Acme',
+      isActive: true,
+      postedAt: new Date(),
+      ...fields
+    });
+
+    t = await createTestApp({
+      seed: {
+        companies: {
+          acme: { name: 'Acme', adminId: 'owner', status: 'approved' },
+          shady: { name: 'Shady', adminId: 'shady', status: 'suspended' }
+        },
+        jobs: {
+          developer: job('Developer', { postedAt: new Date(Date.now() - day) }),
+          tester: job('Tester', { deadline: new Date(Date.now() + day) }),
+          closed: job('Closed', { isActive: false }),
+          expired: job('Expired', { deadline: new Date(Date.now() - day) }),
+          hidden: job('Hidden', { companyId: 'shady', companyName: 'Shady' })
+        },
+        documents: { d1: { studentId: 's1', type: 'cv', title: 'CV' } }
+      }
+    });
+    await t.addUser('owner', 'company');
+    await t.addUser('s1', 'student');
+    await t.addUser('s2', 'student');
+  });
+
+  after(() => t.close());
+
+  const apply = (jobId, body = {}, as = 's1') => t.request('POST', `/students/jobs/${jobId}/apply`, { as, body });
+
+  it('lists open jobs of approved companies, newest first', async () => {
+    const all = await t.request('GET', '/students/jobs', { as: 's1' });
+    const searched = await t.request('GET', '/students/jobs?search=test', { as: 's1' });
+
+    assert.deepEqual(all.body.map(job => job.id), ['tester', 'developer']);
+    assert.deepEqual(searched.body.map(job => job.id), ['tester']);
+    assert.equal((await t.request('GET', '/students/jobs/hidden', { as: 's1' })).status, 404);
+  });
+
+  it('applies with a cover letter and the student\'s own documents', async () => {
+    const unknown = await apply('developer', { documents: ['d1', 'someone-elses'] });
+    assert.equal(unknown.body.code, 'DOCUMENTS_NOT_FOUND');
+    assert.deepEqual(unknown.body.details.documentIds, ['someone-elses']);
+
+    const response = await apply('developer', { coverLetter: 'Hire me', documents: ['d1'] });
+    assert.equal(response.status, 201);
+
+    const application = (await t.db.collection('jobApplications').doc(response.body.applicationId).get()).data();
+    assert.equal(application.companyId, 'acme');
+    assert.equal(application.status, 'applied');
+    assert.deepEqual(application.documents, ['d1']);
+
+    const job = await t.request('GET', '/students/jobs/developer', { as: 's1' });
+    assert.equal(job.body.applicationId, response.body.applicationId);
+    assert.equal(job.body.applicationStatus, 'applied');
+  });
+
+  it('refuses duplicate, closed, expired and hidden jobs', async () => {
+    assert.equal((await apply('developer')).body.code, 'ALREADY_APPLIED');
+    assert.equal((await apply('closed')).body.code, 'JOB_CLOSED');
+    assert.equal((await apply('expired')).body.code, 'JOB_DEADLINE_PASSED');
+    assert.equal((await apply('hidden')).status, 404);
+  });
+
+  it('lists and withdraws the student\'s own applications', async () => {
+    const [application] = (await t.request('GET', '/students/job-applications', { as: 's1' })).body;
+    assert.equal(application.job.title, 'Developer');
+
+    const withdraw = (as) => t.request('POST', `/students/job-applications/${application.id}/withdraw`, { as });
+    assert.equal((await withdraw('s2')).status, 403);
+    assert.equal((await withdraw('s1')).status, 200);
+    assert.equal((await withdraw('s1')).body.code, 'ALREADY_WITHDRAWN');
+
+    assert.equal((await apply('developer')).status, 201);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateExperienceYears,
+  calculateMatchScore,
+  checkJobQualifications,
+  getJobCriteria,
+  getStudentCredentials,
+  textMatches,
+  validateJobRequirements
+} from '../services/jobMatchingService.js';
+
+const student = (profile = {}, transcript = null) => getStudentCredentials(profile, transcript);
+
+describe('textMatches', () => {
+  it('needs the held credential to contain the whole requirement', () => {
+    assert.equal(textMatches('Diploma', 'Diploma in Information Technology'), true);
+    assert.equal(textMatches('Diploma in Information Technology', 'Diploma'), false);
+    assert.equal(textMatches('sql', 'SQL'), true);
+    assert.equal(textMatches('SQL', 'PostgreSQL'), false);
+  });
+});
+
+describe('getJobCriteria', () => {
+  it('turns free-text requirements into credentials and a minimum experience', () => {
+    const criteria = getJobCriteria({ requirements: 'Diploma in IT, 2+ years of experience; SQL' });
+
+    assert.deepEqual(criteria.credentials, ['Diploma in IT', 'SQL']);
+    assert.equal(criteria.minimumExperienceYears, 2);
+  });
+
+  it('reads structured requirements', () => {
+    const criteria = getJobCriteria({
+      qualifications: 'BSc Computer Science, Diploma in IT',
+      requirements: { skills: ['JavaScript'], minimumExperienceYears: 1 }
+    });
+
+    assert.deepEqual(criteria.qualifications, ['BSc Computer Science', 'Diploma in IT']);
+    assert.deepEqual(criteria.skills, ['JavaScript']);
+    assert.deepEqual(criteria.credentials, []);
+    assert.equal(criteria.minimumExperienceYears, 1);
+  });
+});
+
+describe('checkJobQualifications', () => {
+  it('requires every free-text requirement', () => {
+    const job = { requirements: 'Diploma in IT, 2 years experience' };
+
+    assert.equal(checkJobQualifications(student(), job).qualified, false);
+    assert.equal(checkJobQualifications(student({ qualifications: ['Diploma'] }), job).qualified, false);
+    assert.equal(checkJobQualifications(student({
+      qualifications: ['Diploma in IT'],
+      workExperience: [{ years: 2 }]
+    }), job).qualified, true);
+  });
+
+  it('accepts any one listed qualification but needs every listed skill', () => {
+    const job = { qualifications: ['BSc Computer Science', 'Diploma in IT'], requirements: { skills: ['JavaScript', 'SQL'] } };
+
+    const partial = checkJobQualifications(student({ qualifications: ['Diploma in IT'], skills: ['JavaScript'] }), job);
+    const full = checkJobQualifications(student({ qualifications: ['Diploma in IT'], skills: 'JavaScript, SQL' }), job);
+
+    assert.equal(partial.qualified, false);
+    assert.deepEqual(partial.reasons.find(reason => reason.criterion === 'skills').missing, ['SQL']);
+    assert.equal(full.qualified, true);
+  });
+
+  it('ignores qualifications still in progress', () => {
+    const job = { qualifications: 'Diploma in IT' };
+    const profile = { qualifications: [{ name: 'Diploma in IT', status: 'in_progress' }] };
+
+    assert.equal(checkJobQualifications(student(profile), job).qualified, false);
+  });
+
+  it('checks subject grades and the academic average from the transcript', () => {
+    const job = { requirements: { subjects: [{ subject: 'Mathematics', minimumGrade: 'C' }], minimumAveragePoints: 5 } };
+    const transcript = { grades: [{ subject: 'Mathematics', grade: 'B' }], averagePoints: 5.5 };
+
+    assert.equal(checkJobQualifications(student({}, transcript), job).qualified, true);
+    assert.equal(checkJobQualifications(student({}, { ...transcript, averagePoints: 4 }), job).qualified, false);
+    assert.equal(checkJobQualifications(student(), job).qualified, false);
+  });
+
+  it('qualifies everyone for a job without requirements', () => {
+    const result = checkJobQualifications(student(), { title: 'Intern' });
+    assert.equal(result.qualified, true);
+    assert.equal(result.reasons[0].criterion, 'general');
+  });
+});
+
+describe('calculateExperienceYears', () => {
+  it('adds explicit years and date ranges', () => {
+    const years = calculateExperienceYears([
+      { years: 1 },
+      { startDate: '2020-01-01', endDate: '2022-01-01' },
+      { startDate: '2023-01-01', endDate: '2022-01-01' }
+    ]);
+    assert.equal(years, 3);
+  });
+});
+
+describe('calculateMatchScore', () => {
+  const job = {
+    qualifications: 'Diploma in IT',
+    requirements: { skills: ['JavaScript', 'SQL'], certificates: ['AWS Cloud Practitioner'], minimumExperienceYears: 2 }
+  };
+  const strong = student(
+    {
+      qualifications: ['Diploma in IT'],
+      skills: ['JavaScript', 'SQL'],
+      certificates: ['AWS Cloud Practitioner'],
+      workExperience: [{ years: 2 }]
+    },
+    { grades: [], averagePoints: 8 }
+  );
+
+  it('scores a student meeting every criterion at 100', () => {
+    const result = calculateMatchScore(strong, job);
+    assert.equal(result.score, 100);
+    assert.ok(result.breakdown.every(item => item.score === 1));
+  });
+
+  it('weights each criterion', () => {
+    const weak = student({ qualifications: ['Diploma in IT'] });
+
+    const result = calculateMatchScore(weak, job);
+    assert.equal(result.score, 25);
+
+    const qualificationsOnly = calculateMatchScore(weak, job, {
+      academics: 0, qualifications: 1, experience: 0, skills: 0, certificates: 0
+    });
+    assert.equal(qualificationsOnly.score, 100);
+  });
+
+  it('gives partial credit for part of the free-text requirements', () => {
+    const result = calculateMatchScore(student({ skills: ['SQL'] }), { requirements: 'Diploma in IT, SQL' });
+    assert.equal(result.breakdown.find(item => item.criterion === 'qualifications').score, 0.5);
+  });
+});
+
+describe('validateJobRequirements', () => {
+  it('accepts free text and known structured fields', () => {
+    assert.deepEqual(validateJobRequirements('Diploma in IT'), []);
+    assert.deepEqual(validateJobRequirements({ skills: 'SQL', minimumExperienceYears: 1 }), []);
+  });
+
+  it('rejects unknown fields and bad values', () => {
+    const errors = validateJobRequirements({ skills: [1], minimumExperienceYears: -1, salary: 10 });
+    assert.equal(errors.length, 3);
+  });
+});
@@ -0,0 +1,85 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+import { resumeJobNotifications } from '../services/jobNotificationService.js';
+
+describe('job-posted notifications', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp({
+      seed: {
+        companies: { acme: { name: 'Acme', adminId: 'owner', status: 'approved' } }
+      }
+    });
+    await t.addUser('owner', 'company');
+    await t.addUser('s1', 'student', { firstName: 'Thabo', skills: ['JavaScript'] });
+    await t.addUser('s2', 'student', { firstName: 'Lerato', skills: ['Accounting'] });
+  });
+
+  after(() => t.close());
+
+  const waitForFanout = async (jobId) => {
+    for (let i = 0; i < 50; i++) {
+      const response = await t.request('GET', `/companies/jobs/${jobId}/notifications`, { as: 'owner' });
+      if (response.body.status === 'completed') return response.body;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Fan-out did not complete');
+  };
+
+  const notificationsFor = async (userId) =>
+    (await t.db.collection('notifications').where('userId', '==', userId).where('type', '==', 'job').get()).docs;
+
+  it('notifies qualified students in the background and reports progress', async () => {
+    const posted = await t.request('POST', '/companies/jobs', {
+      as: 'owner',
+      body: { title: 'Developer', description: 'Build things', requirements: { skills: ['JavaScript'] } }
+    });
+    assert.equal(posted.status, 201);
+
+    const progress = await waitForFanout(posted.body.jobId);
+
+    assert.equal(progress.processed, 2);
+    assert.equal(progress.notified, 1);
+    assert.equal(progress.cursor, undefined);
+    assert.equal((await notificationsFor('s1')).length, 1);
+    assert.equal((await notificationsFor('s2')).length, 0);
+  });
+
+  it('keeps fan-out progress out of job listings', async () => {
+    const companyJobs = await t.request('GET', '/companies/jobs', { as: 'owner' });
+    const studentJobs = await t.request('GET', '/students/jobs', { as: 's1' });
+    const job = await t.request('GET', `/students/jobs/${companyJobs.body.items[0].id}`, { as: 's1' });
+
+    assert.equal(companyJobs.body.items.length, 1);
+    for (const item of [...companyJobs.body.items, ...studentJobs.body, job.body]) {
+      assert.equal(item.notificationFanout, undefined);
+      assert.equal(item.cursor, undefined);
+    }
+  });
+
+  it('resumes unfinished fan-outs after the last committed student', async () => {
+    await t.db.collection('jobs').doc('j2').set({
+      title: 'Tester',
+      companyId: 'acme',
+      companyName: 'Acme',
+      requirements: { skills: ['JavaScript'] },
+      isActive: true
+    });
+    await t.db.collection('jobNotificationFanouts').doc('j2').set({
+      jobId: 'j2',
+      status: 'running',
+      processed: 1,
+      notified: 0,
+      cursor: 's1',
+      attempts: 1
+    });
+
+    assert.equal(await resumeJobNotifications(), 1);
+    const progress = await waitForFanout('j2');
+
+    assert.equal(progress.processed, 2);
+    assert.equal((await notificationsFor('s1')).filter(doc => doc.data().jobId === 'j2').length, 0);
+  });
+});
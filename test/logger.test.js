@@ -0,0 +1,77 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_REDACTION_RULES, configureLogger, logger, redact, runWithLogContext } from '../logger.js';
+
+describe('redact', () => {
+  it('hides credentials and masks emails and phone numbers by field name', () => {
+    assert.deepEqual(redact({
+      idToken: 'abc',
+      password: 'hunter2',
+      headers: { Authorization: 'Bearer abc' },
+      email: 'thabo@example.com',
+      phoneNumber: '+266 5012 3456',
+      name: 'Thabo'
+    }), {
+      idToken: '[REDACTED]',
+      password: '[REDACTED]',
+      headers: { Authorization: '[REDACTED]' },
+      email: 't***@example.com',
+      phoneNumber: '***56',
+      name: 'Thabo'
+    });
+  });
+
+  it('masks emails, bearer tokens and JWTs inside text', () => {
+    const text = 'Sent to thabo@example.com with Bearer abc.def and eyJhbGciOi.eyJzdWIi.c2lnbmF0dXJl';
+    assert.equal(redact(text), 'Sent to t***@example.com with Bearer [REDACTED] and [REDACTED]');
+  });
+
+  it('serialises errors, dates and circular references', () => {
+    const error = Object.assign(new Error('Failed for thabo@example.com'), { code: 'E_FAIL' });
+    const value = { error, at: new Date('2026-01-01T00:00:00Z') };
+    value.self = value;
+
+    const result = redact(value);
+
+    assert.equal(result.error.message, 'Failed for t***@example.com');
+    assert.equal(result.error.code, 'E_FAIL');
+    assert.equal(result.at, '2026-01-01T00:00:00.000Z');
+    assert.equal(result.self, '[Circular]');
+  });
+});
+
+describe('logger', () => {
+  const lines = [];
+  configureLogger({ level: 'info', write: (level, line) => lines.push({ level, entry: JSON.parse(line) }) });
+
+  after(() => configureLogger({ level: 'silent' }));
+
+  it('writes one redacted JSON entry with the context fields', () => {
+    runWithLogContext({ requestId: 'req-1' }, () => {
+      logger.info('Verification sent to thabo@example.com', { email: 'thabo@example.com', verificationLink: 'https://x' });
+    });
+
+    const { level, entry } = lines.pop();
+    assert.equal(level, 'info');
+    assert.equal(entry.msg, 'Verification sent to t***@example.com');
+    assert.equal(entry.requestId, 'req-1');
+    assert.equal(entry.email, 't***@example.com');
+    assert.equal(entry.verificationLink, '[REDACTED]');
+  });
+
+  it('drops entries below the configured level', () => {
+    logger.debug('Not written');
+    assert.equal(lines.length, 0);
+  });
+
+  it('accepts extra redaction rules', () => {
+    configureLogger({
+      redactionRules: [...DEFAULT_REDACTION_RULES, { name: 'national-id', keys: /nationalId/, redact: () => '[REDACTED]' }]
+    });
+
+    logger.warn('Profile updated', { nationalId: '123456' });
+
+    assert.equal(lines.pop().entry.nationalId, '[REDACTED]');
+    configureLogger({ redactionRules: DEFAULT_REDACTION_RULES });
+  });
+});
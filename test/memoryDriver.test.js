@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import admin from 'firebase-admin';
+import { createMemoryAuth, encodeMemoryToken } from '../repositories/memoryAuth.js';
+import { createMemoryFirestore } from '../repositories/memoryFirestore.js';
+
+describe('in-memory Firestore', () => {
+  it('filters, orders, limits and pages queries', async () => {
+    const db = createMemoryFirestore({
+      jobs: {
+        a: { companyId: 'c1', salary: 300 },
+        b: { companyId: 'c1', salary: 100 },
+        c: { companyId: 'c2', salary: 200 },
+        d: { companyId: 'c1', salary: 200 },
+        e: { companyId: 'c1' }
+      }
+    });
+
+    const query = db.collection('jobs').where('companyId', '==', 'c1').orderBy('salary', 'desc');
+    const first = await query.limit(2).get();
+    const rest = await query.startAfter(first.docs[1]).get();
+
+    assert.deepEqual(first.docs.map(doc => doc.id), ['a', 'd']);
+    assert.deepEqual(rest.docs.map(doc => doc.id), ['b']);
+    assert.equal((await query.count().get()).data().count, 3);
+    assert.deepEqual((await db.collection('jobs').where('salary', 'in', [100, 300]).get()).docs.map(doc => doc.id), ['a', 'b']);
+  });
+
+  it('applies FieldValue transforms and nested field updates', async () => {
+    const db = createMemoryFirestore({ jobs: { a: { tags: ['x'], views: 1, fanout: { status: 'queued', processed: 0 } } } });
+
+    await db.collection('jobs').doc('a').update({
+      tags: admin.firestore.FieldValue.arrayUnion('x', 'y'),
+      views: admin.firestore.FieldValue.increment(2),
+      'fanout.status': 'running'
+    });
+
+    assert.deepEqual((await db.collection('jobs').doc('a').get()).data(), {
+      tags: ['x', 'y'],
+      views: 3,
+      fanout: { status: 'running', processed: 0 }
+    });
+  });
+
+  it('rejects undefined values and create() over an existing document, like Firestore', async () => {
+    const db = createMemoryFirestore({ users: { u1: { role: 'student' } } });
+
+    await assert.rejects(db.collection('users').doc('u2').set({ role: undefined }), /not a valid Firestore document/);
+    await assert.rejects(db.collection('users').doc('u1').update({ profile: { name: undefined } }), /not a valid Firestore document/);
+    await assert.rejects(db.collection('users').doc('u1').create({ role: 'admin' }), error => error.code === 6);
+    await assert.rejects(db.collection('users').doc('missing').update({ role: 'admin' }));
+    assert.throws(() => db.collection('users').where('role', '==', undefined));
+  });
+
+  it('hands out copies so callers cannot change stored data', async () => {
+    const db = createMemoryFirestore({ users: { u1: { profile: { name: 'Thabo' } } } });
+
+    const data = (await db.collection('users').doc('u1').get()).data();
+    data.profile.name = 'changed';
+
+    assert.equal((await db.collection('users').doc('u1').get()).data().profile.name, 'Thabo');
+  });
+
+  it('applies batches and transactions all at once', async () => {
+    const db = createMemoryFirestore({ counters: { a: { value: 1 } } });
+
+    const batch = db.batch();
+    batch.set(db.collection('counters').doc('b'), { value: 1 });
+    batch.delete(db.collection('counters').doc('a'));
+    await batch.commit();
+
+    await assert.rejects(db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(db.collection('counters').doc('b'));
+      transaction.update(snapshot.ref, { value: snapshot.data().value + 1 });
+      throw new Error('abort');
+    }), /abort/);
+
+    await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(db.collection('counters').doc('b'));
+      transaction.update(snapshot.ref, { value: snapshot.data().value + 1 });
+    });
+
+    assert.deepEqual(db.dump().counters, { b: { value: 2 } });
+  });
+});
+
+describe('in-memory Auth', () => {
+  it('verifies its own tokens and includes custom claims', async () => {
+    const auth = createMemoryAuth({ u1: { email: 'U1@Example.com', emailVerified: true, customClaims: { role: 'admin' } } });
+
+    const decoded = await auth.verifyIdToken(auth.createIdToken('u1'), true);
+
+    assert.equal(decoded.uid, 'u1');
+    assert.equal(decoded.role, 'admin');
+    assert.equal(decoded.email, 'u1@example.com');
+    await assert.rejects(auth.verifyIdToken('not-a-token'), error => error.code === 'auth/argument-error');
+  });
+
+  it('signs up unknown users the first time their token is used', async () => {
+    const auth = createMemoryAuth();
+
+    await auth.verifyIdToken(encodeMemoryToken({ uid: 'new', email: 'new@example.com', iat: Date.now() / 1000 }));
+
+    assert.equal((await auth.getUserByEmail('new@example.com')).uid, 'new');
+  });
+
+  it('refuses revoked tokens and disabled users when checking revocation', async () => {
+    const auth = createMemoryAuth({ u1: { email: 'u1@example.com' } });
+    const token = auth.createIdToken('u1');
+    // Tokens issued in the same millisecond as the revocation still pass
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    await auth.revokeRefreshTokens('u1');
+    await assert.rejects(auth.verifyIdToken(token, true), error => error.code === 'auth/id-token-revoked');
+    assert.equal((await auth.verifyIdToken(token)).uid, 'u1');
+    await auth.verifyIdToken(auth.createIdToken('u1'), true);
+
+    await auth.updateUser('u1', { disabled: true });
+    await assert.rejects(auth.verifyIdToken(auth.createIdToken('u1'), true), error => error.code === 'auth/user-disabled');
+  });
+
+  it('keeps emails unique', async () => {
+    const auth = createMemoryAuth({ u1: { email: 'u1@example.com' } });
+
+    await assert.rejects(auth.createUser({ email: 'U1@example.com' }), error => error.code === 'auth/email-already-exists');
+    await assert.rejects(auth.getUser('missing'), error => error.code === 'auth/user-not-found');
+  });
+});
@@ -0,0 +1,84 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+
+describe('notification center', () => {
+  let t;
+  const day = 24 * 60 * 60 * 1000;
+
+  before(async () => {
+    const notification = (userId, type, fields = {}) => ({
+      userId, type, title: type, message: type, read: false, createdAt: new Date(), ...fields
+    });
+
+    t = await createTestApp({
+      seed: {
+        notifications: {
+          n1: notification('s1', 'job', { createdAt: new Date(Date.now() - 2000) }),
+          n2: notification('s1', 'application', { createdAt: new Date(Date.now() - 1000) }),
+          n3: notification('s1', 'job'),
+          theirs: notification('inst', 'application'),
+          oldRead: notification('inst', 'job', { read: true, createdAt: new Date(Date.now() - 100 * day) }),
+          oldUnread: notification('inst', 'job', { createdAt: new Date(Date.now() - 100 * day) })
+        }
+      }
+    });
+    await t.addUser('s1', 'student');
+    await t.addUser('inst', 'institution');
+    await t.addUser('admin', 'admin');
+  });
+
+  after(() => t.close());
+
+  const unreadCount = async (as) => (await t.request('GET', '/notifications/unread-count', { as })).body.unread;
+
+  it('lists the user\'s own notifications, newest first and by type', async () => {
+    const all = await t.request('GET', '/notifications', { as: 's1' });
+    const jobs = await t.request('GET', '/notifications?type=job', { as: 's1' });
+    const institution = await t.request('GET', '/notifications', { as: 'inst' });
+
+    assert.deepEqual(all.body.items.map(item => item.id), ['n3', 'n2', 'n1']);
+    assert.deepEqual(jobs.body.items.map(item => item.id), ['n3', 'n1']);
+    assert.deepEqual(institution.body.items.map(item => item.id), ['theirs', 'oldUnread', 'oldRead']);
+    assert.equal(await unreadCount('s1'), 3);
+  });
+
+  it('marks one, several or all as read, but only the user\'s own', async () => {
+    assert.equal((await t.request('PUT', '/notifications/theirs/read', { as: 's1' })).status, 404);
+    assert.equal((await t.request('PUT', '/notifications/n1/read', { as: 's1' })).status, 200);
+
+    const several = await t.request('PUT', '/notifications/read', { as: 's1', body: { ids: ['n2', 'theirs'] } });
+    assert.equal(several.body.updated, 1);
+    assert.equal(await unreadCount('s1'), 1);
+
+    const unread = await t.request('GET', '/notifications?unread=true', { as: 's1' });
+    assert.deepEqual(unread.body.items.map(item => item.id), ['n3']);
+
+    await t.request('PUT', '/notifications/read-all', { as: 's1' });
+    assert.equal(await unreadCount('s1'), 0);
+    assert.equal(await unreadCount('inst'), 2);
+  });
+
+  it('deletes the user\'s own notifications', async () => {
+    assert.equal((await t.request('DELETE', '/notifications/theirs', { as: 's1' })).status, 404);
+    assert.equal((await t.request('DELETE', '/notifications/n1', { as: 's1' })).status, 200);
+
+    const several = await t.request('DELETE', '/notifications', { as: 's1', body: { ids: ['n2', 'n3', 'theirs'] } });
+
+    assert.equal(several.body.deleted, 2);
+    assert.equal((await t.request('GET', '/notifications', { as: 's1' })).body.items.length, 0);
+    assert.equal((await t.db.collection('notifications').doc('theirs').get()).exists, true);
+  });
+
+  it('lets admins purge old notifications, read ones only unless asked', async () => {
+    assert.equal((await t.request('DELETE', '/notifications/purge?olderThanDays=30', { as: 's1' })).status, 403);
+
+    const readOnly = await t.request('DELETE', '/notifications/purge?olderThanDays=30', { as: 'admin' });
+    assert.equal(readOnly.body.deleted, 1);
+    assert.equal((await t.db.collection('notifications').doc('oldRead').get()).exists, false);
+
+    const everything = await t.request('DELETE', '/notifications/purge?olderThanDays=30&readOnly=false', { as: 'admin' });
+    assert.equal(everything.body.deleted, 1);
+    assert.equal((await t.db.collection('notifications').doc('theirs').get()).exists, true);
+  });
+});
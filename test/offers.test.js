@@ -0,0 +1,93 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+import { promoteFromWaitlist, releaseExpiredOffers } from '../services/admissionService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('admission offers', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp();
+    await t.addUser('s1', 'student');
+  });
+
+  after(() => t.close());
+
+  beforeEach(async () => {
+    t.db.clear();
+    await t.db.collection('courses').doc('c1').set({ name: 'Diploma in IT', institutionId: 'i1' });
+    await t.db.collection('courses').doc('c2').set({ name: 'BSc Nursing', institutionId: 'i2' });
+    await t.db.collection('institutions').doc('i1').set({ name: 'Tech College', adminId: 'inst1' });
+    await t.db.collection('institutions').doc('i2').set({ name: 'Health College', adminId: 'inst2' });
+  });
+
+  const addApplication = (id, data) => t.db.collection('applications').doc(id).set({
+    institutionId: 'i1',
+    courseId: 'c1',
+    appliedAt: new Date(Date.now() - DAY),
+    ...data
+  });
+
+  const statusOf = async (id) => (await t.db.collection('applications').doc(id).get()).data().status;
+
+  it('accepting one offer releases the others and promotes from their waitlists', async () => {
+    await addApplication('offer1', { studentId: 's1', status: 'admitted', offerExpiresAt: new Date(Date.now() + DAY) });
+    await addApplication('offer2', {
+      studentId: 's1', institutionId: 'i2', courseId: 'c2', status: 'admitted', offerExpiresAt: new Date(Date.now() + DAY)
+    });
+    await addApplication('waiting', { studentId: 's2', institutionId: 'i2', courseId: 'c2', status: 'waitlisted' });
+
+    const response = await t.request('POST', '/students/offers/offer1/accept', { as: 's1' });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.releasedOffers, ['offer2']);
+    assert.equal(await statusOf('offer2'), 'released');
+    assert.equal(await statusOf('waiting'), 'admitted');
+
+    const second = await t.request('POST', '/students/offers/offer1/accept', { as: 's1' });
+    assert.equal(second.body.code, 'OFFER_ALREADY_ACCEPTED');
+  });
+
+  it('releases expired offers that were not accepted', async () => {
+    await addApplication('expired', { studentId: 's1', status: 'admitted', offerExpiresAt: new Date(Date.now() - 1000) });
+    await addApplication('accepted', {
+      studentId: 's2', status: 'admitted', offerExpiresAt: new Date(Date.now() - 1000), offerAcceptedAt: new Date()
+    });
+    await addApplication('open', { studentId: 's3', status: 'admitted', offerExpiresAt: new Date(Date.now() + DAY) });
+
+    assert.equal(await releaseExpiredOffers(), 1);
+
+    assert.equal(await statusOf('expired'), 'released');
+    assert.equal(await statusOf('accepted'), 'admitted');
+    assert.equal(await statusOf('open'), 'admitted');
+  });
+
+  it('promotes by waitlist rank, then by application date', async () => {
+    await addApplication('late', { studentId: 's2', status: 'waitlisted', appliedAt: new Date(Date.now() - DAY) });
+    await addApplication('early', { studentId: 's3', status: 'waitlisted', appliedAt: new Date(Date.now() - 2 * DAY) });
+    await addApplication('ranked', { studentId: 's4', status: 'waitlisted', waitlistRank: 1 });
+
+    assert.equal((await promoteFromWaitlist('c1', 'Diploma in IT')).id, 'ranked');
+    assert.equal((await promoteFromWaitlist('c1', 'Diploma in IT')).id, 'early');
+  });
+
+  it('skips waitlisted students who hold an offer and releases those who accepted one', async () => {
+    await addApplication('committed', { studentId: 's2', status: 'waitlisted', waitlistRank: 1 });
+    await addApplication('holding', { studentId: 's3', status: 'waitlisted', waitlistRank: 2 });
+    await addApplication('next', { studentId: 's4', status: 'waitlisted', waitlistRank: 3 });
+    await addApplication('s2-offer', { studentId: 's2', courseId: 'c2', status: 'admitted', offerAcceptedAt: new Date() });
+    await addApplication('s3-offer', { studentId: 's3', courseId: 'c2', status: 'admitted' });
+
+    const promoted = await promoteFromWaitlist('c1', 'Diploma in IT');
+
+    assert.equal(promoted.id, 'next');
+    assert.equal(await statusOf('committed'), 'released');
+    assert.equal(await statusOf('holding'), 'waitlisted');
+  });
+
+  it('returns null when nobody is waiting', async () => {
+    assert.equal(await promoteFromWaitlist('c1', 'Diploma in IT'), null);
+  });
+});
@@ -0,0 +1,110 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+import { paginateItems, sortItems, toOrderBy, toPage } from '../repositories/pagination.js';
+
+describe('pagination helpers', () => {
+  const items = [{ id: 'a', score: 2 }, { id: 'b' }, { id: 'c', score: 5 }, { id: 'd', score: 2 }];
+
+  it('reads sort parameters', () => {
+    assert.deepEqual(toOrderBy('-createdAt'), ['createdAt', 'desc']);
+    assert.deepEqual(toOrderBy('name'), ['name', 'asc']);
+  });
+
+  it('builds the envelope from one row more than the page size', () => {
+    assert.deepEqual(toPage(items.slice(0, 3), { limit: 2 }), {
+      items: items.slice(0, 2),
+      nextCursor: 'b',
+      hasMore: true,
+      total: null
+    });
+    assert.deepEqual(toPage(items.slice(0, 2), { limit: 2, total: 2 }).nextCursor, null);
+  });
+
+  it('sorts loaded items with missing values last and ties by id', () => {
+    assert.deepEqual(sortItems(items, '-score').map(item => item.id), ['c', 'a', 'd', 'b']);
+    assert.deepEqual(sortItems(items, 'score').map(item => item.id), ['a', 'd', 'c', 'b']);
+  });
+
+  it('pages loaded items by cursor', () => {
+    const first = paginateItems(items, { limit: 3 });
+    const second = paginateItems(items, { cursor: first.nextCursor, limit: 3 });
+
+    assert.deepEqual(first.items.map(item => item.id), ['a', 'b', 'c']);
+    assert.equal(first.total, 4);
+    assert.deepEqual(second, { items: [items[3]], nextCursor: null, hasMore: false, total: 4 });
+    assert.throws(() => paginateItems(items, { cursor: 'zz', limit: 3 }), error => error.code === 'INVALID_CURSOR');
+  });
+});
+
+describe('paginated routes', () => {
+  let t;
+
+  before(async () => {
+    const institutions = Object.fromEntries(['Alpha', 'Bravo', 'Charlie', 'Delta', 'Echo'].map((name, index) => [
+      `i${index}`,
+      { name, type: index % 2 ? 'college' : 'university', isActive: true, createdAt: new Date(2026, 0, index + 1) }
+    ]));
+    institutions.hidden = { name: 'Aardvark', isActive: false, createdAt: new Date() };
+
+    t = await createTestApp({
+      seed: {
+        institutions,
+        notifications: {
+          mine: { userId: 's1', title: 'Hello', read: false, createdAt: new Date() },
+          theirs: { userId: 's2', title: 'Hi', read: false, createdAt: new Date() }
+        }
+      }
+    });
+    await t.addUser('s1', 'student');
+  });
+
+  after(() => t.close());
+
+  it('pages through a list with the cursor from the previous page', async () => {
+    const names = [];
+    let cursor = null;
+    do {
+      const response = await t.request('GET', `/institutions?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+      assert.equal(response.status, 200);
+      assert.equal(response.body.total, null);
+      names.push(...response.body.items.map(item => item.name));
+      cursor = response.body.nextCursor;
+      assert.equal(response.body.hasMore, !!cursor);
+    } while (cursor);
+
+    assert.deepEqual(names, ['Alpha', 'Bravo', 'Charlie', 'Delta', 'Echo']);
+  });
+
+  it('filters, sorts and counts every match on request', async () => {
+    const response = await t.request('GET', '/institutions?type=university&sort=-createdAt&includeTotal=true');
+
+    assert.deepEqual(response.body.items.map(item => item.name), ['Echo', 'Charlie', 'Alpha']);
+    assert.equal(response.body.total, 3);
+  });
+
+  it('refuses cursors outside the filtered list', async () => {
+    const hidden = await t.request('GET', '/institutions?cursor=hidden');
+    const unknown = await t.request('GET', '/institutions?cursor=nope');
+    const someoneElses = await t.request('GET', '/notifications?cursor=theirs', { as: 's1' });
+
+    assert.equal(hidden.body.code, 'INVALID_CURSOR');
+    assert.equal(unknown.body.code, 'INVALID_CURSOR');
+    assert.equal(someoneElses.status, 400);
+    assert.equal(someoneElses.body.code, 'INVALID_CURSOR');
+  });
+
+  it('validates the page size and sort', async () => {
+    const response = await t.request('GET', '/institutions?limit=500&sort=location');
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details.map(detail => detail.field).sort(), ['limit', 'sort']);
+  });
+
+  it('uses the same envelope for notifications', async () => {
+    const response = await t.request('GET', '/notifications', { as: 's1' });
+
+    assert.deepEqual(Object.keys(response.body).sort(), ['hasMore', 'items', 'nextCursor', 'total']);
+    assert.deepEqual(response.body.items.map(item => item.id), ['mine']);
+  });
+});
@@ -0,0 +1,102 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../services/rateLimitService.js';
+
+describe('memory rate limit store', () => {
+  it('counts hits per key in fixed windows', async () => {
+    const store = createMemoryRateLimitStore();
+
+    const first = await store.increment('a', 1000);
+    const second = await store.increment('a', 1000);
+    const other = await store.increment('b', 1000);
+
+    assert.equal(first.count, 1);
+    assert.equal(second.count, 2);
+    assert.equal(second.resetAt.getTime(), first.resetAt.getTime());
+    assert.equal(other.count, 1);
+  });
+
+  it('starts a new window once the old one ends, and on reset', async () => {
+    const store = createMemoryRateLimitStore({ sweepIntervalMs: 0 });
+
+    await store.increment('a', 10);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal((await store.increment('a', 10)).count, 1);
+
+    await store.increment('a', 1000);
+    await store.reset('a');
+    assert.equal((await store.increment('a', 1000)).count, 1);
+  });
+});
+
+describe('rateLimit middleware', () => {
+  it('refuses unknown policies up front', () => {
+    assert.throws(() => rateLimit('nope'), /Unknown rate limit policy/);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    setRateLimitStore({ increment: async () => { throw new Error('store down'); } });
+    const middleware = rateLimit('login');
+
+    const error = await new Promise(resolve => middleware({ ip: '10.0.0.1', body: {} }, { setHeader() {} }, resolve));
+
+    assert.equal(error, undefined);
+  });
+});
+
+describe('rate limited routes', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp({ app: { trustProxy: true } });
+  });
+
+  after(() => t.close());
+
+  const resend = (email, ip) => t.request('POST', '/auth/resend-verification', {
+    body: { email },
+    headers: { 'x-forwarded-for': ip }
+  });
+
+  it('reports the limit in headers and answers 429 with Retry-After once it is used up', async () => {
+    const first = await resend('thabo@example.com', '10.0.0.1');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '3');
+    assert.equal(first.headers.get('ratelimit-remaining'), '2');
+
+    await resend('thabo@example.com', '10.0.0.1');
+    await resend('thabo@example.com', '10.0.0.1');
+    const limited = await resend('thabo@example.com', '10.0.0.1');
+
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.equal(limited.body.details.policy, 'resendVerification');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  });
+
+  it('counts per-email limits per client IP', async () => {
+    const elsewhere = await resend('thabo@example.com', '10.0.0.2');
+    assert.equal(elsewhere.status, 200);
+  });
+
+  it('caps one email across IPs', async () => {
+    const responses = [];
+    for (let i = 0; i < 11; i++) {
+      responses.push(await resend('lerato@example.com', `10.0.1.${i}`));
+    }
+
+    assert.deepEqual(responses.map(response => response.status), [...Array(10).fill(200), 429]);
+    assert.equal(responses[10].body.details.policy, 'resendVerification');
+  });
+
+  it('caps every email from one IP', async () => {
+    const responses = [];
+    for (let i = 0; i < 11; i++) {
+      responses.push(await resend(`student${i}@example.com`, '10.0.0.3'));
+    }
+
+    assert.deepEqual(responses.map(response => response.status), [...Array(10).fill(200), 429]);
+  });
+});
@@ -0,0 +1,60 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+
+describe('roles and ownership', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp({
+      seed: {
+        institutions: { i1: { name: 'Tech College' } },
+        courses: { c1: { name: 'Diploma in IT', institutionId: 'i1' } },
+        applications: { a1: { studentId: 's1', institutionId: 'i1', courseId: 'c1', status: 'pending', documents: [] } }
+      }
+    });
+    await t.addUser('s1', 'student');
+    await t.addUser('s2', 'student');
+  });
+
+  after(() => t.close());
+
+  it('takes the role from the token\'s custom claim', async () => {
+    await t.auth.createUser({ uid: 'claimOnly', email: 'claim@example.com' });
+    await t.auth.setCustomUserClaims('claimOnly', { role: 'admin' });
+
+    assert.equal((await t.request('GET', '/admin/stats', { as: 'claimOnly' })).status, 200);
+    assert.equal((await t.request('GET', '/admin/stats', { as: 's1' })).body.code, 'INSUFFICIENT_ROLE');
+  });
+
+  it('falls back to the user document for tokens without a role claim, and caches it', async () => {
+    await t.auth.createUser({ uid: 'legacy', email: 'legacy@example.com' });
+    await t.db.collection('users').doc('legacy').set({ role: 'admin', email: 'legacy@example.com' });
+
+    assert.equal((await t.request('GET', '/admin/stats', { as: 'legacy' })).status, 200);
+
+    await t.db.collection('users').doc('legacy').update({ role: 'student' });
+    assert.equal((await t.request('GET', '/admin/stats', { as: 'legacy' })).status, 200);
+  });
+
+  it('asks users without a profile to finish registering', async () => {
+    await t.auth.createUser({ uid: 'newcomer', email: 'new@example.com' });
+
+    const response = await t.request('GET', '/students/profile', { as: 'newcomer' });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'PROFILE_INCOMPLETE');
+  });
+
+  it('only lets the owner load a resource guarded by an ownership policy', async () => {
+    const owner = await t.request('GET', '/students/applications/a1', { as: 's1' });
+    const other = await t.request('GET', '/students/applications/a1', { as: 's2' });
+    const missing = await t.request('GET', '/students/applications/nope', { as: 's1' });
+
+    assert.equal(owner.status, 200);
+    assert.equal(owner.body.course.name, 'Diploma in IT');
+    assert.equal(other.status, 403);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, 'Application not found');
+  });
+});
@@ -0,0 +1,102 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTestApp } from './helpers.js';
+import { createLocalStorage, setStorage } from '../services/storageService.js';
+
+describe('student transcripts', () => {
+  let t;
+  let storageDir;
+  let transcriptId;
+
+  before(async () => {
+    storageDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcripts-'));
+    setStorage(createLocalStorage(storageDir));
+
+    t = await createTestApp({
+      seed: {
+        institutions: { i1: { name: 'Tech College', adminId: 'inst' }, i2: { name: 'Other', adminId: 'other' } },
+        applications: { a1: { studentId: 's1', institutionId: 'i1', courseId: 'c1', status: 'pending' } }
+      }
+    });
+    await t.addUser('s1', 'student');
+    await t.addUser('s2', 'student');
+    await t.addUser('inst', 'institution');
+    await t.addUser('other', 'institution');
+    await t.addUser('company', 'company');
+  });
+
+  after(async () => {
+    await t.close();
+    await fs.promises.rm(storageDir, { recursive: true, force: true });
+  });
+
+  const upload = (file, fields = {}) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    if (file) form.append('file', file, 'results.pdf');
+    return t.request('POST', '/students/transcript', { as: 's1', form });
+  };
+
+  it('stores the uploaded file with its grades', async () => {
+    const response = await upload(new Blob(['%PDF-1.4 results'], { type: 'application/pdf' }), {
+      grades: JSON.stringify([{ subject: ' Mathematics ', grade: 'a' }, { subject: 'English', grade: 'C' }]),
+      school: 'Maseru High'
+    });
+
+    assert.equal(response.status, 201);
+    transcriptId = response.body.transcriptId;
+    assert.equal(response.body.fileUrl, `/api/students/transcripts/${transcriptId}/file`);
+
+    const transcript = (await t.request('GET', '/students/transcript', { as: 's1' })).body;
+    assert.equal(transcript.id, transcriptId);
+    assert.deepEqual(transcript.grades, [{ subject: 'Mathematics', grade: 'A' }, { subject: 'English', grade: 'C' }]);
+    assert.equal(transcript.subjectCount, 2);
+    assert.equal(transcript.file.storage, 'local');
+  });
+
+  it('refuses missing files, other file types and invalid grades', async () => {
+    const missing = await upload(null);
+    const text = await upload(new Blob(['hello'], { type: 'text/plain' }));
+    const invalid = await upload(new Blob(['%PDF'], { type: 'application/pdf' }), {
+      grades: JSON.stringify([{ subject: 'Mathematics', grade: 'Z' }])
+    });
+
+    assert.equal(missing.body.code, 'FILE_REQUIRED');
+    assert.equal(text.body.code, 'UNSUPPORTED_FILE_TYPE');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].field, 'grades');
+  });
+
+  it('lets the owner replace the grades', async () => {
+    const url = `/students/transcripts/${transcriptId}/grades`;
+    const body = { grades: [{ subject: 'Mathematics', grade: 'B' }] };
+
+    const response = await t.request('PUT', url, { as: 's1', body });
+    const someoneElse = await t.request('PUT', url, { as: 's2', body });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.subjectCount, 1);
+    assert.equal(someoneElse.status, 403);
+  });
+
+  it('only serves the file to the owner and institutions or companies the student applied to', async () => {
+    const download = (as) => t.request('GET', `/students/transcripts/${transcriptId}/file`, { as });
+
+    const owner = await download('s1');
+    assert.equal(owner.status, 200);
+    assert.equal(owner.headers.get('content-type'), 'application/pdf');
+    assert.equal(owner.body, '%PDF-1.4 results');
+    assert.equal((await download('inst')).status, 200);
+
+    assert.equal((await download('s2')).status, 403);
+    assert.equal((await download('other')).status, 403);
+    assert.equal((await download('company')).status, 403);
+
+    await t.db.collection('companies').doc('acme').set({ name: 'Acme', adminId: 'company' });
+    await t.db.collection('jobApplications').doc('ja1').set({ studentId: 's1', companyId: 'acme', jobId: 'j1', status: 'applied' });
+    assert.equal((await download('company')).status, 200);
+  });
+});
@@ -0,0 +1,87 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+
+describe('admin user management', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp();
+    await t.addUser('admin', 'admin');
+    await t.addUser('thabo', 'student');
+    await t.addUser('lerato', 'student');
+    await t.addUser('inst', 'institution');
+  });
+
+  after(() => t.close());
+
+  const notificationsFor = async (uid) =>
+    (await t.db.collection('notifications').where('userId', '==', uid).get()).docs.map(doc => doc.data().title);
+
+  const auditActions = async (targetId) =>
+    (await t.db.collection('auditLogs').where('targetId', '==', targetId).get()).docs.map(doc => doc.data().action);
+
+  it('searches users by role and email prefix', async () => {
+    const students = await t.request('GET', '/admin/users?role=student&includeTotal=true', { as: 'admin' });
+    const byEmail = await t.request('GET', '/admin/users?email=le', { as: 'admin' });
+    const mixed = await t.request('GET', `/admin/users?email=le&createdFrom=${new Date(0).toISOString()}`, { as: 'admin' });
+
+    assert.equal(students.body.total, 2);
+    assert.deepEqual(byEmail.body.items.map(user => user.id), ['lerato']);
+    assert.equal(mixed.body.code, 'UNSUPPORTED_FILTER_COMBINATION');
+  });
+
+  it('shows one user with their Auth account', async () => {
+    const response = await t.request('GET', '/admin/users/thabo', { as: 'admin' });
+
+    assert.equal(response.body.role, 'student');
+    assert.equal(response.body.auth.email, 'thabo@example.com');
+    assert.deepEqual(response.body.auth.customClaims, { role: 'student' });
+    assert.equal((await t.request('GET', '/admin/users/nobody', { as: 'admin' })).status, 404);
+  });
+
+  it('changes a role in the profile and the claims, and tells the user', async () => {
+    const response = await t.request('PUT', '/admin/users/inst/role', { as: 'admin', body: { role: 'company', reason: 'Wrong sign-up' } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.previousRole, 'institution');
+    assert.equal((await t.db.collection('users').doc('inst').get()).data().role, 'company');
+    assert.deepEqual((await t.auth.getUser('inst')).customClaims, { role: 'company' });
+    assert.deepEqual(await notificationsFor('inst'), ['Account Role Changed']);
+    assert.deepEqual(await auditActions('inst'), ['user.role_change']);
+
+    const unchanged = await t.request('PUT', '/admin/users/inst/role', { as: 'admin', body: { role: 'company' } });
+    const self = await t.request('PUT', '/admin/users/admin/role', { as: 'admin', body: { role: 'student' } });
+    assert.equal(unchanged.body.code, 'ROLE_UNCHANGED');
+    assert.equal(self.body.code, 'CANNOT_MANAGE_SELF');
+  });
+
+  it('disables an account so its tokens stop working, then re-enables it', async () => {
+    const disabled = await t.request('POST', '/admin/users/thabo/disable', { as: 'admin', body: { reason: 'Spam' } });
+    const blocked = await t.request('GET', '/students/profile', { as: 'thabo' });
+
+    assert.equal(disabled.status, 200);
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, 'ACCOUNT_DISABLED');
+    assert.equal((await t.db.collection('users').doc('thabo').get()).data().disabledReason, 'Spam');
+
+    await t.request('POST', '/admin/users/thabo/enable', { as: 'admin' });
+    assert.equal((await t.request('GET', '/students/profile', { as: 'thabo' })).status, 200);
+    assert.deepEqual((await notificationsFor('thabo')).sort(), ['Account Disabled', 'Account Enabled']);
+    assert.deepEqual((await auditActions('thabo')).sort(), ['user.disable', 'user.enable']);
+  });
+
+  it('revokes sessions issued before the revocation', async () => {
+    const oldToken = t.auth.createIdToken('lerato');
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const response = await t.request('POST', '/admin/users/lerato/revoke-sessions', { as: 'admin', body: {} });
+    const old = await t.request('GET', '/students/profile', { headers: { authorization: `Bearer ${oldToken}` } });
+
+    assert.ok(response.body.revokedAt);
+    assert.equal(old.status, 401);
+    assert.equal(old.body.code, 'SESSION_REVOKED');
+    assert.equal((await t.request('GET', '/students/profile', { as: 'lerato' })).status, 200);
+    assert.deepEqual(await auditActions('lerato'), ['user.sessions_revoke']);
+  });
+});
@@ -0,0 +1,72 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers.js';
+
+describe('request validation', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp();
+    await t.addUser('s1', 'student');
+    await t.addUser('admin', 'admin');
+  });
+
+  after(() => t.close());
+
+  const updateProfile = (profile) => t.request('PUT', '/students/profile', { as: 's1', body: { profile } });
+
+  it('stores trimmed strings and real dates', async () => {
+    const response = await updateProfile({
+      firstName: '  Thabo ',
+      dateOfBirth: '2004-05-01',
+      workExperience: [{ title: 'Intern', startDate: '2023-01-01', years: '1.5' }]
+    });
+
+    assert.equal(response.status, 200);
+    const { profile } = (await t.db.collection('users').doc('s1').get()).data();
+    const asDate = (value) => value?.toDate?.() ?? value;
+    assert.equal(profile.firstName, 'Thabo');
+    assert.equal(asDate(profile.dateOfBirth).toISOString(), '2004-05-01T00:00:00.000Z');
+    assert.ok(asDate(profile.workExperience[0].startDate) instanceof Date);
+    assert.equal(profile.workExperience[0].years, 1.5);
+  });
+
+  it('rejects fields the schema does not declare, at any depth', async () => {
+    const response = await updateProfile({ firstName: 'Thabo', role: 'admin', skills: [{ name: 'SQL', hacked: true }] });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(response.body.details.map(({ location, field }) => `${location}:${field}`).sort(), [
+      'body:profile.role',
+      'body:profile.skills[0].hacked'
+    ]);
+  });
+
+  it('reports every failure with its location and field path in one response', async () => {
+    const response = await updateProfile({ firstName: '', dateOfBirth: 'yesterday', qualifications: [{ year: 1800 }] });
+
+    assert.deepEqual(response.body.details, [
+      { location: 'body', field: 'profile.firstName', message: 'must not be empty' },
+      { location: 'body', field: 'profile.dateOfBirth', message: 'must be an ISO 8601 date' },
+      { location: 'body', field: 'profile.qualifications[0].year', message: 'must be an integer between 1900 and 2100' }
+    ]);
+    assert.ok(response.body.requestId);
+  });
+
+  it('validates query strings the same way', async () => {
+    const response = await t.request('GET', '/admin/users?limit=0&verified=maybe&sortBy=email', { as: 'admin' });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details.map(({ location, field }) => `${location}:${field}`).sort(), [
+      'query:limit',
+      'query:sortBy',
+      'query:verified'
+    ]);
+  });
+
+  it('refuses a body on routes that take none', async () => {
+    const response = await t.request('PUT', '/notifications/read-all', { as: 's1', body: { everything: true } });
+
+    assert.deepEqual(response.body.details, [{ location: 'body', field: 'everything', message: 'is not an allowed field' }]);
+  });
+});